@@ -33,6 +33,7 @@ var angularFiles = {
     'src/ng/rootScope.js',
     'src/ng/sanitizeUri.js',
     'src/ng/sce.js',
+    'src/ng/scrollRestoration.js',
     'src/ng/sniffer.js',
     'src/ng/templateRequest.js',
     'src/ng/timeout.js',
@@ -56,6 +57,7 @@ var angularFiles = {
     'src/ng/directive/ngController.js',
     'src/ng/directive/ngCsp.js',
     'src/ng/directive/ngEventDirs.js',
+    'src/ng/directive/ngFormSchema.js',
     'src/ng/directive/ngIf.js',
     'src/ng/directive/ngInclude.js',
     'src/ng/directive/ngInit.js',
@@ -92,7 +94,9 @@ var angularFiles = {
     'ngRoute': [
       'src/ngRoute/route.js',
       'src/ngRoute/routeParams.js',
-      'src/ngRoute/directive/ngView.js'
+      'src/ngRoute/moduleLoader.js',
+      'src/ngRoute/directive/ngView.js',
+      'src/ngRoute/directive/ngRouteHref.js'
     ],
     'ngSanitize': [
       'src/ngSanitize/sanitize.js',
@@ -1034,6 +1034,41 @@ function fromJson(json) {
 }
 
 
+var TIMEZONE_OFFSET_REGEXP = /^([+-])(\d\d):?(\d\d)$/;
+
+/**
+ * Converts a timezone (`'UTC'` or a fixed offset like `'+0530'` or `'-08:00'`) to its offset in
+ * minutes, using the sign convention of `Date.prototype.getTimezoneOffset`.
+ * Returns `fallback` if the timezone is not recognized.
+ */
+function timezoneToOffset(timezone, fallback) {
+  if (timezone === 'UTC' || timezone === 'Z') return 0;
+  var match = TIMEZONE_OFFSET_REGEXP.exec(timezone);
+  return match
+      ? (match[1] === '+' ? -1 : 1) * (int(match[2]) * 60 + int(match[3]))
+      : fallback;
+}
+
+
+function addDateMinutes(date, minutes) {
+  date = new Date(date.getTime());
+  date.setMinutes(date.getMinutes() + minutes);
+  return date;
+}
+
+
+/**
+ * Interprets the local time of `date` as a time in `timezone` and returns the corresponding
+ * instant. If `reverse` is true, returns a date whose local time is the time of `date` in
+ * `timezone` instead.
+ */
+function convertTimezoneToLocal(date, timezone, reverse) {
+  var dateTimezoneOffset = date.getTimezoneOffset(),
+      timezoneOffset = timezoneToOffset(timezone, dateTimezoneOffset);
+  return addDateMinutes(date, (reverse ? -1 : 1) * (timezoneOffset - dateTimezoneOffset));
+}
+
+
 /**
  * @returns {string} Returns the string representation of the element.
  */
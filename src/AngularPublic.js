@@ -24,6 +24,7 @@
   ngCloakDirective,
   ngControllerDirective,
   ngFormDirective,
+  ngFormSchemaDirective,
   ngHideDirective,
   ngIfDirective,
   ngIncludeDirective,
@@ -66,6 +67,8 @@
   $InterpolateProvider,
   $IntervalProvider,
   $HttpProvider,
+  $HttpParamSerializerProvider,
+  $HttpParamSerializerJQLikeProvider,
   $HttpBackendProvider,
   $LocationProvider,
   $LogProvider,
@@ -76,6 +79,7 @@
   $$SanitizeUriProvider,
   $SceProvider,
   $SceDelegateProvider,
+  $ScrollRestorationProvider,
   $SnifferProvider,
   $TemplateCacheProvider,
   $TemplateRequestProvider,
@@ -173,6 +177,7 @@ function publishExternalAPI(angular){
             ngCloak: ngCloakDirective,
             ngController: ngControllerDirective,
             ngForm: ngFormDirective,
+            ngFormSchema: ngFormSchemaDirective,
             ngHide: ngHideDirective,
             ngIf: ngIfDirective,
             ngInclude: ngIncludeDirective,
@@ -218,6 +223,8 @@ function publishExternalAPI(angular){
         $interpolate: $InterpolateProvider,
         $interval: $IntervalProvider,
         $http: $HttpProvider,
+        $httpParamSerializer: $HttpParamSerializerProvider,
+        $httpParamSerializerJQLike: $HttpParamSerializerJQLikeProvider,
         $httpBackend: $HttpBackendProvider,
         $location: $LocationProvider,
         $log: $LogProvider,
@@ -227,6 +234,7 @@ function publishExternalAPI(angular){
         $$q: $$QProvider,
         $sce: $SceProvider,
         $sceDelegate: $SceDelegateProvider,
+        $scrollRestoration: $ScrollRestorationProvider,
         $sniffer: $SnifferProvider,
         $templateCache: $TemplateCacheProvider,
         $templateRequest: $TemplateRequestProvider,
@@ -13,6 +13,8 @@
 
  * @param {Array.<string|Function>} modules A list of module functions or their aliases. See
  *        {@link angular.module}. The `ng` module must be explicitly added.
+ * @param {boolean=} [strictDi=false] Whether the injector should be in strict mode, which
+ *        disallows argument name annotation inference.
  * @returns {function()} Injector function. See {@link auto.$injector $injector}.
  *
  * @example
@@ -167,6 +169,10 @@ function annotate(fn, strictDi, name) {
  *
  * ## Inline
  * As an array of injection names, where the last item in the array is the function to call.
+ *
+ * @property {boolean} strictDi Whether the injector was created in strict mode. In strict mode,
+ *   invoking a function which does not use `$inject` or inline array annotation throws a
+ *   {@link error/$injector/strictdi strictdi} error instead of inferring the argument names.
  */
 
 /**
@@ -297,9 +303,37 @@ function annotate(fn, strictDi, name) {
  * @param {Function|Array.<string|Function>} fn Function for which dependent service names need to
  * be retrieved as described above.
  *
+ * @param {boolean=} [strictDi=false] Disallow argument name annotation inference.
+ *
  * @returns {Array.<string>} The names of the services which the function requires.
  */
 
+/**
+ * @ngdoc method
+ * @name $injector#loadNewModules
+ *
+ * @description
+ * Adds the specified modules to the running injector, i.e. after the application has been
+ * bootstrapped. The components of the modules are registered, their config blocks are invoked
+ * and then their run blocks are invoked, just as for the modules that the injector was created
+ * with. Modules that have already been loaded into the injector are skipped.
+ *
+ * This allows to load parts of an application lazily, e.g. the scripts of a feature module when
+ * navigating to the feature for the first time. Note that services that have already been
+ * instantiated are not affected by `$provide.decorator` calls or configuration done in the
+ * config blocks of the new modules.
+ *
+ * ```js
+ *   angular.module('lazy', []).directive('lazyWidget', function() { ... });
+ *
+ *   // later, after the application has been bootstrapped
+ *   $injector.loadNewModules(['lazy']);
+ * ```
+ *
+ * @param {Array.<string|Function|Array>} mods The modules to load, specified in the same way as
+ *   the `modules` argument of {@link angular.injector}.
+ */
+
 
 
 
@@ -634,7 +668,11 @@ function createInjector(modulesToLoad, strictDi) {
           }));
 
 
-  forEach(loadModules(modulesToLoad), function(fn) { instanceInjector.invoke(fn || noop); });
+  instanceInjector.loadNewModules = function(mods) {
+    forEach(loadModules(mods), function(fn) { instanceInjector.invoke(fn || noop); });
+  };
+
+  instanceInjector.loadNewModules(modulesToLoad);
 
   return instanceInjector;
 
@@ -821,7 +859,8 @@ function createInjector(modulesToLoad, strictDi) {
       annotate: annotate,
       has: function(name) {
         return providerCache.hasOwnProperty(name + providerSuffix) || cache.hasOwnProperty(name);
-      }
+      },
+      strictDi: strictDi
     };
   }
 }
@@ -263,6 +263,19 @@ function setupModuleLoader(window) {
            */
           directive: invokeLater('$compileProvider', 'directive'),
 
+          /**
+           * @ngdoc method
+           * @name angular.Module#component
+           * @module ng
+           * @param {string} name Name of the component in camel-case (i.e. `myComp` which will
+           *    match `<my-comp>`).
+           * @param {Object} options Component definition object (a simplified directive definition
+           *    object).
+           * @description
+           * See {@link ng.$compileProvider#component $compileProvider.component()}.
+           */
+          component: invokeLater('$compileProvider', 'component'),
+
           /**
            * @ngdoc method
            * @name angular.Module#config
@@ -9,13 +9,34 @@
  * @requires $rootScope
  *
  * @description
- * When called, it checks current value of `$location.hash()` and scrolls to the related element,
- * according to rules specified in
+ * When called, it scrolls to the element related to the specified `hash` or (if omitted) to the
+ * current value of `$location.hash()`, according to the rules specified in
  * [Html5 spec](http://dev.w3.org/html5/spec/Overview.html#the-indicated-part-of-the-document).
  *
  * It also watches the `$location.hash()` and scrolls whenever it changes to match any anchor.
  * This can be disabled by calling `$anchorScrollProvider.disableAutoScrolling()`.
  *
+ * Additionally, you can use its `yOffset` property to specify a vertical scroll-offset (either
+ * fixed or dynamic), e.g. to keep the target element from being hidden behind a fixed header.
+ *
+ * @param {string=} hash The hash specifying the element to scroll to. If omitted, the value of
+ *   `$location.hash()` is used.
+ *
+ * @property {(number|function|jqLite)} yOffset
+ * The vertical scroll-offset, i.e. the number of pixels that are left between the top of the
+ * viewport and the element that is scrolled to. It can be specified in various ways:
+ *
+ * - **number**: A fixed number of pixels to be used as offset.
+ * - **function**: A getter function called every time `$anchorScroll()` is executed. It must
+ *   return a number representing the offset (in pixels).
+ * - **jqLite**: A jqLite/jQuery element to be used for specifying the offset. The distance from
+ *   the top of the page to the element's bottom will be used as offset. This is usually the
+ *   element of a fixed header.<br />
+ *   **Note**: The element is only taken into account if its `position` is `fixed`, so that it
+ *   doesn't push the content down when it is hidden (e.g. on small screens).
+ *
+ * The offset is ignored when scrolling to the top of the page. The default offset is `0`.
+ *
  * @example
    <example module="anchorScrollExample">
      <file name="index.html">
@@ -50,6 +71,23 @@
        }
      </file>
    </example>
+ *
+ * @example
+ * The offset can be used to keep the targets of the anchors visible below a fixed header:
+ *
+ * ```js
+ * angular.module('anchorScrollOffsetExample', [])
+ *   .run(['$anchorScroll', function($anchorScroll) {
+ *     $anchorScroll.yOffset = angular.element(document.getElementById('fixed-header'));
+ *   }])
+ *   .controller('HeaderController', ['$scope', '$anchorScroll',
+ *     function($scope, $anchorScroll) {
+ *       $scope.gotoAnchor = function(id) {
+ *         // scroll to the element without changing the url
+ *         $anchorScroll(id);
+ *       };
+ *     }]);
+ * ```
  */
 function $AnchorScrollProvider() {
 
@@ -74,20 +112,51 @@ function $AnchorScrollProvider() {
       return result;
     }
 
-    function scroll() {
-      var hash = $location.hash(), elm;
+    function getYOffset() {
+      var offset = scroll.yOffset;
+
+      if (isFunction(offset)) {
+        offset = offset();
+      } else if (isElement(offset)) {
+        var elem = offset[0];
+        offset = $window.getComputedStyle(elem).position === 'fixed' ?
+            elem.getBoundingClientRect().bottom : 0;
+      }
+
+      return isNumber(offset) ? offset : 0;
+    }
+
+    function scrollTo(elem) {
+      if (elem) {
+        elem.scrollIntoView();
+
+        var offset = getYOffset();
+        if (offset) {
+          // `scrollIntoView()` aligned the top of the element with the top of the viewport, so
+          // scroll back by the offset (or less, if the element is near the bottom of the page)
+          $window.scrollBy(0, elem.getBoundingClientRect().top - offset);
+        }
+      } else {
+        $window.scrollTo(0, 0);
+      }
+    }
+
+    function scroll(hash) {
+      var elm;
+
+      hash = isString(hash) ? hash : $location.hash();
 
       // empty hash, scroll to the top of the page
-      if (!hash) $window.scrollTo(0, 0);
+      if (!hash) scrollTo(null);
 
       // element with given id
-      else if ((elm = document.getElementById(hash))) elm.scrollIntoView();
+      else if ((elm = document.getElementById(hash))) scrollTo(elm);
 
       // first anchor with given name :-D
-      else if ((elm = getFirstAnchor(document.getElementsByName(hash)))) elm.scrollIntoView();
+      else if ((elm = getFirstAnchor(document.getElementsByName(hash)))) scrollTo(elm);
 
       // no element and hash == 'top', scroll to the top of the page
-      else if (hash === 'top') $window.scrollTo(0, 0);
+      else if (hash === 'top') scrollTo(null);
     }
 
     // does not scroll when user clicks on anchor link that is currently on
@@ -122,10 +122,14 @@ function Browser(window, document, $log, $sniffer) {
   // URL API
   //////////////////////////////////////////////////////////////
 
-  var lastBrowserUrl = location.href,
+  var cachedState, lastHistoryState,
+      lastBrowserUrl = location.href,
       baseElement = document.find('base'),
       newLocation = null;
 
+  cacheState();
+  lastHistoryState = cachedState;
+
   /**
    * @name $browser#url
    *
@@ -144,23 +148,29 @@ function Browser(window, document, $log, $sniffer) {
    *
    * @param {string} url New url (when used as setter)
    * @param {boolean=} replace Should new url replace current history record ?
+   * @param {object=} state object to use with pushState/replaceState
    */
-  self.url = function(url, replace) {
+  self.url = function(url, replace, state) {
     // Android Browser BFCache causes location, history reference to become stale.
     if (location !== window.location) location = window.location;
     if (history !== window.history) history = window.history;
 
+    if (isUndefined(state)) state = null;
+
     // setter
     if (url) {
-      if (lastBrowserUrl == url) return;
+      // the state can only be changed without changing the url if the history api is supported
+      if (lastBrowserUrl == url && (!$sniffer.history || lastHistoryState === state)) return;
       lastBrowserUrl = url;
       if ($sniffer.history) {
-        if (replace) history.replaceState(null, '', url);
+        if (replace) history.replaceState(state, '', url);
         else {
-          history.pushState(null, '', url);
+          history.pushState(state, '', url);
           // Crazy Opera Bug: http://my.opera.com/community/forums/topic.dml?id=1185462
           baseElement.attr('href', baseElement.attr('href'));
         }
+        cacheState();
+        lastHistoryState = cachedState;
       } else {
         newLocation = url;
         if (replace) {
@@ -179,14 +189,41 @@ function Browser(window, document, $log, $sniffer) {
     }
   };
 
+  /**
+   * @name $browser#state
+   *
+   * @description
+   * This method is a getter.
+   *
+   * Return history.state or null if history.state is undefined.
+   *
+   * @returns {object} state
+   */
+  self.state = function() {
+    return cachedState;
+  };
+
+  function cacheState() {
+    // this is the only place where history.state is read, as the browser creates a new copy of
+    // the state object on every access
+    var state = $sniffer.history ? history.state : null;
+    cachedState = isUndefined(state) ? null : state;
+
+    // keep the state referentially identical if it didn't change, e.g. when both popstate and
+    // hashchange are fired
+    if (equals(cachedState, lastHistoryState)) cachedState = lastHistoryState;
+  }
+
   var urlChangeListeners = [],
       urlChangeInit = false;
 
   function fireUrlChange() {
     newLocation = null;
-    if (lastBrowserUrl == self.url()) return;
+    cacheState();
+    if (lastBrowserUrl == self.url() && lastHistoryState === cachedState) return;
 
     lastBrowserUrl = self.url();
+    lastHistoryState = cachedState;
     forEach(urlChangeListeners, function(listener) {
       listener(self.url());
     });
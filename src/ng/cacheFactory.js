@@ -18,19 +18,49 @@
  *  cache.put("another key", "another value");
  *
  *  // We've specified no options on creation
- *  expect(cache.info()).toEqual({id: 'cacheId', size: 2});
+ *  expect(cache.info()).toEqual({id: 'cacheId', size: 2, hits: 0, misses: 0, evictions: 0});
  *
  * ```
  *
+ * Caches can also expire their entries and keep them in a persistent storage, so that they
+ * survive page reloads:
+ *
+ * ```js
+ *  var cache = $cacheFactory('persistentCache', {
+ *    maxAge: 15 * 60 * 1000,  // entries expire after 15 minutes
+ *    storage: 'localStorage',
+ *    onExpire: function(key, value) {
+ *      console.log(key + ' expired');
+ *    }
+ *  });
+ * ```
+ *
+ * Only values that can be serialized with {@link angular.toJson} are written to the storage. If
+ * accessing the storage fails, e.g. because its quota is exceeded, the error is passed to
+ * {@link ng.$exceptionHandler `$exceptionHandler`} and the cache keeps its entries in memory only
+ * from then on. Stored entries that can't be parsed are removed from the storage.
+ *
  *
  * @param {string} cacheId Name or id of the newly created cache.
  * @param {object=} options Options object that specifies the cache behavior. Properties:
  *
  *   - `{number=}` `capacity` — turns the cache into LRU cache.
+ *   - `{number=}` `maxAge` — number of milliseconds after which an entry expires.
+ *   - `{string=}` `evictionMode` — how expired entries are removed: `'lazy'` (the default)
+ *     removes them when they are retrieved or when `info()` is called, `'timer'` removes them
+ *     as soon as they expire.
+ *   - `{function(string, *)=}` `onExpire` — called with the key and the value of each expired
+ *     entry after it was removed. Note that in the `'timer'` eviction mode it is called
+ *     outside of a digest (the timers are scheduled with `$browser.defer`, so in tests they can
+ *     be flushed with {@link ngMock.$timeout#flush `$timeout.flush()`}).
+ *   - `{string|Object=}` `storage` — where the entries are kept: `'memory'` (the default),
+ *     `'localStorage'`, `'sessionStorage'` or a custom storage adapter implementing the
+ *     `getItem(key)`, `setItem(key, value)` and `removeItem(key)` methods of the
+ *     [Web Storage API](https://developer.mozilla.org/en-US/docs/Web/API/Storage).
  *
  * @returns {object} Newly created cache object with the following set of methods:
  *
- * - `{object}` `info()` — Returns id, size, and options of cache.
+ * - `{object}` `info()` — Returns id, size, hit/miss/eviction counts, and options of cache.
  * - `{{*}}` `put({string} key, {*} value)` — Puts a new key-value pair into the cache and returns
  *   it.
  * - `{{*}}` `get({string} key)` — Returns cached value for `key` or undefined for cache miss.
@@ -83,7 +113,8 @@
  */
 function $CacheFactoryProvider() {
 
-  this.$get = function() {
+  this.$get = ['$window', '$browser', '$exceptionHandler',
+      function($window, $browser, $exceptionHandler) {
     var caches = {};
 
     function cacheFactory(cacheId, options) {
@@ -95,6 +126,17 @@ function $CacheFactoryProvider() {
           stats = extend({}, options, {id: cacheId}),
           data = {},
           capacity = (options && options.capacity) || Number.MAX_VALUE,
+          maxAge = (options && options.maxAge) || 0,
+          useTimers = !!(options && options.evictionMode === 'timer'),
+          onExpire = options && options.onExpire,
+          storage = getStorage(options && options.storage),
+          storageIndexKey = 'ngCache.' + cacheId,
+          expiries = {},
+          timers = {},
+          persistedKeys = {},
+          hits = 0,
+          misses = 0,
+          evictions = 0,
           lruHash = {},
           freshEnd = null,
           staleEnd = null;
@@ -122,23 +164,17 @@ function $CacheFactoryProvider() {
        *    superCache.put('key', 'value');
        *    superCache.put('another key', 'another value');
        *
-       *    expect(superCache.info()).toEqual({
-       *      id: 'super-cache',
-       *      size: 2
-       *    });
+       *    expect(superCache.info().size).toBe(2);
        *
        *    superCache.remove('another key');
        *    expect(superCache.get('another key')).toBeUndefined();
        *
        *    superCache.removeAll();
-       *    expect(superCache.info()).toEqual({
-       *      id: 'super-cache',
-       *      size: 0
-       *    });
+       *    expect(superCache.info().size).toBe(0);
        *  }));
        * ```
        */
-      return caches[cacheId] = {
+      var cache = caches[cacheId] = {
 
         /**
          * @ngdoc method
@@ -149,7 +185,8 @@ function $CacheFactoryProvider() {
          * Inserts a named entry into the {@link $cacheFactory.Cache Cache} object to be
          * retrieved later, and incrementing the size of the cache if the key was not already
          * present in the cache. If behaving like an LRU cache, it will also remove stale
-         * entries from the set.
+         * entries from the set. If the cache has a `maxAge`, the entry expires `maxAge`
+         * milliseconds after it was put.
          *
          * It will not insert undefined values into the cache.
          *
@@ -166,10 +203,11 @@ function $CacheFactoryProvider() {
           }
 
           if (isUndefined(value)) return;
-          if (!(key in data)) size++;
-          data[key] = value;
+          store(key, value, maxAge ? Date.now() + maxAge : 0);
+          persist(key);
 
           if (size > capacity) {
+            evictions++;
             this.remove(staleEnd.key);
           }
 
@@ -182,20 +220,34 @@ function $CacheFactoryProvider() {
          * @kind function
          *
          * @description
-         * Retrieves named data stored in the {@link $cacheFactory.Cache Cache} object.
+         * Retrieves named data stored in the {@link $cacheFactory.Cache Cache} object. Expired
+         * entries are removed when they are retrieved.
          *
          * @param {string} key the key of the data to be retrieved
          * @returns {*} the value stored.
          */
         get: function(key) {
+          if (maxAge && isExpired(key)) {
+            expire(key);
+          }
+
           if (capacity < Number.MAX_VALUE) {
             var lruEntry = lruHash[key];
 
-            if (!lruEntry) return;
+            if (!lruEntry) {
+              misses++;
+              return;
+            }
 
             refresh(lruEntry);
           }
 
+          if (key in data) {
+            hits++;
+          } else {
+            misses++;
+          }
+
           return data[key];
         },
 
@@ -223,8 +275,10 @@ function $CacheFactoryProvider() {
             delete lruHash[key];
           }
 
+          clearExpiry(key);
           delete data[key];
           size--;
+          unpersist(key);
         },
 
 
@@ -237,10 +291,17 @@ function $CacheFactoryProvider() {
          * Clears the cache object of any entries.
          */
         removeAll: function() {
+          var oldData = data;
+
           data = {};
           size = 0;
           lruHash = {};
           freshEnd = staleEnd = null;
+
+          forEach(oldData, function(value, key) {
+            clearExpiry(key);
+            unpersist(key);
+          });
         },
 
 
@@ -251,12 +312,19 @@ function $CacheFactoryProvider() {
          *
          * @description
          * Destroys the {@link $cacheFactory.Cache Cache} object entirely,
-         * removing it from the {@link $cacheFactory $cacheFactory} set.
+         * removing it from the {@link $cacheFactory $cacheFactory} set. Entries kept in a
+         * persistent `storage` are not removed.
          */
         destroy: function() {
+          forEach(timers, function(timer) {
+            $browser.defer.cancel(timer);
+          });
+
           data = null;
           stats = null;
           lruHash = null;
+          expiries = null;
+          timers = null;
           delete caches[cacheId];
         },
 
@@ -267,21 +335,240 @@ function $CacheFactoryProvider() {
          * @kind function
          *
          * @description
-         * Retrieve information regarding a particular {@link $cacheFactory.Cache Cache}.
+         * Retrieve information regarding a particular {@link $cacheFactory.Cache Cache}. Expired
+         * entries are removed before the size is computed.
          *
          * @returns {object} an object with the following properties:
          *   <ul>
          *     <li>**id**: the id of the cache instance</li>
          *     <li>**size**: the number of entries kept in the cache instance</li>
+         *     <li>**hits**: the number of `get` calls that found an entry</li>
+         *     <li>**misses**: the number of `get` calls that did not find an entry</li>
+         *     <li>**evictions**: the number of entries removed by the cache itself, either because
+         *       the capacity was exceeded or because they expired</li>
          *     <li>**...**: any additional properties from the options object when creating the
          *       cache.</li>
          *   </ul>
          */
         info: function() {
-          return extend({}, stats, {size: size});
+          if (maxAge) {
+            forEach(expiries, function(expiry, key) {
+              if (isExpired(key)) expire(key);
+            });
+          }
+
+          return extend({}, stats, {size: size, hits: hits, misses: misses, evictions: evictions});
         }
       };
 
+      restore();
+
+      return cache;
+
+
+      /**
+       * adds the value to the in-memory data, without writing it to the persistent storage
+       */
+      function store(key, value, expiry) {
+        if (!(key in data)) size++;
+        data[key] = value;
+
+        if (expiry) {
+          clearExpiry(key);
+          expiries[key] = expiry;
+
+          if (useTimers) {
+            // timers of replaced or removed entries are cleared, so this one is still current
+            timers[key] = $browser.defer(function() {
+              delete timers[key];
+              expire(key);
+            }, expiry - Date.now());
+          }
+        }
+      }
+
+
+      function isExpired(key) {
+        return expiries.hasOwnProperty(key) && expiries[key] <= Date.now();
+      }
+
+
+      function clearExpiry(key) {
+        if (timers.hasOwnProperty(key)) {
+          $browser.defer.cancel(timers[key]);
+          delete timers[key];
+        }
+        delete expiries[key];
+      }
+
+
+      function expire(key) {
+        var value = data[key];
+
+        evictions++;
+        cache.remove(key);
+        if (onExpire) onExpire(key, value);
+      }
+
+
+      function getStorage(storage) {
+        if (!storage || storage === 'memory') return null;
+
+        if (isString(storage)) {
+          if (storage !== 'localStorage' && storage !== 'sessionStorage') {
+            throw minErr('$cacheFactory')('badstorage',
+                "Unknown storage '{0}' for cache '{1}'", storage, cacheId);
+          }
+
+          try {
+            // accessing the storage throws when it is disabled by the browser
+            return $window[storage] || null;
+          } catch (e) {
+            return null;
+          }
+        }
+
+        return storage;
+      }
+
+
+      function storageKey(key) {
+        return storageIndexKey + '#' + key;
+      }
+
+
+      /**
+       * writes the entry to the persistent storage, unless it can't be serialized (e.g. the
+       * pending request promises stored by $http)
+       */
+      function persist(key) {
+        if (!storage) return;
+
+        var value = data[key];
+
+        if (isPromiseLike(value) || isFunction(value)) {
+          unpersist(key);
+        } else if (setItem(storageKey(key), toJson({value: value, expiry: expiries[key]})) &&
+                   !persistedKeys[key]) {
+          persistedKeys[key] = true;
+          saveIndex();
+        }
+      }
+
+
+      function unpersist(key) {
+        if (!storage) return;
+
+        removeItem(storageKey(key));
+        if (persistedKeys[key]) {
+          delete persistedKeys[key];
+          saveIndex();
+        }
+      }
+
+
+      /**
+       * the index lists the keys of the persisted entries; it only changes with the set of keys
+       */
+      function saveIndex() {
+        var index = [];
+
+        forEach(persistedKeys, function(persisted, key) {
+          index.push(key);
+        });
+
+        setItem(storageIndexKey, toJson(index));
+      }
+
+
+      /**
+       * writes to the storage; if that fails (e.g. because the quota is exceeded or because the
+       * browser does not allow writing to the storage in private mode), the error is reported and
+       * the cache falls back to keeping its entries in memory only
+       */
+      function setItem(storageKey, value) {
+        if (!storage) return false;
+
+        try {
+          storage.setItem(storageKey, value);
+          return true;
+        } catch (e) {
+          storage = null;
+          $exceptionHandler(e);
+          return false;
+        }
+      }
+
+
+      /**
+       * reads and parses an item of the storage; errors are handled like in `setItem`, and an
+       * item that can't be parsed (e.g. because it was written by something else) is removed
+       */
+      function getItem(storageKey) {
+        var json;
+
+        if (!storage) return;
+
+        try {
+          json = storage.getItem(storageKey);
+        } catch (e) {
+          storage = null;
+          $exceptionHandler(e);
+          return;
+        }
+
+        try {
+          return fromJson(json);
+        } catch (e) {
+          removeItem(storageKey);
+        }
+      }
+
+
+      /**
+       * removes an item from the storage; errors are handled like in `setItem`
+       */
+      function removeItem(storageKey) {
+        if (!storage) return;
+
+        try {
+          storage.removeItem(storageKey);
+        } catch (e) {
+          storage = null;
+          $exceptionHandler(e);
+        }
+      }
+
+
+      /**
+       * loads the entries kept in the persistent storage by a previous instance of this cache
+       */
+      function restore() {
+        if (!storage) return;
+
+        forEach(getItem(storageIndexKey) || [], function(key) {
+          var entry = getItem(storageKey(key));
+
+          if (!entry) return;
+
+          if (entry.expiry && entry.expiry <= Date.now()) {
+            removeItem(storageKey(key));
+          } else {
+            if (capacity < Number.MAX_VALUE) {
+              refresh(lruHash[key] = {key: key});
+            }
+            store(key, entry.value, maxAge ? entry.expiry || Date.now() + maxAge : 0);
+            persistedKeys[key] = true;
+          }
+        });
+
+        while (size > capacity) {
+          cache.remove(staleEnd.key);
+        }
+
+        saveIndex();
+      }
+
 
       /**
        * makes the `entry` the freshEnd of the LRU linked list
@@ -348,7 +635,7 @@ function $CacheFactoryProvider() {
 
 
     return cacheFactory;
-  };
+  }];
 }
 
 /**
@@ -64,6 +64,7 @@
  *       scope: false,
  *       controller: function($scope, $element, $attrs, $transclude, otherInjectables) { ... },
  *       controllerAs: 'stringAlias',
+ *       bindToController: false,
  *       require: 'siblingDirectiveName', // or // ['^parentDirectiveName', '?optionalDirectiveName', '?^optionalParent'],
  *       compile: function compile(tElement, tAttrs, transclude) {
  *         return {
@@ -164,6 +165,17 @@
  *   scope property doesn't exist, it will throw a NON_ASSIGNABLE_MODEL_EXPRESSION exception. You
  *   can avoid this behavior using `=?` or `=?attr` in order to flag the property as optional.
  *
+ * * `<` or `<attr` - set up a one-way (one-directional) binding between a local scope property and an
+ *   expression passed via the attribute `attr`. The expression is evaluated in the context of the
+ *   parent scope. If no `attr` name is specified then the attribute name is assumed to be the same as the
+ *   local name. Given `<widget my-attr="parentModel">` and widget definition of
+ *   `scope: { localModel:'<myAttr' }`, then widget scope property `localModel` will reflect the value of
+ *   `parentModel` on the parent scope. Any changes to `parentModel` will be reflected in `localModel`, but
+ *   changes to `localModel` will never be written back to `parentModel`. Only the reference is watched
+ *   (literal expressions are compared by value), so a change of a property of a bound object is visible
+ *   to both sides but does not count as a change of the binding. A missing attribute binds `undefined`;
+ *   use `<?` or `<?attr` to flag the property as optional, in which case it is not set at all.
+ *
  * * `&` or `&attr` - provides a way to execute an expression in the context of the parent scope.
  *   If no `attr` name is specified then the attribute name is assumed to be the same as the
  *   local name. Given `<widget my-attr="count = count + value">` and widget definition of
@@ -198,11 +210,32 @@
  *          usual containers (e.g. like `<svg>`).
  *        * See also the `directive.templateNamespace` property.
  *
+ * #### Life-cycle hooks
+ * Directive controllers can provide the following methods that are called by Angular at points in the
+ * life-cycle of the directive:
+ *
+ * * `$onInit()` - Called on each controller after all the controllers on an element have been constructed
+ *   and had their bindings initialized (and before the pre &amp; post linking functions for the directives on
+ *   this element). This is a good place to put initialization code for your controller.
+ * * `$onChanges(changesObj)` - Called on the controller of a directive that uses `bindToController` whenever
+ *   its one-way (`<`) or attribute (`@`) bindings change, and once with initial values before `$onInit()`. The
+ *   `changesObj` is a hash whose keys are the names of the bound properties that have changed, and the values
+ *   are {@link ng.$compile.directive.SimpleChange SimpleChange} objects of the form
+ *   `{ currentValue, previousValue, isFirstChange() }`. Changes that happen during a digest are collected and
+ *   the hooks are called after the digest, inside a new digest.
+ * * `$onDestroy()` - Called on a controller when its containing scope is destroyed. Use this hook for
+ *   releasing external resources, watches and event handlers.
+ * * `$postLink()` - Called after this controller's element and its children have been linked. Similar to the
+ *   post-link function this hook can be used to set up DOM event handlers and do direct DOM manipulation.
+ *   Note that child elements that contain `templateUrl` directives will not have been compiled and linked
+ *   since they are waiting for their template to load asynchronously.
+ *
  *
  * #### `require`
  * Require another directive and inject its controller as the fourth argument to the linking function. The
  * `require` takes a string name (or array of strings) of the directive(s) to pass in. If an array is used, the
- * injected argument will be an array in corresponding order. If no such directive can be
+ * injected argument will be an array in corresponding order. If an object is used, the injected argument
+ * will be an object with the same keys, whose values are the corresponding controllers. If no such directive can be
  * found, or if the directive does not have a controller, then an error is raised. The name can be prefixed with:
  *
  * * (no prefix) - Locate the required controller on the current element. Throw an error if not found.
@@ -218,6 +251,20 @@
  * configuration to be used. Useful in the case when directive is used as component.
  *
  *
+ * #### `bindToController`
+ * When an isolate scope is used for a directive (see above) that has a controller, `bindToController: true`
+ * binds the isolate scope properties to the controller instance instead of the scope. The bindings are
+ * set up before the controller constructor is invoked, so their initial values are available to it.
+ * Combined with `controllerAs`, the template can then refer to the bound values through the alias.
+ *
+ * `bindToController` may also be an object hash, using the same syntax as the isolate `scope` definition,
+ * in which case those bindings are bound to the controller (and the `scope` hash should be `{}`). The
+ * directive must still request an isolate scope in that case.
+ *
+ * When `require` is an object and `bindToController` is set, the required controllers are also bound
+ * to the controller instance, using the keys of the `require` object as property names.
+ *
+ *
  * #### `restrict`
  * String of subset of `EACM` which restricts the directive to a specific directive
  * declaration style. If omitted, the defaults (elements and attributes) are used.
@@ -593,6 +640,16 @@ function $CompileProvider($provide, $$sanitizeUriProvider) {
                 directive.name = directive.name || name;
                 directive.require = directive.require || (directive.controller && directive.name);
                 directive.restrict = directive.restrict || 'EA';
+                if (directive.bindToController && !directive.controller) {
+                  throw $compileMinErr('noctrl',
+                      "Cannot bind to controller without directive '{0}'s controller.",
+                      directive.name);
+                }
+                if (isObject(directive.bindToController) && !isObject(directive.scope)) {
+                  throw $compileMinErr('noiscp',
+                      "Cannot bind to controller without an isolate scope for directive '{0}'.",
+                      directive.name);
+                }
                 directives.push(directive);
               } catch (e) {
                 $exceptionHandler(e);
@@ -609,6 +666,113 @@ function $CompileProvider($provide, $$sanitizeUriProvider) {
   };
 
 
+  /**
+   * @ngdoc method
+   * @name $compileProvider#component
+   * @kind function
+   *
+   * @description
+   * Register a component with the compiler. A component is a special kind of directive that is
+   * restricted to elements, always has an isolate scope and binds its isolate bindings to its
+   * controller, which is published on the scope under the `controllerAs` alias (`$ctrl` by default).
+   *
+   * ```js
+   *   myModule.component('heroDetail', {
+   *     templateUrl: 'heroDetail.html',
+   *     bindings: {
+   *       hero: '=',
+   *       onDelete: '&'
+   *     },
+   *     require: {
+   *       list: '^heroList'
+   *     },
+   *     controller: function() {
+   *       this.remove = function() {
+   *         this.list.remove(this.hero);
+   *         this.onDelete({hero: this.hero});
+   *       };
+   *     }
+   *   });
+   * ```
+   *
+   * @param {string} name Name of the component in camel-case (i.e. `myComp` which will match
+   *    `<my-comp>`).
+   * @param {Object} options Component definition object (a simplified
+   *    {@link ng.$compile#description_comprehensive-directive-api_directive-definition-object
+   *    directive definition object}), with the following properties (all optional):
+   *
+   *    - `controller` – `{(string|function())=}` – controller constructor function that should be
+   *      associated with the component or the name of a controller registered with
+   *      {@link ng.$controllerProvider#register $controllerProvider} if passed as a string.
+   *      Defaults to an empty function.
+   *    - `controllerAs` – `{string=}` – identifier name to reference the controller in the
+   *      component's scope. If the `controller` is given as `'Ctrl as alias'` then that alias is
+   *      used instead. Defaults to `$ctrl`.
+   *    - `template` – `{string=|function()=}` – html template as a string or an injectable function
+   *      that returns an html template as a string. The function is invoked with the locals
+   *      `$element` (the template element) and `$attrs` (the template attributes).
+   *    - `templateUrl` – `{string=|function()=}` – path or function that returns a path to an html
+   *      template. The function is injectable in the same way as `template`.
+   *    - `bindings` – `{object=}` – defines the bindings between DOM attributes and the component's
+   *      controller properties, using the same syntax as an isolate `scope` definition.
+   *    - `transclude` – `{boolean=}` – whether the content of the component's element is
+   *      transcluded, see the `transclude` directive property. Disabled by default.
+   *    - `require` – `{Object<string, string>=}` – requires the controllers of other directives and
+   *      binds them to this component's controller. The object keys specify the property names
+   *      under which the required controllers (object values) will be bound.
+   *    - `$...` – additional properties starting with `$` are copied to the directive definition
+   *      object and to the directive factory, so that other libraries can annotate components.
+   *
+   * @returns {ng.$compileProvider} the compile provider itself, for chaining of function calls.
+   */
+  this.component = function registerComponent(name, options) {
+    var controller = options.controller || noop;
+
+    function factory($injector) {
+      function makeInjectable(fn) {
+        if (isFunction(fn) || isArray(fn)) {
+          return function(tElement, tAttrs) {
+            return $injector.invoke(fn, this, {$element: tElement, $attrs: tAttrs});
+          };
+        } else {
+          return fn;
+        }
+      }
+
+      var template = (!options.template && !options.templateUrl ? '' : options.template);
+      var ddo = {
+        controller: controller,
+        controllerAs: identifierForController(options.controller) || options.controllerAs || '$ctrl',
+        template: makeInjectable(template),
+        templateUrl: makeInjectable(options.templateUrl),
+        transclude: options.transclude,
+        scope: {},
+        bindToController: options.bindings || {},
+        restrict: 'E',
+        require: options.require
+      };
+
+      // Copy annotations (starting with $) over to the DDO
+      forEach(options, function(val, key) {
+        if (key.charAt(0) === '$') ddo[key] = val;
+      });
+
+      return ddo;
+    }
+
+    // Copy any annotation properties (starting with $) over to the factory function
+    forEach(options, function(val, key) {
+      if (key.charAt(0) === '$') {
+        factory[key] = val;
+      }
+    });
+
+    factory.$inject = ['$injector'];
+
+    return this.directive(name, factory);
+  };
+
+
   /**
    * @ngdoc method
    * @name $compileProvider#aHrefSanitizationWhitelist
@@ -699,6 +863,35 @@ function $CompileProvider($provide, $$sanitizeUriProvider) {
     return debugInfoEnabled;
   };
 
+  /**
+   * @ngdoc method
+   * @name  $compileProvider#onChangesTtl
+   * @description
+   *
+   * Sets the number of times `$onChanges` hooks can trigger new changes before giving up and
+   * assuming that the model is unstable.
+   *
+   * The current default is 10 iterations.
+   *
+   * In complex applications it's possible that dependencies between `$onChanges` hooks and bindings will result
+   * in several iterations of calls to these hooks. However if an application needs more than the default 10
+   * iterations to stabilize then you should investigate what is causing the model to continuously change during
+   * the `$onChanges` hook execution.
+   *
+   * Increasing the TTL could have performance implications, so you should not change it without proper justification.
+   *
+   * @param {number} limit The number of `$onChanges` hook iterations.
+   * @returns {number|object} the current limit (or `this` if called as a setter for chaining)
+   */
+  var onChangesTtlLimit = 10;
+  this.onChangesTtl = function(value) {
+    if (arguments.length) {
+      onChangesTtlLimit = value;
+      return this;
+    }
+    return onChangesTtlLimit;
+  };
+
   this.$get = [
             '$injector', '$interpolate', '$exceptionHandler', '$templateRequest', '$parse',
             '$controller', '$rootScope', '$document', '$sce', '$animate', '$$sanitizeUri',
@@ -900,6 +1093,12 @@ function $CompileProvider($provide, $$sanitizeUriProvider) {
     }
 
 
+    var onChangesTtl = onChangesTtlLimit;
+    // The onChanges hooks should all be run together in a single digest
+    // When changes occur, the call to trigger their hooks will be added to this queue
+    var onChangesQueue;
+
+
     var startSymbol = $interpolate.startSymbol(),
         endSymbol = $interpolate.endSymbol(),
         denormalizeTemplate = (startSymbol == '{{' || endSymbol  == '}}')
@@ -1565,14 +1764,19 @@ function $CompileProvider($provide, $$sanitizeUriProvider) {
           forEach(require, function(require) {
             value.push(getControllers(directiveName, require, $element, elementControllers));
           });
+        } else if (isObject(require)) {
+          value = {};
+          forEach(require, function(require, property) {
+            value[property] = getControllers(directiveName, require, $element, elementControllers);
+          });
         }
         return value;
       }
 
 
       function nodeLinkFn(childLinkFn, scope, linkNode, $rootElement, boundTranscludeFn) {
-        var i, ii, linkFn, controller, isolateScope, elementControllers, transcludeFn, $element,
-            attrs;
+        var i, ii, linkFn, controller, isolateScope, elementControllers, controllerInits,
+            isolateBindingInfo, transcludeFn, $element, attrs;
 
         if (compileNode === linkNode) {
           attrs = templateAttrs;
@@ -1583,116 +1787,102 @@ function $CompileProvider($provide, $$sanitizeUriProvider) {
         }
 
         if (newIsolateScopeDirective) {
-          var LOCAL_REGEXP = /^\s*([@=&])(\??)\s*(\w*)\s*$/;
-
           isolateScope = scope.$new(true);
 
           compile.$$addScopeInfo($element, isolateScope, true, !(templateDirective && (templateDirective === newIsolateScopeDirective ||
               templateDirective === newIsolateScopeDirective.$$originalDirective)));
           compile.$$addScopeClass($element, true);
-
-          forEach(newIsolateScopeDirective.scope, function(definition, scopeName) {
-            var match = definition.match(LOCAL_REGEXP) || [],
-                attrName = match[3] || scopeName,
-                optional = (match[2] == '?'),
-                mode = match[1], // @, =, or &
-                lastValue,
-                parentGet, parentSet, compare;
-
-            isolateScope.$$isolateBindings[scopeName] = mode + attrName;
-
-            switch (mode) {
-
-              case '@':
-                attrs.$observe(attrName, function(value) {
-                  isolateScope[scopeName] = value;
-                });
-                attrs.$$observers[attrName].$$scope = scope;
-                if( attrs[attrName] ) {
-                  // If the attribute has been provided then we trigger an interpolation to ensure
-                  // the value is there for use in the link fn
-                  isolateScope[scopeName] = $interpolate(attrs[attrName])(scope);
-                }
-                break;
-
-              case '=':
-                if (optional && !attrs[attrName]) {
-                  return;
-                }
-                parentGet = $parse(attrs[attrName]);
-                if (parentGet.literal) {
-                  compare = equals;
-                } else {
-                  compare = function(a,b) { return a === b || (a !== a && b !== b); };
-                }
-                parentSet = parentGet.assign || function() {
-                  // reset the change, or we will throw this exception on every $digest
-                  lastValue = isolateScope[scopeName] = parentGet(scope);
-                  throw $compileMinErr('nonassign',
-                      "Expression '{0}' used with directive '{1}' is non-assignable!",
-                      attrs[attrName], newIsolateScopeDirective.name);
-                };
-                lastValue = isolateScope[scopeName] = parentGet(scope);
-                var unwatch = scope.$watch($parse(attrs[attrName], function parentValueWatch(parentValue) {
-                  if (!compare(parentValue, isolateScope[scopeName])) {
-                    // we are out of sync and need to copy
-                    if (!compare(parentValue, lastValue)) {
-                      // parent changed and it has precedence
-                      isolateScope[scopeName] = parentValue;
-                    } else {
-                      // if the parent can be assigned then do so
-                      parentSet(scope, parentValue = isolateScope[scopeName]);
-                    }
-                  }
-                  return lastValue = parentValue;
-                }), null, parentGet.literal);
-                isolateScope.$on('$destroy', unwatch);
-                break;
-
-              case '&':
-                parentGet = $parse(attrs[attrName]);
-                isolateScope[scopeName] = function(locals) {
-                  return parentGet(scope, locals);
-                };
-                break;
-
-              default:
-                throw $compileMinErr('iscp',
-                    "Invalid isolate scope definition for directive '{0}'." +
-                    " Definition: {... {1}: '{2}' ...}",
-                    newIsolateScopeDirective.name, scopeName, definition);
-            }
-          });
         }
+
         transcludeFn = boundTranscludeFn && controllersBoundTransclude;
         if (controllerDirectives) {
           elementControllers = {};
+          controllerInits = {};
           forEach(controllerDirectives, function(directive) {
             var locals = {
               $scope: directive === newIsolateScopeDirective || directive.$$isolateScope ? isolateScope : scope,
               $element: $element,
               $attrs: attrs,
               $transclude: transcludeFn
-            }, controllerInstance;
+            }, controllerInit;
 
             controller = directive.controller;
             if (controller == '@') {
               controller = attrs[directive.name];
             }
 
-            controllerInstance = $controller(controller, locals);
-            // For directives with element transclusion the element is a comment,
-            // but jQuery .data doesn't support attaching data to comment nodes as it's hard to
-            // clean up (http://bugs.jquery.com/ticket/8335).
-            // Instead, we save the controllers for the element in a local hash and attach to .data
-            // later, once we have the actual element.
-            elementControllers[directive.name] = controllerInstance;
-            if (!hasElementTranscludeDirective) {
-              $element.data('$' + directive.name + 'Controller', controllerInstance);
+            // The controller is allocated now but its constructor is invoked only once the
+            // isolate bindings have been set up, so that they are available to the constructor
+            // of controllers that `bindToController`.
+            controllerInit = $controller(controller, locals, true, directive.controllerAs);
+            controllerInits[directive.name] = controllerInit;
+            setElementController(directive.name, controllerInit.instance);
+          });
+        }
+
+        if (newIsolateScopeDirective) {
+          var isolateBindings = newIsolateScopeDirective.scope,
+              isolateController = newIsolateScopeDirective.bindToController && controllerInits &&
+                  controllerInits[newIsolateScopeDirective.name];
+
+          if (isolateController && isObject(newIsolateScopeDirective.bindToController)) {
+            isolateBindings = newIsolateScopeDirective.bindToController;
+          }
+
+          isolateBindingInfo = initializeDirectiveBindings(scope, attrs, isolateScope,
+              isolateController ? isolateController.instance : isolateScope,
+              isolateBindings, newIsolateScopeDirective);
+        }
+
+        if (controllerInits) {
+          forEach(controllerInits, function(controllerInit, name) {
+            var controllerInstance = controllerInit();
+            if (controllerInstance !== controllerInit.instance) {
+              // the constructor returned a different object which replaces the allocated instance
+              setElementController(name, controllerInstance);
+              if (controllerInit === isolateController) {
+                // the bindings need to be moved over to the new instance
+                isolateBindingInfo.removeWatches();
+                isolateBindingInfo = initializeDirectiveBindings(scope, attrs, isolateScope,
+                    controllerInstance, isolateBindings, newIsolateScopeDirective);
+              }
             }
+          });
 
-            if (directive.controllerAs) {
-              locals.$scope[directive.controllerAs] = controllerInstance;
+          forEach(controllerDirectives, function(directive, name) {
+            var require = directive.require;
+            if (directive.bindToController && isObject(require) && !isArray(require)) {
+              extend(elementControllers[name],
+                     getControllers(name, require, $element, elementControllers));
+            }
+          });
+
+          // Trigger the $onChanges, $onInit and $onDestroy lifecycle hooks, now that all the
+          // controllers of this element have been constructed
+          forEach(controllerDirectives, function(directive, name) {
+            var controllerInstance = elementControllers[name],
+                controllerScope = directive === newIsolateScopeDirective || directive.$$isolateScope ?
+                    isolateScope : scope;
+
+            if (isolateController && name === newIsolateScopeDirective.name &&
+                isFunction(controllerInstance.$onChanges)) {
+              try {
+                controllerInstance.$onChanges(isolateBindingInfo.initialChanges);
+              } catch (e) {
+                $exceptionHandler(e);
+              }
+            }
+            if (isFunction(controllerInstance.$onInit)) {
+              try {
+                controllerInstance.$onInit();
+              } catch (e) {
+                $exceptionHandler(e);
+              }
+            }
+            if (isFunction(controllerInstance.$onDestroy)) {
+              controllerScope.$on('$destroy', function callOnDestroyHook() {
+                controllerInstance.$onDestroy();
+              });
             }
           });
         }
@@ -1730,6 +1920,31 @@ function $CompileProvider($provide, $$sanitizeUriProvider) {
           );
         }
 
+        // Trigger the $postLink lifecycle hooks, now that the children have been linked too
+        if (elementControllers) {
+          forEach(elementControllers, function(controllerInstance) {
+            if (isFunction(controllerInstance.$postLink)) {
+              try {
+                controllerInstance.$postLink();
+              } catch (e) {
+                $exceptionHandler(e);
+              }
+            }
+          });
+        }
+
+        function setElementController(name, controllerInstance) {
+          elementControllers[name] = controllerInstance;
+          // For directives with element transclusion the element is a comment,
+          // but jQuery .data doesn't support attaching data to comment nodes as it's hard to
+          // clean up (http://bugs.jquery.com/ticket/8335).
+          // Instead, we save the controllers for the element in a local hash and attach to .data
+          // later, once we have the actual element.
+          if (!hasElementTranscludeDirective) {
+            $element.data('$' + name + 'Controller', controllerInstance);
+          }
+        }
+
         // This is the function that is injected as `$transclude`.
         // Note: all arguments are optional!
         function controllersBoundTransclude(scope, cloneAttachFn, futureParentElement) {
@@ -1753,6 +1968,188 @@ function $CompileProvider($provide, $$sanitizeUriProvider) {
       }
     }
 
+    function flushOnChangesQueue() {
+      try {
+        if (!(--onChangesTtl)) {
+          // We have hit the TTL limit so reset everything
+          onChangesQueue = undefined;
+          throw $compileMinErr('infchng', '{0} $onChanges() iterations reached. Aborting!\n',
+              onChangesTtlLimit);
+        }
+        // We must run this hook in an apply since the $$postDigest runs outside apply
+        $rootScope.$apply(function() {
+          var queue = onChangesQueue;
+          onChangesQueue = undefined;
+          for (var i = 0, ii = queue.length; i < ii; ++i) {
+            try {
+              queue[i]();
+            } catch (e) {
+              $exceptionHandler(e);
+            }
+          }
+        });
+      } finally {
+        onChangesTtl++;
+      }
+    }
+
+
+    // Set up the isolate bindings of `directive` on `destination` (the isolate scope itself, or the
+    // controller instance for directives that `bindToController`). Expressions are evaluated
+    // against the parent `scope` and all watchers are released when `isolateScope` is destroyed.
+    //
+    // Returns the `initialChanges` to pass to the first `$onChanges` call and a `removeWatches`
+    // function that releases the watchers early.
+    function initializeDirectiveBindings(scope, attrs, isolateScope, destination, bindings, directive) {
+      var LOCAL_REGEXP = /^\s*([@=<&])(\??)\s*(\w*)\s*$/,
+          removeWatchCollection = [],
+          initialChanges = {},
+          changes;
+
+      forEach(bindings, function(definition, scopeName) {
+        var match = definition.match(LOCAL_REGEXP) || [],
+            attrName = match[3] || scopeName,
+            optional = (match[2] == '?'),
+            mode = match[1], // @, =, <, or &
+            lastValue,
+            parentGet, parentSet, compare, removeWatch;
+
+        isolateScope.$$isolateBindings[scopeName] = mode + attrName;
+
+        switch (mode) {
+
+          case '@':
+            removeWatch = attrs.$observe(attrName, function(value) {
+              recordChanges(scopeName, value, destination[scopeName]);
+              destination[scopeName] = value;
+            });
+            attrs.$$observers[attrName].$$scope = scope;
+            if( attrs[attrName] ) {
+              // If the attribute has been provided then we trigger an interpolation to ensure
+              // the value is there for use in the link fn
+              destination[scopeName] = $interpolate(attrs[attrName])(scope);
+            }
+            initialChanges[scopeName] = new SimpleChange(UNINITIALIZED_VALUE, destination[scopeName]);
+            removeWatchCollection.push(removeWatch);
+            break;
+
+          case '=':
+            if (optional && !attrs[attrName]) {
+              return;
+            }
+            parentGet = $parse(attrs[attrName]);
+            if (parentGet.literal) {
+              compare = equals;
+            } else {
+              compare = function(a,b) { return a === b || (a !== a && b !== b); };
+            }
+            parentSet = parentGet.assign || function() {
+              // reset the change, or we will throw this exception on every $digest
+              lastValue = destination[scopeName] = parentGet(scope);
+              throw $compileMinErr('nonassign',
+                  "Expression '{0}' used with directive '{1}' is non-assignable!",
+                  attrs[attrName], directive.name);
+            };
+            lastValue = destination[scopeName] = parentGet(scope);
+            removeWatch = scope.$watch($parse(attrs[attrName], function parentValueWatch(parentValue) {
+              if (!compare(parentValue, destination[scopeName])) {
+                // we are out of sync and need to copy
+                if (!compare(parentValue, lastValue)) {
+                  // parent changed and it has precedence
+                  destination[scopeName] = parentValue;
+                } else {
+                  // if the parent can be assigned then do so
+                  parentSet(scope, parentValue = destination[scopeName]);
+                }
+              }
+              return lastValue = parentValue;
+            }), null, parentGet.literal);
+            removeWatchCollection.push(removeWatch);
+            break;
+
+          case '<':
+            if (optional && !attrs[attrName]) {
+              return;
+            }
+            parentGet = $parse(attrs[attrName]);
+
+            var initialValue = destination[scopeName] = parentGet(scope);
+            initialChanges[scopeName] = new SimpleChange(UNINITIALIZED_VALUE, initialValue);
+
+            removeWatch = scope.$watch(parentGet, function parentValueWatchAction(newValue, oldValue) {
+              if (newValue === oldValue) {
+                // initial call of the listener, the value has been copied already unless the
+                // parent value changed between the linking and the first digest
+                if (newValue === initialValue || (parentGet.literal && equals(newValue, initialValue))) {
+                  return;
+                }
+                oldValue = initialValue;
+              }
+              recordChanges(scopeName, newValue, oldValue);
+              destination[scopeName] = newValue;
+            }, parentGet.literal);
+            removeWatchCollection.push(removeWatch);
+            break;
+
+          case '&':
+            parentGet = $parse(attrs[attrName]);
+            destination[scopeName] = function(locals) {
+              return parentGet(scope, locals);
+            };
+            break;
+
+          default:
+            throw $compileMinErr('iscp',
+                "Invalid isolate scope definition for directive '{0}'." +
+                " Definition: {... {1}: '{2}' ...}",
+                directive.name, scopeName, definition);
+        }
+      });
+
+      isolateScope.$on('$destroy', removeWatches);
+
+      return {
+        initialChanges: initialChanges,
+        removeWatches: removeWatches
+      };
+
+      function removeWatches() {
+        for (var i = 0, ii = removeWatchCollection.length; i < ii; ++i) {
+          removeWatchCollection[i]();
+        }
+        removeWatchCollection.length = 0;
+      }
+
+      function recordChanges(key, currentValue, previousValue) {
+        if (isFunction(destination.$onChanges) && currentValue !== previousValue &&
+            (currentValue === currentValue || previousValue === previousValue)) {
+          // If we have not already scheduled the top level onChangesQueue handler then do so now
+          if (!onChangesQueue) {
+            $rootScope.$$postDigest(flushOnChangesQueue);
+            onChangesQueue = [];
+          }
+          // If we have not already queued a trigger of onChanges for this controller then do so now
+          if (!changes) {
+            changes = {};
+            onChangesQueue.push(triggerOnChangesHook);
+          }
+          // If there has been a change on this property already then we need to reuse the previous value
+          if (changes[key]) {
+            previousValue = changes[key].previousValue;
+          }
+          // Store this change
+          changes[key] = new SimpleChange(previousValue, currentValue);
+        }
+      }
+
+      function triggerOnChangesHook() {
+        var currentChanges = changes;
+        // Clear the changes first so that we schedule onChanges when more changes arrive
+        changes = undefined;
+        destination.$onChanges(currentChanges);
+      }
+    }
+
     function markDirectivesAsIsolate(directives) {
       // mark all directives as needing isolate scope.
       for (var j = 0, jj = directives.length; j < jj; j++) {
@@ -2284,6 +2681,35 @@ function directiveLinkingFn(
   /* function(Function) */ boundTranscludeFn
 ){}
 
+var UNINITIALIZED_VALUE = {};
+
+/**
+ * @ngdoc type
+ * @name $compile.directive.SimpleChange
+ *
+ * @description
+ * Describes the change of a single binding. A map of `SimpleChange` objects, keyed by the name of
+ * the changed bindings, is passed to the `$onChanges(changesObj)` hook of directive controllers.
+ *
+ * @property {*} previousValue The value of the binding before the change.
+ * @property {*} currentValue The new value of the binding.
+ */
+function SimpleChange(previous, current) {
+  this.previousValue = previous;
+  this.currentValue = current;
+}
+
+/**
+ * @ngdoc method
+ * @name $compile.directive.SimpleChange#isFirstChange
+ *
+ * @description
+ * @returns {boolean} whether this is the change passed to `$onChanges` when the bindings were
+ *     first initialized.
+ */
+SimpleChange.prototype.isFirstChange = function() { return this.previousValue === UNINITIALIZED_VALUE; };
+
+
 function tokenDifference(str1, str2) {
   var values = '',
       tokens1 = str1.split(/\s+/),
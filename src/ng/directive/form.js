@@ -41,6 +41,40 @@ SUBMITTED_CLASS = 'ng-submitted';
  *  - `required`
  *  - `url`
  *
+ * @property {Object.<string, Object>} $validators A collection of cross-field validators, which
+ *  validate the values of several controls of the form against each other (e.g. that a password
+ *  confirmation equals the password). The key refers to the name of the validator, which is used as
+ *  the validation token, while the value is an object with the following properties:
+ *
+ *  - `controls` – `{Array.<string>}` – the names of the controls whose values are validated. The
+ *    validator is run again whenever the value of one of these controls changes.
+ *  - `validate` – `{function(Object.<string, *>)}` – the validation function. It is called with
+ *    an object that maps the names of the controls to their model values (including values that
+ *    are currently invalid) and must return true or false.
+ *  - `targets` – `{Array.<string>=}` – the names of the controls that should be marked as
+ *    invalid in addition to the form, e.g. the password confirmation control.
+ *
+ *  The validity is set on the form itself, where the validator definition is listed in `$error`,
+ *  and on each of the targets via `$setValidity`. As with their own validators, the model value of
+ *  a target is set to `undefined` while it is invalid, and restored once it becomes valid again.
+ *  Removing a validator from the collection resets the validity it has set.
+ *
+ * ```js
+ * form.$validators.passwordMatch = {
+ *   controls: ['password', 'confirmation'],
+ *   targets: ['confirmation'],
+ *   validate: function(values) {
+ *     return values.password === values.confirmation;
+ *   }
+ * };
+ * ```
+ *
+ * @property {Object.<string, Object>} $asyncValidators A collection of asynchronous cross-field
+ *  validators. They are defined like the validators in `$validators`, except that `validate` is
+ *  expected to return a promise, which is fulfilled if the values are valid and rejected otherwise.
+ *  While the promise is pending, the validator definition is listed in the `$pending` property of
+ *  the form. The targets receive their validity once the promise has been settled.
+ *
  * @description
  * `FormController` keeps track of all its controls and nested forms as well as the state of them,
  * such as being valid/invalid or dirty/pristine.
@@ -67,12 +101,122 @@ function FormController(element, attrs, $scope, $animate) {
   form.$invalid = false;
   form.$submitted = false;
 
+  form.$validators = {};
+  form.$asyncValidators = {};
+
   parentForm.$addControl(form);
 
   // Setup initial state of the control
   element.addClass(PRISTINE_CLASS);
   toggleValidCss(true);
 
+  // the watches of the cross-field validators, by name
+  var validatorWatches = {},
+      asyncValidatorWatches = {};
+
+  $scope.$watchCollection(function formValidatorsWatch() {
+    return form.$validators;
+  }, function formValidatorsWatchAction(validators) {
+    updateValidatorWatches(validators, validatorWatches, false);
+  });
+
+  $scope.$watchCollection(function formAsyncValidatorsWatch() {
+    return form.$asyncValidators;
+  }, function formAsyncValidatorsWatchAction(validators) {
+    updateValidatorWatches(validators, asyncValidatorWatches, true);
+  });
+
+  function updateValidatorWatches(validators, watches, async) {
+    forEach(watches, function(watch, name) {
+      if (!validators || validators[name] !== watch.definition) {
+        // the validator has been removed or replaced, so reset the validity that it has set
+        watch.deregister();
+        watch.run = null;
+        delete watches[name];
+        setValidatorValidity(name, watch.definition, true);
+      }
+    });
+
+    forEach(validators, function(definition, name) {
+      if (!watches[name]) watches[name] = watchValidator(name, definition, async);
+    });
+  }
+
+  function watchValidator(name, definition, async) {
+    var watch = {definition: definition};
+
+    watch.deregister = $scope.$watchCollection(function formValidatorWatch() {
+      var values = [];
+      forEach(definition.controls, function(controlName) {
+        values.push(controlValue(form[controlName]));
+      });
+      return values;
+    }, function formValidatorWatchAction() {
+      runValidator(name, watch, async);
+    });
+
+    return watch;
+  }
+
+  function controlValue(control) {
+    // invalid values are validated as well
+    return control && (isDefined(control.$$invalidModelValue) ?
+        control.$$invalidModelValue : control.$modelValue);
+  }
+
+  function runValidator(name, watch, async) {
+    var definition = watch.definition,
+        values = {},
+        result, run;
+
+    forEach(definition.controls, function(controlName) {
+      values[controlName] = controlValue(form[controlName]);
+    });
+
+    result = definition.validate(values);
+    run = watch.run = {};
+
+    if (async && isPromiseLike(result)) {
+      form.$$setPending(name, definition);
+      result.then(settle(true), settle(false));
+    } else {
+      setValidatorValidity(name, definition, !!result);
+    }
+
+    function settle(isValid) {
+      return function() {
+        // ignore the results of outdated runs
+        if (watch.run === run) {
+          setValidatorValidity(name, definition, isValid);
+        }
+      };
+    }
+  }
+
+  function setValidatorValidity(name, definition, isValid) {
+    // the definition stands for the validator in the `$error` and `$pending` lists of the form
+    form.$setValidity(name, isValid, definition);
+    forEach(definition.targets, function(targetName) {
+      var target = form[targetName];
+      if (target && target.$setValidity) setTargetValidity(target, name, isValid);
+    });
+  }
+
+  function setTargetValidity(target, name, isValid) {
+    var wasValid = target.$valid,
+        modelValue = controlValue(target);
+
+    target.$setValidity(name, isValid);
+
+    // like with its own validators, the model value of a control is only set while it is valid.
+    // NaN means that the model has not been initialized yet
+    if (target.$$updateValidModelValue && !target.$pending && target.$valid !== wasValid &&
+        modelValue === modelValue) {
+      target.$$updateValidModelValue(modelValue);
+      target.$$writeModelToScope();
+    }
+  }
+
   // convenience method for easy toggling of classes
   function toggleValidCss(isValid, validationErrorKey) {
     validationErrorKey = validationErrorKey ? '-' + snake_case(validationErrorKey, '-') : '';
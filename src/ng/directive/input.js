@@ -6,6 +6,7 @@
   DIRTY_CLASS: true,
   UNTOUCHED_CLASS: true,
   TOUCHED_CLASS: true,
+  inputType: true,
 */
 
 var URL_REGEXP = /^(ftp|http|https):\/\/(\w+:{0,1}\w*@)?(\S+)(:[0-9]+)?(\/|\/([\w#!:.?+=&%@!\-\/]))?$/;
@@ -1058,8 +1059,8 @@ function createDateInputType(type, regexp, parseDate, format) {
          if (ctrl.$isEmpty(value)) return null;
          if (regexp.test(value)) {
             var parsedDate = parseDate(value);
-            if (timezone === 'UTC') {
-              parsedDate.setMinutes(parsedDate.getMinutes() - parsedDate.getTimezoneOffset());
+            if (timezone) {
+              parsedDate = convertTimezoneToLocal(parsedDate, timezone);
             }
             return parsedDate;
          }
@@ -1402,6 +1403,8 @@ var VALID_CLASS = 'ng-valid',
        the parsers should update the validity state using
        {@link ngModel.NgModelController#$setValidity $setValidity()},
        and return `undefined` for invalid values.
+       Parsers can also be registered by name and priority with
+       {@link ngModel.NgModelController#$addParser $addParser()}.
 
  *
  * @property {Array.<Function>} $formatters Array of functions to execute, as a pipeline, whenever
@@ -1416,6 +1419,10 @@ var VALID_CLASS = 'ng-valid',
  * ngModel.$formatters.push(formatter);
  * ```
  *
+ * @property {Object} $trace The values that went in and came out of each stage of the last run of
+ *      the parsers and formatters pipelines, while tracing is enabled with
+ *      {@link ngModel.NgModelController#$setTrace $setTrace()}; `null` otherwise.
+ *
  * @property {Object.<string, function>} $validators A collection of validators that are applied
  *      whenever the model value changes. The key value within the object refers to the name of the
  *      validator while the function refers to the validation operation. The validation operation is
@@ -1584,6 +1591,7 @@ var NgModelController = ['$scope', '$exceptionHandler', '$attrs', '$element', '$
   this.$validators = {};
   this.$parsers = [];
   this.$formatters = [];
+  this.$trace = null;
   this.$viewChangeListeners = [];
   this.$untouched = true;
   this.$touched = false;
@@ -1597,6 +1605,7 @@ var NgModelController = ['$scope', '$exceptionHandler', '$attrs', '$element', '$
   var ngModelGet = $parse($attr.ngModel),
       ngModelSet = ngModelGet.assign,
       pendingDebounce = null,
+      parserErrorKey = null,
       ctrl = this;
 
   if (!ngModelSet) {
@@ -1647,6 +1656,91 @@ var NgModelController = ['$scope', '$exceptionHandler', '$attrs', '$element', '$
     return isUndefined(value) || value === '' || value === null || value !== value;
   };
 
+  /**
+   * @ngdoc method
+   * @name ngModel.NgModelController#$addParser
+   *
+   * @description
+   * Adds a named parser to the {@link ngModel.NgModelController#$parsers `$parsers`} pipeline.
+   *
+   * Parsers with a higher priority are run first. Parsers that have been added to `$parsers`
+   * directly have a priority of `0`, and parsers with the same priority run in the order in which
+   * they were added. Adding a parser with the name of an already added parser replaces it.
+   *
+   * When a named parser rejects the view value (by returning `undefined`), its name is used as the
+   * validation error key (e.g. `ngModel.$error.myParser`), so that it is clear which parser
+   * rejected the value. Values rejected by unnamed parsers set the generic `parse` error key.
+   *
+   * ```js
+   * ngModel.$addParser('trim', function(value) {
+   *   return value && value.trim();
+   * }, 10);
+   * ```
+   *
+   * @param {string} name The name of the parser.
+   * @param {function(*)} parserFn The parser function, called with the value to parse.
+   * @param {number=} [priority=0] The priority of the parser.
+   * @returns {function()} Returns a deregistration function for this parser.
+   */
+  this.$addParser = function(name, parserFn, priority) {
+    var parsers = ctrl.$parsers,
+        parser = function(value) {
+          return parserFn(value);
+        },
+        i;
+
+    parser.$name = name;
+    parser.$priority = priority || 0;
+
+    for (i = 0; i < parsers.length; i++) {
+      if (parsers[i].$name === name) {
+        parsers.splice(i--, 1);
+      }
+    }
+    for (i = 0; i < parsers.length; i++) {
+      if ((parsers[i].$priority || 0) < parser.$priority) break;
+    }
+    parsers.splice(i, 0, parser);
+
+    return function() {
+      arrayRemove(ctrl.$parsers, parser);
+    };
+  };
+
+  /**
+   * @ngdoc method
+   * @name ngModel.NgModelController#$setTrace
+   *
+   * @description
+   * Enables or disables tracing of the parsers and formatters pipelines of this control.
+   *
+   * While tracing is enabled, {@link ngModel.NgModelController `$trace`} holds, for the last run of
+   * each pipeline, one entry per stage with the `name` of the parser or formatter (the name it has
+   * been added with via {@link ngModel.NgModelController#$addParser `$addParser()`} or the name of
+   * the function), the `input` that it has been called with and the `output` that it returned:
+   *
+   * ```js
+   * {
+   *   parsers: [{name: 'trim', input: ' 42 ', output: '42'}, {name: '', input: '42', output: 42}],
+   *   formatters: [{name: 'toString', input: 42, output: '42'}]
+   * }
+   * ```
+   *
+   * The parsers stop at the first stage that rejects the value, so the last entry of `parsers`
+   * shows which parser made the view value invalid.
+   *
+   * @param {boolean} enabled Whether the pipelines should be traced.
+   */
+  this.$setTrace = function(enabled) {
+    ctrl.$trace = enabled ? {parsers: [], formatters: []} : null;
+  };
+
+  function traceStage(trace, fn, input, output) {
+    if (trace) {
+      trace.push({name: fn.$name || fn.name || '', input: input, output: output});
+    }
+  }
+
   var parentForm = $element.inheritedData('$formController') || nullFormCtrl,
       invalidCount = 0, // used to easily determine if we are valid
       pendingCount = 0, // used to easily determine if there are any pending validations
@@ -1981,9 +2075,13 @@ var NgModelController = ['$scope', '$exceptionHandler', '$attrs', '$element', '$
       parentForm.$setDirty();
     }
 
-    var hasBadInput, modelValue = viewValue;
+    var hasBadInput, parser, input, modelValue = viewValue,
+        trace = ctrl.$trace && (ctrl.$trace.parsers = []);
     for(var i = 0; i < ctrl.$parsers.length; i++) {
-      modelValue = ctrl.$parsers[i](modelValue);
+      parser = ctrl.$parsers[i];
+      input = modelValue;
+      modelValue = parser(input);
+      traceStage(trace, parser, input, modelValue);
       if(isUndefined(modelValue)) {
         hasBadInput = true;
         break;
@@ -1992,12 +2090,18 @@ var NgModelController = ['$scope', '$exceptionHandler', '$attrs', '$element', '$
 
     var parserName = ctrl.$$parserName || 'parse';
     if (hasBadInput) {
+      // named parsers report the failure with their own error key
+      parserErrorKey = parser.$name || null;
       ctrl.$$invalidModelValue = ctrl.$modelValue = undefined;
       ctrl.$$clearValidity();
-      ctrl.$setValidity(parserName, false);
+      ctrl.$setValidity(parserErrorKey || parserName, false);
       ctrl.$$writeModelToScope();
     } else if (ctrl.$modelValue !== modelValue &&
                 (isUndefined(ctrl.$$invalidModelValue) || ctrl.$$invalidModelValue != modelValue)) {
+      if (parserErrorKey) {
+        ctrl.$setValidity(parserErrorKey, true);
+        parserErrorKey = null;
+      }
       ctrl.$setValidity(parserName, true);
       ctrl.$$runValidators(modelValue, viewValue);
       ctrl.$$writeModelToScope();
@@ -2109,11 +2213,14 @@ var NgModelController = ['$scope', '$exceptionHandler', '$attrs', '$element', '$
         (isUndefined(ctrl.$$invalidModelValue) || ctrl.$$invalidModelValue != modelValue)) {
 
       var formatters = ctrl.$formatters,
-          idx = formatters.length;
+          idx = formatters.length,
+          trace = ctrl.$trace && (ctrl.$trace.formatters = []);
 
-      var viewValue = modelValue;
+      var viewValue = modelValue, input;
       while(idx--) {
-        viewValue = formatters[idx](viewValue);
+        input = viewValue;
+        viewValue = formatters[idx](input);
+        traceStage(trace, formatters[idx], input, viewValue);
       }
 
       ctrl.$$runValidators(modelValue, viewValue);
@@ -2708,6 +2815,23 @@ var ngValueDirective = function() {
  * events that will trigger a model update and/or a debouncing delay so that the actual update only
  * takes place when a timer expires; this timer will be reset after another change takes place.
  *
+ * The options apply to the `ngModel` on the same element and to all `ngModel`s contained in the
+ * element, e.g. in a `form`, unless those specify `ngModelOptions` of their own. By default the
+ * options of an element replace those of its ancestors. A setting with the special value
+ * `'$inherit'` is instead taken from the closest ancestor `ngModelOptions`, and the key `'*'`
+ * with the value `'$inherit'` inherits all settings that are not specified on the element itself:
+ *
+ * ```html
+ * <form ng-model-options="{ updateOn: 'blur', debounce: 200, getterSetter: true }">
+ *   <!-- updates on blur with a debounce of 200ms -->
+ *   <input ng-model="user.name">
+ *   <!-- updates on blur without debounce; getterSetter is not set -->
+ *   <input ng-model="user.email" ng-model-options="{ updateOn: '$inherit' }">
+ *   <!-- updates on blur, uses getters/setters, but is not debounced -->
+ *   <input ng-model="user.age" ng-model-options="{ '*': '$inherit', debounce: 0 }">
+ * </form>
+ * ```
+ *
  * Given the nature of `ngModelOptions`, the value displayed inside input fields in the view might
  * be different than the value in the actual model. This means that if you update the model you
  * should also invoke {@link ngModel.NgModelController `$rollbackViewValue`} on the relevant input field in
@@ -2733,8 +2857,8 @@ var ngValueDirective = function() {
  *   - `getterSetter`: boolean value which determines whether or not to treat functions bound to
        `ngModel` as getters/setters.
  *   - `timezone`: Defines the timezone to be used to read/write the `Date` instance in the model for
- *     `<input type="date">`, `<input type="time">`, ... . Right now, the only supported value is `'UTC'`,
- *     otherwise the default timezone of the browser will be used.
+ *     `<input type="date">`, `<input type="time">`, ... . Either `'UTC'` or a fixed offset from UTC
+ *     like `'+0530'` or `'-0800'`, otherwise the default timezone of the browser will be used.
  *
  * @example
 
@@ -2848,11 +2972,32 @@ var ngValueDirective = function() {
 var ngModelOptionsDirective = function() {
   return {
     restrict: 'A',
-    controller: ['$scope', '$attrs', function($scope, $attrs) {
-      var that = this;
-      this.$options = $scope.$eval($attrs.ngModelOptions);
-      // Allow adding/overriding bound events
-      if (this.$options.updateOn !== undefined) {
+    controller: ['$scope', '$attrs', '$element', function($scope, $attrs, $element) {
+      var that = this,
+          options = $scope.$eval($attrs.ngModelOptions) || {},
+          parentCtrl = $element.parent().controller('ngModelOptions'),
+          parentOptions = parentCtrl ? parentCtrl.$options : {},
+          inheritAll = options['*'] === '$inherit';
+
+      this.$options = {};
+
+      forEach(options, function(value, key) {
+        if (value === '$inherit') value = parentOptions[key];
+        if (key !== '*' && isDefined(value)) that.$options[key] = value;
+      });
+      if (inheritAll) {
+        forEach(parentOptions, function(value, key) {
+          if (!options.hasOwnProperty(key) && key !== 'updateOnDefault') {
+            that.$options[key] = value;
+          }
+        });
+      }
+
+      if (options.updateOn === '$inherit' || (inheritAll && !options.hasOwnProperty('updateOn'))) {
+        // the events of the ancestor have already been processed
+        this.$options.updateOnDefault = parentOptions.updateOnDefault !== false;
+      } else if (this.$options.updateOn !== undefined) {
+        // Allow adding/overriding bound events
         this.$options.updateOnDefault = false;
         // extract "default" pseudo-event from list of events that can trigger a model update
         this.$options.updateOn = trim(this.$options.updateOn.replace(DEFAULT_REGEXP, function() {
@@ -0,0 +1,222 @@
+'use strict';
+
+var ngFormSchemaMinErr = minErr('ngFormSchema');
+
+// input types for which `min` and `max` restrict the value instead of its length
+var VALUE_RANGE_TYPES = makeMap('number,date,datetime-local,time,week,month');
+
+/**
+ * @ngdoc directive
+ * @name ngFormSchema
+ * @restrict A
+ *
+ * @description
+ * Renders the controls of a form from a list of field descriptors, which makes it possible to
+ * build forms that only differ in their fields without writing a template for each of them.
+ *
+ * Each field is rendered as an {@link ng.directive:input input} of the given type (or as a
+ * {@link ng.directive:select select} if it has an `enum`), with an
+ * {@link ng.directive:ngModel ngModel} bound to the property of the `model` object that has the
+ * name of the field. The validations of the field are applied with the standard validation
+ * directives, so the controls are published on the enclosing
+ * {@link form.FormController FormController} under their name and report the usual `$error`
+ * keys (e.g. `required`, `min`, `maxlength`, `pattern`, `email`, ...), which can be displayed
+ * with `ngMessages` like for any other control.
+ *
+ * A field descriptor is an object with the following properties:
+ *
+ * - `name` – `{string}` – the name of the control and of the property of the model.
+ * - `type` – `{string=}` – the type of the {@link ng.directive:input input}, e.g. `text`,
+ *   `number`, `email`, `date` or `checkbox`. Defaults to `text`.
+ * - `label` – `{string=}` – the text of the label of the control. Defaults to the `name`.
+ * - `required` – `{boolean=}` – whether the field is required. Sets the `required` error key.
+ * - `min`, `max` – `{(number|string)=}` – for `number` and date types, the minimum/maximum value
+ *   of the field, which sets the `min`/`max` error keys. For all other types, the minimum/maximum
+ *   length of the value, which sets the `minlength`/`maxlength` error keys.
+ * - `pattern` – `{(string|RegExp)=}` – a regular expression the value has to match. Sets the
+ *   `pattern` error key.
+ * - `enum` – `{Array=}` – the values the field can take. The field is rendered as a `select`
+ *   with an option for each value.
+ *
+ * The fields are updated whenever the list of fields changes. The controls of fields whose name
+ * is still in the list are kept (along with their state, e.g. `$dirty` or `$touched`), unless a
+ * change of the field descriptor requires different markup, e.g. a change of its `type`. Each
+ * control is wrapped in a `label` inside of a `div` with the class `ng-form-schema-field`. The
+ * scope of each field inherits from the current scope and exposes the field descriptor as
+ * `$field`.
+ *
+ * @element ANY
+ * @param {expression} ngFormSchema {@link guide/expression Expression} evaluating to the array
+ *    of field descriptors.
+ * @param {string} model Assignable {@link guide/expression expression} evaluating to the object
+ *    that holds the values of the fields. If it is not defined, an empty object is assigned.
+ *
+ * @example
+   <example name="ngFormSchema-directive" module="formSchemaExample">
+     <file name="index.html">
+       <div ng-controller="ExampleController">
+         <form name="userForm" ng-form-schema="fields" model="user" novalidate></form>
+         <pre>user = {{user | json}}</pre>
+         <pre>userForm.age.$error = {{userForm.age.$error | json}}</pre>
+       </div>
+     </file>
+     <file name="script.js">
+       angular.module('formSchemaExample', [])
+         .controller('ExampleController', ['$scope', function($scope) {
+           $scope.user = {};
+           $scope.fields = [
+             {name: 'name', label: 'Name', required: true, max: 20},
+             {name: 'email', type: 'email', label: 'Email'},
+             {name: 'age', type: 'number', label: 'Age', min: 18, max: 99},
+             {name: 'zip', label: 'Zip code', pattern: '^\\d{5}$'},
+             {name: 'role', label: 'Role', enum: ['admin', 'editor', 'guest']}
+           ];
+         }]);
+     </file>
+     <file name="protractor.js" type="protractor">
+       it('should render the fields and validate them', function() {
+         expect(element.all(by.css('.ng-form-schema-field')).count()).toBe(5);
+
+         element(by.model('user[$field.name]')).sendKeys('Misko');
+         expect(element(by.binding('user | json')).getText()).toContain('"name": "Misko"');
+
+         element.all(by.css('input[name=age]')).sendKeys('12');
+         expect(element(by.binding('userForm.age.$error | json')).getText()).toContain('"min": true');
+       });
+     </file>
+   </example>
+ */
+var ngFormSchemaDirective = ['$compile', '$parse', function($compile, $parse) {
+  return {
+    restrict: 'A',
+    require: '^form',
+    link: function(scope, element, attr) {
+      var modelExp = attr.model,
+          modelGetter = $parse(modelExp),
+          renderedFields = [];
+
+      if (!modelExp || !modelGetter.assign) {
+        throw ngFormSchemaMinErr('nonassign', "Expression '{0}' is non-assignable. Element: {1}",
+            modelExp, startingTag(element));
+      }
+
+      if (!modelGetter(scope)) {
+        modelGetter.assign(scope, {});
+      }
+
+      function createControl(field) {
+        var type = lowercase(field.type || 'text'),
+            control;
+
+        if (field['enum']) {
+          control = jqLite('<select></select>');
+          control.attr('ng-options', 'option for option in $field.enum');
+        } else {
+          if (!inputType[type] || inputType[type] === noop || type === 'radio') {
+            throw ngFormSchemaMinErr('badtype', "Unsupported type '{0}' of field '{1}'.",
+                type, field.name);
+          }
+          control = jqLite('<input>');
+          control.attr('type', type);
+
+          if (VALUE_RANGE_TYPES[type]) {
+            if (isDefined(field.min)) control.attr('min', '{{$field.min}}');
+            if (isDefined(field.max)) control.attr('max', '{{$field.max}}');
+          } else {
+            if (isDefined(field.min)) control.attr('ng-minlength', '$field.min');
+            if (isDefined(field.max)) control.attr('ng-maxlength', '$field.max');
+          }
+          if (isDefined(field.pattern)) control.attr('ng-pattern', '$field.pattern');
+        }
+
+        control.attr('name', field.name);
+        control.attr('ng-model', modelExp + '[$field.name]');
+        control.attr('ng-required', '$field.required');
+
+        return control;
+      }
+
+      function createField(field) {
+        var fieldElement = jqLite('<div class="ng-form-schema-field"><label><span></span> </label></div>'),
+            label = fieldElement.children();
+
+        label.children().text(isDefined(field.label) ? field.label : field.name);
+        label.append(createControl(field));
+
+        return fieldElement;
+      }
+
+      function linkField(renderedField) {
+        var fieldScope = renderedField.scope,
+            control = renderedField.element.children().children().eq(1),
+            hasValueRange = isDefined(control.attr('min')) || isDefined(control.attr('max'));
+
+        $compile(renderedField.element)(fieldScope);
+
+        if (hasValueRange) {
+          // the `min` and `max` validators of the input types do not observe their attributes
+          fieldScope.$watchGroup(['$field.min', '$field.max'], function() {
+            control.controller('ngModel').$validate();
+          });
+        }
+      }
+
+      /**
+       * takes the rendered field with the given name out of the list, if it has been rendered from
+       * the same markup
+       */
+      function takeRenderedField(fields, name, markup) {
+        for (var i = 0; i < fields.length; i++) {
+          if (fields[i].name === name && fields[i].markup === markup) {
+            return fields.splice(i, 1)[0];
+          }
+        }
+      }
+
+      scope.$watchCollection(attr.ngFormSchema, function ngFormSchemaWatchAction(fields) {
+        var previousFields = renderedFields,
+            parent = element[0],
+            // the fields are rendered after the node that precedes the previously rendered fields
+            prevNode = previousFields.length ?
+                previousFields[0].element[0].previousSibling : parent.lastChild;
+
+        renderedFields = [];
+
+        // fields are only rendered again if their markup changes, so that their controls keep
+        // their state
+        forEach(fields, function(field) {
+          var fieldElement = createField(field),
+              markup = fieldElement[0].outerHTML,
+              renderedField = takeRenderedField(previousFields, field.name, markup);
+
+          if (!renderedField) {
+            renderedField = {name: field.name, markup: markup, element: fieldElement};
+          }
+          renderedFields.push(renderedField);
+        });
+
+        forEach(previousFields, function(renderedField) {
+          renderedField.scope.$destroy();
+          renderedField.element.remove();
+        });
+
+        forEach(renderedFields, function(renderedField, index) {
+          var node = renderedField.element[0],
+              nextNode = prevNode ? prevNode.nextSibling : parent.firstChild;
+
+          if (node !== nextNode) parent.insertBefore(node, nextNode);
+          prevNode = node;
+
+          if (renderedField.scope) {
+            renderedField.scope.$field = fields[index];
+          } else {
+            renderedField.scope = scope.$new();
+            renderedField.scope.$field = fields[index];
+            // the element has to be in the form before linking, so that the control finds the form
+            linkField(renderedField);
+          }
+        });
+      });
+    }
+  };
+}];
@@ -1,5 +1,126 @@
 'use strict';
 
+function serializeValue(v) {
+  if (isObject(v)) {
+    return isDate(v) ? v.toISOString() : toJson(v);
+  }
+  return v;
+}
+
+
+/**
+ * @ngdoc provider
+ * @name $httpParamSerializerProvider
+ * @description
+ * Default {@link ng.$httpParamSerializer `$httpParamSerializer`} provider.
+ * */
+function $HttpParamSerializerProvider() {
+  /**
+   * @ngdoc service
+   * @name $httpParamSerializer
+   * @description
+   *
+   * Default {@link ng.$http `$http`} params serializer that converts objects to strings
+   * according to the following rules:
+   *
+   * * `{'foo': 'bar'}` results in `foo=bar`
+   * * `{'foo': new Date()}` results in `foo=2015-04-01T09%3A50%3A49.262Z` (`toISOString()` and
+   *   encoded representation of a Date object)
+   * * `{'foo': ['bar', 'baz']}` results in `foo=bar&foo=baz` (repeated key for each array element)
+   * * `{'foo': {'bar':'baz'}}` results in `foo=%7B%22bar%22%3A%22baz%22%7D` (stringified and
+   *   encoded representation of an object)
+   *
+   * Note that serializer will sort the request parameters alphabetically.
+   * */
+
+  this.$get = function() {
+    return function ngParamSerializer(params) {
+      if (!params) return '';
+      var parts = [];
+      forEachSorted(params, function(value, key) {
+        if (value === null || isUndefined(value)) return;
+        if (isArray(value)) {
+          forEach(value, function(v) {
+            parts.push(encodeUriQuery(key)  + '=' + encodeUriQuery(serializeValue(v)));
+          });
+        } else {
+          parts.push(encodeUriQuery(key) + '=' + encodeUriQuery(serializeValue(value)));
+        }
+      });
+
+      return parts.join('&');
+    };
+  };
+}
+
+
+/**
+ * @ngdoc provider
+ * @name $httpParamSerializerJQLikeProvider
+ * @description
+ * {@link ng.$httpParamSerializerJQLike `$httpParamSerializerJQLike`} provider.
+ * */
+function $HttpParamSerializerJQLikeProvider() {
+  /**
+   * @ngdoc service
+   * @name $httpParamSerializerJQLike
+   * @description
+   *
+   * Alternative {@link ng.$http `$http`} params serializer that follows
+   * jQuery's [`param()`](http://api.jquery.com/jquery.param/) method logic.
+   * The serializer will also sort the params alphabetically.
+   *
+   * To use it for serializing `$http` request parameters, set it as the `paramSerializer` property:
+   *
+   * ```js
+   * $http({
+   *   url: myUrl,
+   *   method: 'GET',
+   *   params: myParams,
+   *   paramSerializer: '$httpParamSerializerJQLike'
+   * });
+   * ```
+   *
+   * It is also possible to set it as the default `paramSerializer` in the
+   * {@link ng.$httpProvider#defaults `$httpProvider`}.
+   *
+   * The serializer follows these rules:
+   *
+   * * `{'foo': ['bar', 'baz']}` results in `foo%5B%5D=bar&foo%5B%5D=baz` (`foo[]=bar&foo[]=baz`)
+   * * `{'foo': {'bar': 'baz'}}` results in `foo%5Bbar%5D=baz` (`foo[bar]=baz`)
+   * * `{'foo': [{'bar': 'baz'}]}` results in `foo%5B0%5D%5Bbar%5D=baz` (`foo[0][bar]=baz`)
+   * * `{'foo': new Date()}` results in `foo=2015-04-01T09%3A50%3A49.262Z`
+   *
+   * */
+  this.$get = function() {
+    return function jQueryLikeParamSerializer(params) {
+      if (!params) return '';
+      var parts = [];
+      serialize(params, '', true);
+      return parts.join('&');
+
+      function serialize(toSerialize, prefix, topLevel) {
+        if (toSerialize === null || isUndefined(toSerialize)) return;
+        if (isArray(toSerialize)) {
+          forEach(toSerialize, function(value, index) {
+            serialize(value, prefix + '[' + (isObject(value) ? index : '') + ']');
+          });
+        } else if (isObject(toSerialize) && !isDate(toSerialize)) {
+          forEachSorted(toSerialize, function(value, key) {
+            serialize(value, prefix +
+                (topLevel ? '' : '[') +
+                key +
+                (topLevel ? '' : ']'));
+          });
+        } else {
+          parts.push(encodeUriQuery(prefix) + '=' + encodeUriQuery(serializeValue(toSerialize)));
+        }
+      }
+    };
+  };
+}
+
+
 /**
  * Parse headers into key value object
  *
@@ -111,6 +232,16 @@ function $HttpProvider() {
    *     - **`defaults.headers.post`**
    *     - **`defaults.headers.put`**
    *     - **`defaults.headers.patch`**
+   *
+   * - **`defaults.dedupe`** - {boolean|Array.<string>} - Whether identical GET requests that are
+   * in flight at the same time should share a single request to the server. Defaults to `false`.
+   * See {@link ng.$http#request-deduplication $http} for more information.
+   *
+   * - **`defaults.paramSerializer`** - `{string|function(Object<string,string>):string}` - A function
+   *  used to prepare string representation of request parameters (specified as an object).
+   *  If specified as string, it is interpreted as a function registered with the
+   *  {@link auto.$injector $injector}.
+   *  Defaults to {@link ng.$httpParamSerializer $httpParamSerializer}.
    **/
   var defaults = this.defaults = {
     // transform incoming response data
@@ -140,7 +271,9 @@ function $HttpProvider() {
     },
 
     xsrfCookieName: 'XSRF-TOKEN',
-    xsrfHeaderName: 'X-XSRF-TOKEN'
+    xsrfHeaderName: 'X-XSRF-TOKEN',
+
+    paramSerializer: '$httpParamSerializer'
   };
 
   var useApplyAsync = false;
@@ -182,6 +315,13 @@ function $HttpProvider() {
 
     var defaultCache = $cacheFactory('$http');
 
+    /**
+     * The deduplicated requests that are in flight, keyed by `dedupeKey()`. Each entry holds the
+     * `subscribers` (callbacks of the `$http` calls sharing the request) and the `abort` deferred,
+     * which is resolved to abort the request once every subscriber has cancelled.
+     */
+    var inFlightRequests = {};
+
     /**
      * Interceptors stored in reverse order. Inner interceptors before outer interceptors.
      * The reversal is needed so that we can build up the interception chain around the
@@ -362,6 +502,29 @@ function $HttpProvider() {
      * If you set the default cache to `false` then only requests that specify their own custom
      * cache object will be cached.
      *
+     *
+     * # Request deduplication
+     *
+     * If you only want to avoid sending the same GET request several times at once, without
+     * keeping the response around afterwards, set the request configuration `dedupe` property to
+     * `true` (or set {@link ng.$http#properties_defaults `$http.defaults.dedupe`} to enable it for
+     * all requests). While a deduplicated GET request is in flight, identical requests share it
+     * instead of sending a new request to the server. Once the response arrives, the next request
+     * goes to the server again.
+     *
+     * Requests are considered identical if they have the same URL, including the serialized
+     * `params`, as well as the same `responseType` and `withCredentials` setting. By default request
+     * headers are ignored; set `dedupe` to an array of header names (e.g. `['Accept-Language']`) to
+     * only share requests whose values for those headers match.
+     *
+     * The `timeout` of each request still applies to that request alone: when it expires (or its
+     * promise is resolved), the request is rejected, while the other requests keep waiting for the
+     * response. The request to the server is only aborted once all requests sharing it have been
+     * cancelled.
+     *
+     * Deduplication is not applied to requests that are served from a cache, as the cache already
+     * shares pending requests.
+     *
      * # Interceptors
      *
      * Before you start creating interceptors, be sure to understand the
@@ -509,15 +672,22 @@ function $HttpProvider() {
      *
      *    - **method** – `{string}` – HTTP method (e.g. 'GET', 'POST', etc)
      *    - **url** – `{string}` – Absolute or relative URL of the resource that is being requested.
-     *    - **params** – `{Object.<string|Object>}` – Map of strings or objects which will be turned
-     *      to `?key1=value1&key2=value2` after the url. If the value is not a string, it will be
-     *      JSONified.
+     *    - **params** – `{Object.<string|Object>}` – Map of strings or objects which will be serialized
+     *      with the `paramSerializer` and appended as GET parameters.
      *    - **data** – `{string|Object}` – Data to be sent as the request message data.
      *    - **headers** – `{Object}` – Map of strings or functions which return strings representing
      *      HTTP headers to send to the server. If the return value of a function is null, the
      *      header will not be sent.
      *    - **xsrfHeaderName** – `{string}` – Name of HTTP header to populate with the XSRF token.
      *    - **xsrfCookieName** – `{string}` – Name of cookie containing the XSRF token.
+     *    - **paramSerializer** - `{string|function(Object<string,string>):string}` - A function used to
+     *      prepare the string representation of request parameters (specified as an object).
+     *      If specified as string, it is interpreted as function registered with the
+     *      {@link auto.$injector $injector}, which means you can create your own serializer
+     *      by registering it as a {@link auto.$provide#service service}.
+     *      The default serializer is the {@link ng.$httpParamSerializer $httpParamSerializer};
+     *      alternatively, you can use the
+     *      {@link ng.$httpParamSerializerJQLike $httpParamSerializerJQLike} serializer.
      *    - **transformRequest** –
      *      `{function(data, headersGetter)|Array.<function(data, headersGetter)>}` –
      *      transform function or an array of such functions. The transform function takes the http
@@ -530,11 +700,20 @@ function $HttpProvider() {
      *      GET request, otherwise if a cache instance built with
      *      {@link ng.$cacheFactory $cacheFactory}, this cache will be used for
      *      caching.
+     *    - **dedupe** – `{boolean|Array.<string>}` – If true, an identical GET request that is
+     *      already in flight is shared instead of sending a new one. If an array of header names is
+     *      given, those request headers are also compared. See
+     *      {@link ng.$http#request-deduplication Request deduplication}.
      *    - **timeout** – `{number|Promise}` – timeout in milliseconds, or {@link ng.$q promise}
      *      that should abort the request when resolved.
      *    - **withCredentials** - `{boolean}` - whether to set the `withCredentials` flag on the
      *      XHR object. See [requests with credentials](https://developer.mozilla.org/docs/Web/HTTP/Access_control_CORS#Requests_with_credentials)
      *      for more information.
+     *    - **eventHandlers** - `{Object}` - Event listeners to be bound to the XMLHttpRequest object,
+     *      keyed by event name (e.g. `progress`). The listeners are invoked inside of a digest.
+     *    - **uploadEventHandlers** - `{Object}` - Event listeners to be bound to the
+     *      XMLHttpRequest upload object, e.g. `{progress: fn}` to track the progress of an upload.
+     *      The listeners are invoked inside of a digest.
      *    - **responseType** - `{string}` - see
      *      [requestType](https://developer.mozilla.org/en-US/docs/DOM/XMLHttpRequest#responseType).
      *
@@ -648,13 +827,16 @@ function $HttpProvider() {
       var config = {
         method: 'get',
         transformRequest: defaults.transformRequest,
-        transformResponse: defaults.transformResponse
+        transformResponse: defaults.transformResponse,
+        paramSerializer: defaults.paramSerializer
       };
       var headers = mergeHeaders(requestConfig);
 
       extend(config, requestConfig);
       config.headers = headers;
       config.method = uppercase(config.method);
+      config.paramSerializer = isString(config.paramSerializer) ?
+        $injector.get(config.paramSerializer) : config.paramSerializer;
 
       var serverRequest = function(config) {
         headers = config.headers;
@@ -902,14 +1084,18 @@ function $HttpProvider() {
      * Makes the request.
      *
      * !!! ACCESSES CLOSURE VARS:
-     * $httpBackend, defaults, $log, $rootScope, defaultCache, $http.pendingRequests
+     * $httpBackend, defaults, $log, $rootScope, defaultCache, inFlightRequests,
+     * $http.pendingRequests
      */
     function sendReq(config, reqData, reqHeaders) {
       var deferred = $q.defer(),
           promise = deferred.promise,
           cache,
           cachedResp,
-          url = buildUrl(config.url, config.params);
+          dedupe,
+          inFlightKey,
+          sharedRequest,
+          url = buildUrl(config.url, config.paramSerializer(config.params));
 
       $http.pendingRequests.push(config);
       promise.then(removePendingReq, removePendingReq);
@@ -941,6 +1127,22 @@ function $HttpProvider() {
           // put the promise for the non-transformed response into cache as a placeholder
           cache.put(url, promise);
         }
+      } else {
+        dedupe = isDefined(config.dedupe) ? config.dedupe : defaults.dedupe;
+
+        if (dedupe && config.method === 'GET') {
+          inFlightKey = dedupeKey(url, reqHeaders, dedupe, config);
+
+          if (inFlightRequests.hasOwnProperty(inFlightKey)) {
+            // an identical request has already been sent, share its response
+            sharedRequest = inFlightRequests[inFlightKey];
+            subscribeToSharedRequest();
+            return promise;
+          }
+
+          sharedRequest = inFlightRequests[inFlightKey] = {subscribers: [], abort: $q.defer()};
+          subscribeToSharedRequest();
+        }
       }
 
 
@@ -954,13 +1156,42 @@ function $HttpProvider() {
           reqHeaders[(config.xsrfHeaderName || defaults.xsrfHeaderName)] = xsrfValue;
         }
 
-        $httpBackend(config.method, url, reqData, done, reqHeaders, config.timeout,
-            config.withCredentials, config.responseType);
+        $httpBackend(config.method, url, reqData, done, reqHeaders,
+            sharedRequest ? sharedRequest.abort.promise : config.timeout,
+            config.withCredentials, config.responseType,
+            createApplyHandlers(config.eventHandlers),
+            createApplyHandlers(config.uploadEventHandlers));
       }
 
       return promise;
 
 
+      /**
+       * Wraps the given XHR event handlers so that they are invoked inside of a digest.
+       */
+      function createApplyHandlers(eventHandlers) {
+        if (eventHandlers) {
+          var applyHandlers = {};
+          forEach(eventHandlers, function(eventHandler, key) {
+            applyHandlers[key] = function(event) {
+              if (useApplyAsync) {
+                $rootScope.$applyAsync(callEventHandler);
+              } else if ($rootScope.$$phase) {
+                callEventHandler();
+              } else {
+                $rootScope.$apply(callEventHandler);
+              }
+
+              function callEventHandler() {
+                eventHandler(event);
+              }
+            };
+          });
+          return applyHandlers;
+        }
+      }
+
+
       /**
        * Callback registered to $httpBackend():
        *  - caches the response if desired
@@ -968,6 +1199,10 @@ function $HttpProvider() {
        *  - calls $apply
        */
       function done(status, response, headersString, statusText) {
+        if (sharedRequest) {
+          removeSharedRequest();
+        }
+
         if (cache) {
           if (isSuccess(status)) {
             cache.put(url, [status, response, parseHeaders(headersString), statusText]);
@@ -977,19 +1212,75 @@ function $HttpProvider() {
           }
         }
 
-        function resolveHttpPromise() {
-          resolvePromise(response, status, headersString, statusText);
-        }
+        var subscribers = sharedRequest && sharedRequest.subscribers;
 
+        applyResolution(function resolveHttpPromise() {
+          if (subscribers) {
+            forEach(subscribers.splice(0, subscribers.length), function(subscriber) {
+              subscriber(response, status, headersString, statusText);
+            });
+          } else {
+            resolvePromise(response, status, headersString, statusText);
+          }
+        });
+      }
+
+
+      function applyResolution(resolveFn) {
         if (useApplyAsync) {
-          $rootScope.$applyAsync(resolveHttpPromise);
+          $rootScope.$applyAsync(resolveFn);
         } else {
-          resolveHttpPromise();
+          resolveFn();
           if (!$rootScope.$$phase) $rootScope.$apply();
         }
       }
 
 
+      /**
+       * Registers this call as a subscriber of the shared request. The timeout of the call only
+       * rejects its own promise; the shared request is aborted when its last subscriber is gone.
+       */
+      function subscribeToSharedRequest() {
+        var subscribers = sharedRequest.subscribers,
+            timeoutId;
+
+        subscribers.push(resolveSubscriber);
+
+        if (config.timeout > 0) {
+          timeoutId = $browser.defer(cancel, config.timeout);
+        } else if (isPromiseLike(config.timeout)) {
+          config.timeout.then(cancel);
+        }
+
+        function resolveSubscriber(response, status, headersString, statusText) {
+          if (timeoutId) $browser.defer.cancel(timeoutId);
+          resolvePromise(response, status, headersString, statusText);
+        }
+
+        function cancel() {
+          var index = indexOf(subscribers, resolveSubscriber);
+          if (index === -1) return;
+
+          subscribers.splice(index, 1);
+          if (!subscribers.length) {
+            removeSharedRequest();
+            sharedRequest.abort.resolve();
+          }
+
+          applyResolution(function() {
+            resolvePromise(undefined, -1, '', '');
+          });
+        }
+      }
+
+
+      function removeSharedRequest() {
+        if (inFlightRequests[inFlightKey] === sharedRequest) {
+          delete inFlightRequests[inFlightKey];
+        }
+      }
+
+
       /**
        * Resolves the raw $http promise.
        */
@@ -1014,27 +1305,27 @@ function $HttpProvider() {
     }
 
 
-    function buildUrl(url, params) {
-      if (!params) return url;
-      var parts = [];
-      forEachSorted(params, function(value, key) {
-        if (value === null || isUndefined(value)) return;
-        if (!isArray(value)) value = [value];
-
-        forEach(value, function(v) {
-          if (isObject(v)) {
-            if (isDate(v)){
-              v = v.toISOString();
-            } else if (isObject(v)) {
-              v = toJson(v);
-            }
-          }
-          parts.push(encodeUriQuery(key) + '=' +
-                     encodeUriQuery(v));
+    function dedupeKey(url, headers, dedupe, config) {
+      var key = [url, 'responseType:' + (config.responseType || ''),
+                 'withCredentials:' + !!config.withCredentials];
+
+      if (isArray(dedupe)) {
+        forEach(dedupe, function(name) {
+          var value;
+          forEach(headers, function(headerValue, headerName) {
+            if (lowercase(headerName) === lowercase(name)) value = headerValue;
+          });
+          key.push(lowercase(name) + ':' + (isDefined(value) ? value : ''));
         });
-      });
-      if(parts.length > 0) {
-        url += ((url.indexOf('?') == -1) ? '?' : '&') + parts.join('&');
+      }
+
+      return key.join('\n');
+    }
+
+
+    function buildUrl(url, serializedParams) {
+      if (serializedParams.length > 0) {
+        url += ((url.indexOf('?') == -1) ? '?' : '&') + serializedParams;
       }
       return url;
     }
@@ -40,7 +40,8 @@ function createHttpBackend($browser, createXhr, $browserDefer, callbacks, rawDoc
   var ABORTED = -1;
 
   // TODO(vojta): fix the signature
-  return function(method, url, post, callback, headers, timeout, withCredentials, responseType) {
+  return function(method, url, post, callback, headers, timeout, withCredentials, responseType,
+                  eventHandlers, uploadEventHandlers) {
     var status;
     $browser.$$incOutstandingRequestCount();
     url = url || $browser.url();
@@ -106,6 +107,16 @@ function createHttpBackend($browser, createXhr, $browserDefer, callbacks, rawDoc
         }
       };
 
+      forEach(eventHandlers, function(value, key) {
+        xhr.addEventListener(key, value);
+      });
+
+      if (xhr.upload) {
+        forEach(uploadEventHandlers, function(value, key) {
+          xhr.upload.addEventListener(key, value);
+        });
+      }
+
       if (withCredentials) {
         xhr.withCredentials = true;
       }
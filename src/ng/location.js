@@ -89,6 +89,7 @@ function serverBase(url) {
  */
 function LocationHtml5Url(appBase, basePrefix) {
   this.$$html5 = true;
+  this.$$historyState = true;
   basePrefix = basePrefix || '';
   var appBaseNoFile = stripFile(appBase);
   parseAbsoluteUrl(appBase, this, appBase);
@@ -288,12 +289,24 @@ LocationHashbangInHtml5Url.prototype =
    */
   $$html5: false,
 
+  /**
+   * Can history state objects be stored along with the url?
+   * @private
+   */
+  $$historyState: false,
+
   /**
    * Has any change been replacing ?
    * @private
    */
   $$replace: false,
 
+  /**
+   * The history state object of the current url.
+   * @private
+   */
+  $$state: null,
+
   /**
    * @ngdoc method
    * @name $location#absUrl
@@ -498,6 +511,49 @@ LocationHashbangInHtml5Url.prototype =
    */
   replace: function() {
     this.$$replace = true;
+    return this;
+  },
+
+  /**
+   * @ngdoc method
+   * @name $location#state
+   *
+   * @description
+   * This method is getter / setter.
+   *
+   * Return the history state object when called without any parameter.
+   *
+   * Change the history state object when called with one parameter and return `$location`.
+   * The state object is later passed to `pushState` or `replaceState` (depending on whether
+   * {@link ng.$location#replace `$location.replace()`} has been called) and is restored when the
+   * user navigates back to the history entry, which also triggers
+   * {@link ng.$location#events_$locationChangeStart $locationChangeStart} and
+   * {@link ng.$location#events_$locationChangeSuccess $locationChangeSuccess} when only the
+   * state has changed.
+   *
+   * The state object must be serializable by the structured clone algorithm. Note that the
+   * browser stores a copy of it, so changes made to the object afterwards are not persisted.
+   *
+   * NOTE: This method is supported only in HTML5 mode and only in browsers supporting
+   * the HTML5 History API (i.e. methods `pushState` and `replaceState`). In other modes, the
+   * getter always returns `null` and calling the setter throws an exception.
+   *
+   * @param {object=} state State object for pushState or replaceState
+   * @return {object} state
+   */
+  state: function(state) {
+    if (!arguments.length)
+      return this.$$state;
+
+    if (!this.$$historyState) {
+      throw $locationMinErr('nostate', 'History API state support is available only ' +
+        'in HTML5 mode and only in browsers supporting HTML5 History API');
+    }
+    // The user might modify `stateObject` after invoking `$location.state(stateObject)`
+    // but we're changing the $$state reference to $browser.state() during the $digest
+    // so the modification window is narrow.
+    this.$$state = isUndefined(state) ? null : state;
+
     return this;
   }
 };
@@ -556,7 +612,15 @@ function locationGetterSetter(property, preprocess) {
  */
 function $LocationProvider(){
   var hashPrefix = '',
-      html5Mode = false;
+      html5Mode = {
+        enabled: false,
+        requireBase: true,
+        rewriteLinks: true
+      },
+      scrollRestoration = {
+        enabled: false,
+        containers: []
+      };
 
   /**
    * @ngdoc method
@@ -578,15 +642,92 @@ function $LocationProvider(){
    * @ngdoc method
    * @name $locationProvider#html5Mode
    * @description
-   * @param {boolean=} mode Use HTML5 strategy if available.
-   * @returns {*} current value if used as getter or itself (chaining) if used as setter
+   * @param {(boolean|Object)=} mode If boolean, sets `html5Mode.enabled` to value (other values
+   *   are converted to a boolean). If object, sets `enabled`, `requireBase` and `rewriteLinks` to respective values. Supported
+   *   properties:
+   *   - **enabled** – `{boolean}` – (default: false) If true, will rely on `history.pushState` to
+   *     change urls where supported. Will fall back to hash-prefixed paths in browsers that do not
+   *     support `pushState`.
+   *   - **requireBase** - `{boolean}` - (default: `true`) When html5Mode is enabled, specifies
+   *     whether or not a <base> tag is required to be present. If `enabled` and `requireBase` are
+   *     true, and a base tag is not present, an error will be thrown when `$location` is injected.
+   *     Applications without a base tag opt out with `requireBase: false`.
+   *     See the {@link guide/$location $location guide for more information}
+   *   - **rewriteLinks** - `{boolean|string}` - (default: `true`) When html5Mode is enabled,
+   *     enables/disables url rewriting for relative links. If set to a string, url rewriting is
+   *     only enabled for links that have an attribute with the given name, e.g. with
+   *     `rewriteLinks: 'internal-link'` only `<a href="/some/path" internal-link>` is rewritten.
+   *
+   * @returns {*} whether html5Mode is enabled if used as getter or itself (chaining) if used as
+   *   setter
    */
   this.html5Mode = function(mode) {
-    if (isDefined(mode)) {
-      html5Mode = mode;
+    if (isObject(mode)) {
+
+      if (isBoolean(mode.enabled)) {
+        html5Mode.enabled = mode.enabled;
+      }
+
+      if (isBoolean(mode.requireBase)) {
+        html5Mode.requireBase = mode.requireBase;
+      }
+
+      if (isBoolean(mode.rewriteLinks) || isString(mode.rewriteLinks)) {
+        html5Mode.rewriteLinks = mode.rewriteLinks;
+      }
+
+      return this;
+    } else if (isDefined(mode)) {
+      html5Mode.enabled = !!mode;
+      return this;
+    } else {
+      return html5Mode.enabled;
+    }
+  };
+
+  /**
+   * @ngdoc method
+   * @name $locationProvider#scrollRestoration
+   * @description
+   * Configures the restoration of scroll positions on history navigation, which is disabled by
+   * default.
+   *
+   * When enabled, the scroll position of the window is recorded for each history entry before the
+   * application navigates away from it. When the user then returns to the entry with the back or
+   * forward button of the browser, the recorded position is restored once the new content of the
+   * {@link ngRoute.directive:ngView ngView} has been loaded, instead of scrolling the view with
+   * `autoscroll`. Routes can opt out by setting `scrollRestoration` to `false` in their
+   * definition. See {@link ng.$scrollRestoration `$scrollRestoration`} for the details and for
+   * restoring the positions of content that is not rendered by `ngView`.
+   *
+   * Enabling scroll restoration turns off the scroll restoration of the browser itself (by setting
+   * `history.scrollRestoration` to `'manual'`). It requires a browser that supports the HTML5
+   * History API.
+   *
+   * @param {(boolean|Object)=} mode If boolean, enables or disables scroll restoration. If object,
+   *   the following properties are supported:
+   *
+   *   - **enabled** – `{boolean}` – (default: true) whether scroll positions are restored.
+   *   - **containers** – `{Array.<string>}` – (default: []) CSS selectors of scrollable elements
+   *     whose scroll positions should be restored along with the one of the window.
+   *
+   * @returns {*} current value if used as getter or itself (chaining) if used as setter
+   */
+  this.scrollRestoration = function(mode) {
+    if (isObject(mode)) {
+      scrollRestoration = {
+        enabled: isDefined(mode.enabled) ? !!mode.enabled : true,
+        containers: mode.containers || []
+      };
+      return this;
+    } else if (isDefined(mode)) {
+      scrollRestoration = {
+        enabled: !!mode,
+        containers: scrollRestoration.containers
+      };
       return this;
     } else {
-      return html5Mode;
+      return scrollRestoration;
     }
   };
 
@@ -603,6 +744,8 @@ function $LocationProvider(){
    * @param {Object} angularEvent Synthetic event object.
    * @param {string} newUrl New URL
    * @param {string=} oldUrl URL that was before it was changed.
+   * @param {object=} newState New history state object
+   * @param {object=} oldState History state object that was before it was changed.
    */
 
   /**
@@ -615,17 +758,23 @@ function $LocationProvider(){
    * @param {Object} angularEvent Synthetic event object.
    * @param {string} newUrl New URL
    * @param {string=} oldUrl URL that was before it was changed.
+   * @param {object=} newState New history state object
+   * @param {object=} oldState History state object that was before it was changed.
    */
 
-  this.$get = ['$rootScope', '$browser', '$sniffer', '$rootElement',
-      function( $rootScope,   $browser,   $sniffer,   $rootElement) {
+  this.$get = ['$rootScope', '$browser', '$sniffer', '$rootElement', '$scrollRestoration',
+      function( $rootScope,   $browser,   $sniffer,   $rootElement,   $scrollRestoration) {
     var $location,
         LocationMode,
         baseHref = $browser.baseHref(), // if base[href] is undefined, it defaults to ''
         initialUrl = $browser.url(),
         appBase;
 
-    if (html5Mode) {
+    if (html5Mode.enabled) {
+      if (!baseHref && html5Mode.requireBase) {
+        throw $locationMinErr('nobase',
+          "$location in HTML5 mode requires a <base> tag to be present!");
+      }
       appBase = serverBase(initialUrl) + (baseHref || '/');
       LocationMode = $sniffer.history ? LocationHtml5Url : LocationHashbangInHtml5Url;
     } else {
@@ -634,6 +783,7 @@ function $LocationProvider(){
     }
     $location = new LocationMode(appBase, '#' + hashPrefix);
     $location.$$parse($location.$$rewrite(initialUrl));
+    $location.$$state = browserState();
 
     var IGNORE_URI_REGEXP = /^\s*(javascript|mailto):/i;
 
@@ -641,7 +791,9 @@ function $LocationProvider(){
       // TODO(vojta): rewrite link when opening in new tab/window (in legacy browser)
       // currently we open nice url link and redirect then
 
-      if (event.ctrlKey || event.metaKey || event.which == 2) return;
+      var rewriteLinks = html5Mode.rewriteLinks;
+
+      if (!rewriteLinks || event.ctrlKey || event.metaKey || event.which == 2) return;
 
       var elm = jqLite(event.target);
 
@@ -651,6 +803,9 @@ function $LocationProvider(){
         if (elm[0] === $rootElement[0] || !(elm = elm.parent())[0]) return;
       }
 
+      // ignore links that haven't opted in to rewriting
+      if (isString(rewriteLinks) && isUndefined(elm.attr(rewriteLinks))) return;
+
       var absHref = elm.prop('href');
 
       if (isObject(absHref) && absHref.toString() === '[object SVGAnimatedString]') {
@@ -713,22 +868,29 @@ function $LocationProvider(){
 
     // rewrite hashbang url <> html5 url
     if ($location.absUrl() != initialUrl) {
-      $browser.url($location.absUrl(), true);
+      $browser.url($location.absUrl(), true, $location.$$state);
     }
+    identifyHistoryEntry();
+    $scrollRestoration.$$enter($browser.state());
 
     // update $location when $browser url changes
     $browser.onUrlChange(function(newUrl) {
-      if ($location.absUrl() != newUrl) {
+      var newState = browserState();
+
+      if ($location.absUrl() != newUrl || $location.$$state !== newState) {
         $rootScope.$evalAsync(function() {
-          var oldUrl = $location.absUrl();
+          var oldUrl = $location.absUrl(),
+              oldState = $location.$$state;
 
           $location.$$parse(newUrl);
-          if ($rootScope.$broadcast('$locationChangeStart', newUrl,
-                                    oldUrl).defaultPrevented) {
+          $location.$$state = newState;
+          if ($rootScope.$broadcast('$locationChangeStart', newUrl, oldUrl,
+                                    newState, oldState).defaultPrevented) {
             $location.$$parse(oldUrl);
-            $browser.url(oldUrl);
+            $location.$$state = oldState;
+            $browser.url(oldUrl, false, oldState);
           } else {
-            afterLocationChange(oldUrl);
+            afterLocationChange(oldUrl, oldState, true);
           }
         });
         if (!$rootScope.$$phase) $rootScope.$digest();
@@ -739,17 +901,30 @@ function $LocationProvider(){
     var changeCounter = 0;
     $rootScope.$watch(function $locationWatch() {
       var oldUrl = $browser.url();
+      var oldState = browserState();
       var currentReplace = $location.$$replace;
+      var urlOrStateChanged = oldUrl != $location.absUrl() || oldState !== $location.$$state;
 
-      if (!changeCounter || oldUrl != $location.absUrl()) {
+      if (!changeCounter || urlOrStateChanged) {
         changeCounter++;
         $rootScope.$evalAsync(function() {
-          if ($rootScope.$broadcast('$locationChangeStart', $location.absUrl(), oldUrl).
-              defaultPrevented) {
+          var newState = $location.$$state;
+
+          if ($rootScope.$broadcast('$locationChangeStart', $location.absUrl(), oldUrl,
+                                    newState, oldState).defaultPrevented) {
             $location.$$parse(oldUrl);
+            $location.$$state = oldState;
           } else {
-            $browser.url($location.absUrl(), currentReplace);
-            afterLocationChange(oldUrl);
+            if (urlOrStateChanged) {
+              // a new url doesn't inherit the state of the previous one (nor the id of its history
+              // entry)
+              $browser.url($location.absUrl(), currentReplace,
+                  $scrollRestoration.$$withEntryId(newState === oldState ? null : newState));
+              // the browser stores a copy of the state, which becomes the state of $location so
+              // that the identity check above keeps working
+              $location.$$state = browserState();
+            }
+            afterLocationChange(oldUrl, oldState);
           }
         });
       }
@@ -760,8 +935,30 @@ function $LocationProvider(){
 
     return $location;
 
-    function afterLocationChange(oldUrl) {
-      $rootScope.$broadcast('$locationChangeSuccess', $location.absUrl(), oldUrl);
+    function browserState() {
+      return $location.$$historyState ? $scrollRestoration.$$userState($browser.state()) : null;
+    }
+
+    /**
+     * gives the current history entry an id for the scroll restoration, if it does not have one
+     * yet (e.g. if the browser created the entry when following a link to a fragment)
+     */
+    function identifyHistoryEntry() {
+      var state = $browser.state(),
+          entryState = $scrollRestoration.$$withEntryId(state);
+
+      if (entryState !== state) {
+        $browser.url($browser.url(), true, entryState);
+        $location.$$state = browserState();
+      }
+    }
+
+    function afterLocationChange(oldUrl, oldState, historyNavigation) {
+      if (historyNavigation) identifyHistoryEntry();
+      $scrollRestoration.$$enter($browser.state(), historyNavigation);
+
+      $rootScope.$broadcast('$locationChangeSuccess', $location.absUrl(), oldUrl, $location.$$state,
+          oldState);
     }
 }];
 }
@@ -493,6 +493,19 @@ function qFactory(nextTick, exceptionHandler) {
     return result.promise.then(callback, errback, progressBack);
   };
 
+  /**
+   * @ngdoc method
+   * @name $q#resolve
+   * @kind function
+   *
+   * @description
+   * Alias of {@link ng.$q#when when} to maintain naming consistency with ES6.
+   *
+   * @param {*} value Value or a promise
+   * @returns {Promise} Returns a promise of the passed value or promise
+   */
+  var resolve = when;
+
   /**
    * @ngdoc method
    * @name $q#all
@@ -533,6 +546,85 @@ function qFactory(nextTick, exceptionHandler) {
     return deferred.promise;
   }
 
+  /**
+   * @ngdoc method
+   * @name $q#race
+   * @kind function
+   *
+   * @description
+   * Returns a promise that is resolved or rejected as soon as the first of the input promises is
+   * resolved or rejected, with the value or reason from that promise.
+   *
+   * Non-promise values are treated as already resolved promises. If `promises` is empty, the
+   * returned promise is never settled.
+   *
+   * @param {Array.<Promise>|Object.<Promise>} promises An array or hash of promises.
+   * @returns {Promise} Returns a promise that will be settled like the first of the `promises` to
+   *   be settled.
+   */
+
+  function race(promises) {
+    var deferred = new Deferred();
+
+    forEach(promises, function(promise) {
+      when(promise).then(deferred.resolve, deferred.reject);
+    });
+
+    return deferred.promise;
+  }
+
+  /**
+   * @ngdoc method
+   * @name $q#allSettled
+   * @kind function
+   *
+   * @description
+   * Combines multiple promises into a single promise that is resolved when all of the input
+   * promises are either resolved or rejected. Unlike {@link ng.$q#all all}, the resulting promise
+   * is never rejected.
+   *
+   * Each input promise is described by an object with a `status` property, which is either
+   * `'fulfilled'` (with the resolved `value`) or `'rejected'` (with the rejection `reason`):
+   *
+   * ```js
+   *   $q.allSettled([$q.when(1), $q.reject('oops')]).then(function(results) {
+   *     // results: [{status: 'fulfilled', value: 1}, {status: 'rejected', reason: 'oops'}]
+   *   });
+   * ```
+   *
+   * @param {Array.<Promise>|Object.<Promise>} promises An array or hash of promises.
+   * @returns {Promise} Returns a single promise that will be resolved with an array/hash of
+   *   outcome objects, each corresponding to the promise at the same index/key in the `promises`
+   *   array/hash.
+   */
+
+  function allSettled(promises) {
+    var deferred = new Deferred(),
+        counter = 0,
+        results = isArray(promises) ? [] : {};
+
+    forEach(promises, function(promise, key) {
+      counter++;
+      when(promise).then(function(value) {
+        settle(key, {status: 'fulfilled', value: value});
+      }, function(reason) {
+        settle(key, {status: 'rejected', reason: reason});
+      });
+    });
+
+    if (counter === 0) {
+      deferred.resolve(results);
+    }
+
+    return deferred.promise;
+
+    function settle(key, outcome) {
+      if (results.hasOwnProperty(key)) return;
+      results[key] = outcome;
+      if (!(--counter)) deferred.resolve(results);
+    }
+  }
+
   var $Q = function Q(resolver) {
     if (!isFunction(resolver)) {
       throw $qMinErr('norslvr', "Expected resolverFn, got '{0}'", resolver);
@@ -561,7 +653,10 @@ function qFactory(nextTick, exceptionHandler) {
   $Q.defer = defer;
   $Q.reject = reject;
   $Q.when = when;
+  $Q.resolve = resolve;
   $Q.all = all;
+  $Q.race = race;
+  $Q.allSettled = allSettled;
 
   return $Q;
 }
@@ -0,0 +1,151 @@
+'use strict';
+
+// the property of the history state objects that holds the id of the history entry
+var SCROLL_ENTRY_ID = '$$scrollEntryId';
+
+// the maximum number of history entries whose scroll positions are kept
+var MAX_SCROLL_POSITIONS = 50;
+
+/**
+ * @ngdoc service
+ * @name $scrollRestoration
+ * @requires $window
+ * @requires $document
+ * @requires $sniffer
+ *
+ * @description
+ * Restores the scroll positions of history entries when the user returns to them with the back
+ * or forward button of the browser. It has to be enabled with
+ * {@link ng.$locationProvider#scrollRestoration `$locationProvider.scrollRestoration`}, and
+ * requires a browser that supports the HTML5 History API.
+ *
+ * When enabled, {@link ng.$location $location} gives each history entry of the application an
+ * id, which is kept in the history state object of the entry (as returned by `history.state`, but
+ * not by {@link ng.$location#state `$location.state()`}). The scroll position of the window (and
+ * of the configured containers) is recorded for the id of the entry the application navigates
+ * away from. Only the positions of the most recently left entries are kept.
+ *
+ * As the content of the page usually has to be rendered before the position can be restored, the
+ * position is not restored by `$location` itself, but by whoever renders the content of the
+ * entry (e.g. {@link ngRoute.directive:ngView ngView}), by calling `restore()` once the content
+ * is in place.
+ */
+$ScrollRestorationProvider.$inject = ['$locationProvider'];
+function $ScrollRestorationProvider($locationProvider) {
+
+  this.$get = ['$window', '$document', '$sniffer', function($window, $document, $sniffer) {
+    var config = $locationProvider.scrollRestoration(),
+        enabled = config.enabled && !!$sniffer.history,
+        idPrefix = new Date().getTime() + ':',
+        idCounter = 0,
+        positions = {},
+        positionIds = [],
+        currentId,
+        pendingPosition = null,
+        lastState,
+        lastUserState;
+
+    if (enabled && $window.history && 'scrollRestoration' in $window.history) {
+      // the positions are restored once the new content has been rendered
+      $window.history.scrollRestoration = 'manual';
+    }
+
+    return {
+      /**
+       * @ngdoc method
+       * @name $scrollRestoration#restore
+       *
+       * @description
+       * Restores the scroll position that has been recorded for the current history entry, if
+       * the last location change was a history navigation to it (i.e. a url change that was not
+       * initiated by the application). The position is restored at most once per navigation.
+       *
+       * @returns {boolean} whether a scroll position has been restored
+       */
+      restore: function() {
+        var position = pendingPosition;
+
+        pendingPosition = null;
+        if (!position) return false;
+
+        $window.scrollTo(position.x, position.y);
+        forEach(position.containers, function(offsets, selector) {
+          var element = $document[0].querySelector(selector);
+          if (element) {
+            element.scrollLeft = offsets[0];
+            element.scrollTop = offsets[1];
+          }
+        });
+
+        return true;
+      },
+
+      $$enabled: enabled,
+
+      /**
+       * @returns {*} the state with the id of a new history entry added, unless it already has
+       *   an id or cannot have one
+       */
+      $$withEntryId: function(state) {
+        var entryState;
+
+        if (!enabled || state !== null && (!isObject(state) || state[SCROLL_ENTRY_ID])) {
+          return state;
+        }
+
+        entryState = extend({}, state);
+        entryState[SCROLL_ENTRY_ID] = idPrefix + (++idCounter);
+        return entryState;
+      },
+
+      /**
+       * @returns {*} the state without the id of the history entry. The result is cached, so that
+       *   the same state is returned for the same history state object.
+       */
+      $$userState: function(state) {
+        if (!isObject(state) || !(SCROLL_ENTRY_ID in state)) return state;
+
+        if (state !== lastState) {
+          lastState = state;
+          // the state is null if the entry id was its only property
+          lastUserState = null;
+          forEach(state, function(value, key) {
+            if (key !== SCROLL_ENTRY_ID) (lastUserState = lastUserState || {})[key] = value;
+          });
+        }
+
+        return lastUserState;
+      },
+
+      /**
+       * records the scroll position of the entry that is left, and looks up the position of the
+       * entry with the given state if it is entered with a history navigation
+       */
+      $$enter: function(state, historyNavigation) {
+        var id = isObject(state) ? state[SCROLL_ENTRY_ID] : undefined;
+
+        if (!enabled || id === currentId) return;
+
+        // looked up first, so that the position cannot be dropped to make room for the one saved
+        pendingPosition = historyNavigation && id && positions[id] || null;
+        if (currentId) savePosition(currentId);
+        currentId = id;
+      }
+    };
+
+    function savePosition(id) {
+      var position = {x: $window.pageXOffset, y: $window.pageYOffset, containers: {}};
+
+      forEach(config.containers, function(selector) {
+        var element = $document[0].querySelector(selector);
+        if (element) position.containers[selector] = [element.scrollLeft, element.scrollTop];
+      });
+
+      if (!positions[id]) {
+        positionIds.push(id);
+        if (positionIds.length > MAX_SCROLL_POSITIONS) delete positions[positionIds.shift()];
+      }
+      positions[id] = position;
+    }
+  }];
+}
@@ -34,6 +34,8 @@ angular.mock.$Browser = function() {
   this.isMock = true;
   self.$$url = "http://server/";
   self.$$lastUrl = self.$$url; // used by url polling fn
+  self.$$state = null;
+  self.$$lastState = self.$$state;
   self.pollFns = [];
 
   // TODO(vojta): remove this temporary api
@@ -46,8 +48,9 @@ angular.mock.$Browser = function() {
   self.onUrlChange = function(listener) {
     self.pollFns.push(
       function() {
-        if (self.$$lastUrl != self.$$url) {
+        if (self.$$lastUrl != self.$$url || self.$$lastState !== self.$$state) {
           self.$$lastUrl = self.$$url;
+          self.$$lastState = self.$$state;
           listener(self.$$url);
         }
       }
@@ -144,15 +147,21 @@ angular.mock.$Browser.prototype = {
     return pollFn;
   },
 
-  url: function(url, replace) {
+  url: function(url, replace, state) {
     if (url) {
       this.$$url = url;
+      // Native pushState serializes & copies the object; simulate it.
+      this.$$state = angular.isUndefined(state) ? null : angular.copy(state);
       return this;
     }
 
     return this.$$url;
   },
 
+  state: function() {
+    return this.$$state;
+  },
+
   cookies:  function(name, value) {
     if (name) {
       if (angular.isUndefined(value)) {
@@ -1125,11 +1134,20 @@ function createHttpBackendMock($rootScope, $delegate, $browser) {
   }
 
   // TODO(vojta): change params to: method, url, data, headers, callback
-  function $httpBackend(method, url, data, callback, headers, timeout, withCredentials) {
+  function $httpBackend(method, url, data, callback, headers, timeout, withCredentials,
+                        responseType, eventHandlers, uploadEventHandlers) {
     var xhr = new MockXhr(),
         expectation = expectations[0],
         wasExpected = false;
 
+    angular.forEach(eventHandlers, function(listener, name) {
+      xhr.addEventListener(name, listener);
+    });
+
+    angular.forEach(uploadEventHandlers, function(listener, name) {
+      xhr.upload.addEventListener(name, listener);
+    });
+
     function prettyPrint(data) {
       return (angular.isString(data) || angular.isFunction(data) || data instanceof RegExp)
           ? data
@@ -1139,6 +1157,7 @@ function createHttpBackendMock($rootScope, $delegate, $browser) {
     function wrapResponse(wrapped) {
       if (!$browser && timeout && timeout.then) timeout.then(handleTimeout);
 
+      handleResponse.xhr = xhr;
       return handleResponse;
 
       function handleResponse() {
@@ -1185,7 +1204,8 @@ function createHttpBackendMock($rootScope, $delegate, $browser) {
           // if $browser specified, we do auto flush all requests
           ($browser ? $browser.defer : responsesPush)(wrapResponse(definition));
         } else if (definition.passThrough) {
-          $delegate(method, url, data, callback, headers, timeout, withCredentials);
+          $delegate(method, url, data, callback, headers, timeout, withCredentials, responseType,
+              eventHandlers, uploadEventHandlers);
         } else throw new Error('No response defined !');
         return;
       }
@@ -1508,6 +1528,33 @@ function createHttpBackendMock($rootScope, $delegate, $browser) {
   };
 
 
+  /**
+   * @ngdoc method
+   * @name $httpBackend#triggerEvent
+   * @description
+   * Calls the handlers that the pending requests registered for an event via the `eventHandlers`
+   * (or `uploadEventHandlers`) property of their config, e.g. in order to test the handling of
+   * `progress` events before the requests are flushed.
+   *
+   * ```js
+   *   $httpBackend.triggerEvent({type: 'progress', loaded: 50, total: 100}, true);
+   * ```
+   *
+   * @param {(string|Object)} event The type of the event, or the event object to pass to the
+   *   handlers, which must have a `type` property.
+   * @param {boolean=} upload Whether to trigger the `uploadEventHandlers` instead of the
+   *   `eventHandlers`.
+   */
+  $httpBackend.triggerEvent = function(event, upload) {
+    if (!responses.length) throw new Error('No pending request to trigger an event for !');
+
+    angular.forEach(responses, function(response) {
+      var target = upload ? response.xhr.upload : response.xhr;
+      target.dispatchEvent(event);
+    });
+  };
+
+
   /**
    * @ngdoc method
    * @name $httpBackend#verifyNoOutstandingExpectation
@@ -1672,6 +1719,26 @@ function MockXhr() {
   };
 
   this.abort = angular.noop;
+
+  // simulate event listener registration on the XHR object and its upload object
+  this.$$events = {};
+  this.addEventListener = function(name, listener) {
+    if (angular.isUndefined(this.$$events[name])) this.$$events[name] = [];
+    this.$$events[name].push(listener);
+  };
+
+  this.dispatchEvent = function(event) {
+    if (angular.isString(event)) event = {type: event};
+    angular.forEach(this.$$events[event.type], function(listener) {
+      listener(event);
+    });
+  };
+
+  this.upload = {
+    $$events: {},
+    addEventListener: this.addEventListener,
+    dispatchEvent: this.dispatchEvent
+  };
 }
 
 
@@ -146,6 +146,9 @@ function shallowClearAndCopy(src, dst) {
  *     caching.
  *   - **`timeout`** – `{number|Promise}` – timeout in milliseconds, or {@link ng.$q promise} that
  *     should abort the request when resolved.
+ *   - **`cancellable`** – `{boolean}` – if set to true, the request made by a "class" action can be
+ *     cancelled by calling `$cancelRequest()` on the returned instance or collection. This overrides
+ *     the resource-level `cancellable` option.
  *   - **`withCredentials`** - `{boolean}` - whether to set the `withCredentials` flag on the
  *     XHR object. See
  *     [requests with credentials](https://developer.mozilla.org/en/http_access_control#section_5)
@@ -157,12 +160,14 @@ function shallowClearAndCopy(src, dst) {
  *     with `http response` object. See {@link ng.$http $http interceptors}.
  *
  * @param {Object} options Hash with custom settings that should extend the
- *   default `$resourceProvider` behavior.  The only supported option is
+ *   default `$resourceProvider` behavior.  The supported options are
  *
  *   Where:
  *
  *   - **`stripTrailingSlashes`** – {boolean} – If true then the trailing
  *   slashes from any calculated URL will be stripped. (Defaults to true.)
+ *   - **`cancellable`** – {boolean} – If true, the requests made by all "class" actions of the
+ *   resource can be cancelled (unless overridden per action). (Defaults to false.)
  *
  * @returns {Object} A resource "class" object with methods for the default set of resource actions
  *   optionally extended with custom `actions`. The default set contains these actions:
@@ -228,6 +233,11 @@ function shallowClearAndCopy(src, dst) {
  *      rejection), `false` before that. Knowing if the Resource has been resolved is useful in
  *      data-binding.
  *
+ *   - `$cancelRequest`: only present for `cancellable` actions. Calling it aborts the pending
+ *     request. The `$promise` is then rejected with the {@link ng.$http http response} object,
+ *     which has its `cancelled` property set to `true`, and the error callback is called with it.
+ *     Calling `$cancelRequest` after the request has completed has no effect.
+ *
  * @example
  *
  * # Credit card resource
@@ -346,6 +356,9 @@ angular.module('ngResource', ['ng']).
       // Strip slashes by default
       stripTrailingSlashes: true,
 
+      // Make requests non-cancellable by default
+      cancellable: false,
+
       // Default actions configuration
       actions: {
         'get': {method: 'GET'},
@@ -356,13 +369,15 @@ angular.module('ngResource', ['ng']).
       }
     };
 
-    this.$get = ['$http', '$q', function ($http, $q) {
+    this.$get = ['$http', '$q', '$timeout', function ($http, $q, $timeout) {
 
       var noop = angular.noop,
         forEach = angular.forEach,
         extend = angular.extend,
         copy = angular.copy,
-        isFunction = angular.isFunction;
+        isFunction = angular.isFunction,
+        isNumber = angular.isNumber,
+        isDefined = angular.isDefined;
 
       /**
        * We need our custom method because encodeURIComponent is too aggressive and doesn't follow
@@ -499,11 +514,14 @@ angular.module('ngResource', ['ng']).
           var data = extend({}, this);
           delete data.$promise;
           delete data.$resolved;
+          delete data.$cancelRequest;
           return data;
         };
 
         forEach(actions, function (action, name) {
           var hasBody = /^(POST|PUT|PATCH)$/i.test(action.method);
+          var cancellable = isDefined(action.cancellable) ? action.cancellable :
+              route.defaults.cancellable;
 
           Resource[name] = function (a1, a2, a3, a4) {
             var params = {}, data, success, error;
@@ -552,13 +570,27 @@ angular.module('ngResource', ['ng']).
               defaultResponseInterceptor;
             var responseErrorInterceptor = action.interceptor && action.interceptor.responseError ||
               undefined;
+            var timeoutDeferred, numericTimeoutPromise, cancelled = false;
 
             forEach(action, function (value, key) {
-              if (key != 'params' && key != 'isArray' && key != 'interceptor') {
+              if (key != 'params' && key != 'isArray' && key != 'interceptor' &&
+                  key != 'cancellable') {
                 httpConfig[key] = copy(value);
               }
             });
 
+            if (cancellable && !isInstanceCall) {
+              // replace the configured timeout (if any) with a promise we can resolve on demand
+              timeoutDeferred = $q.defer();
+              httpConfig.timeout = timeoutDeferred.promise;
+
+              if (isNumber(action.timeout)) {
+                numericTimeoutPromise = $timeout(timeoutDeferred.resolve, action.timeout, false);
+              } else if (action.timeout && isFunction(action.timeout.then)) {
+                action.timeout.then(timeoutDeferred.resolve);
+              }
+            }
+
             if (hasBody) httpConfig.data = data;
             route.setUrlParams(httpConfig,
               extend({}, extractParams(data, action.params || {}), params),
@@ -605,6 +637,8 @@ angular.module('ngResource', ['ng']).
             }, function (response) {
               value.$resolved = true;
 
+              if (cancelled) response.cancelled = true;
+
               (error || noop)(response);
 
               return $q.reject(response);
@@ -625,6 +659,18 @@ angular.module('ngResource', ['ng']).
               value.$promise = promise;
               value.$resolved = false;
 
+              if (timeoutDeferred) {
+                value.$cancelRequest = function() {
+                  if (value.$resolved) return;
+                  cancelled = true;
+                  timeoutDeferred.resolve();
+                };
+                promise['finally'](function() {
+                  if (numericTimeoutPromise) $timeout.cancel(numericTimeoutPromise);
+                  value.$cancelRequest = noop;
+                });
+              }
+
               return value;
             }
 
@@ -643,7 +689,8 @@ angular.module('ngResource', ['ng']).
         });
 
         Resource.bind = function (additionalParamDefaults) {
-          return resourceFactory(url, extend({}, paramDefaults, additionalParamDefaults), actions);
+          return resourceFactory(url, extend({}, paramDefaults, additionalParamDefaults), actions,
+              options);
         };
 
         return Resource;
@@ -0,0 +1,64 @@
+'use strict';
+
+ngRouteModule.directive('ngRouteHref', ngRouteHrefFactory);
+
+/**
+ * @ngdoc directive
+ * @name ngRouteHref
+ * @restrict A
+ *
+ * @description
+ * Sets the `href` attribute of the element to the url of a named route, as built by
+ * {@link ngRoute.$route#href `$route.href`}. This way the paths of the routes are only defined
+ * once in the {@link ngRoute.$routeProvider `$routeProvider`} configuration, and links keep
+ * working when the paths change.
+ *
+ * The parameters of the url are taken from the `ngRouteParams` attribute. The `href` is updated
+ * whenever the name of the route or the parameters change. As long as no url can be built, e.g.
+ * because a path parameter has no value yet or because no route has the given name, the element
+ * has no `href` attribute.
+ *
+ * Requires the {@link ngRoute `ngRoute`} module to be installed.
+ *
+ * @element A
+ * @param {template} ngRouteHref The name of the route. Can contain `{{}}` markup.
+ * @param {expression=} ngRouteParams An expression evaluating to the values for the path and
+ *    search parameters of the url.
+ *
+ * @example
+ * ```js
+ * $routeProvider.when('/users/:userId/edit', {
+ *   name: 'editUser',
+ *   templateUrl: 'edit-user.html'
+ * });
+ * ```
+ *
+ * ```html
+ * <a ng-route-href="editUser" ng-route-params="{userId: user.id}">Edit {{user.name}}</a>
+ * ```
+ *
+ * renders (in hashbang mode, for the user with the id 42) as:
+ *
+ * ```html
+ * <a href="#/users/42/edit">Edit Misko</a>
+ * ```
+ */
+ngRouteHrefFactory.$inject = ['$route'];
+function ngRouteHrefFactory($route) {
+  return {
+    restrict: 'A',
+    link: function(scope, element, attr) {
+      scope.$watch(function ngRouteHrefWatch() {
+        if (!attr.ngRouteHref) return null;
+
+        try {
+          return $route.href(attr.ngRouteHref, scope.$eval(attr.ngRouteParams));
+        } catch (e) {
+          return null;
+        }
+      }, function ngRouteHrefWatchAction(href) {
+        attr.$set('href', href);
+      });
+    }
+  };
+}
@@ -16,6 +16,13 @@ ngRouteModule.directive('ngView', ngViewFillContentFactory);
  * Every time the current route changes, the included view changes with it according to the
  * configuration of the `$route` service.
  *
+ * `ngView` directives can be nested: an `ngView` contained in the template of a route renders
+ * the views of its child routes (see the `parent` property of
+ * {@link ngRoute.$routeProvider#when `$routeProvider.when`}). Giving the directive a name, e.g.
+ * `<div ng-view="sidebar"></div>`, turns it into an outlet for the corresponding named view
+ * from the `views` property of the route. An outlet is only rendered again if the route (or the
+ * parent route) that it displays has changed.
+ *
  * Requires the {@link ngRoute `ngRoute`} module to be installed.
  *
  * @animations
@@ -26,6 +33,8 @@ ngRouteModule.directive('ngView', ngViewFillContentFactory);
  *
  * @scope
  * @priority 400
+ * @param {string=} ngView|name The name of the view outlet. If empty, the default view of the
+ *                  route is rendered.
  * @param {string=} onload Expression to evaluate whenever the view updates.
  *
  * @param {string=} autoscroll Whether `ngView` should call {@link ng.$anchorScroll
@@ -179,8 +188,8 @@ ngRouteModule.directive('ngView', ngViewFillContentFactory);
  * @description
  * Emitted every time the ngView content is reloaded.
  */
-ngViewFactory.$inject = ['$route', '$anchorScroll', '$animate'];
-function ngViewFactory(   $route,   $anchorScroll,   $animate) {
+ngViewFactory.$inject = ['$route', '$anchorScroll', '$animate', '$scrollRestoration'];
+function ngViewFactory(   $route,   $anchorScroll,   $animate,   $scrollRestoration) {
   return {
     restrict: 'ECA',
     terminal: true,
@@ -189,9 +198,13 @@ function ngViewFactory(   $route,   $anchorScroll,   $animate) {
     link: function(scope, $element, attr, ctrl, $transclude) {
         var currentScope,
             currentElement,
+            currentSegment,
             previousElement,
             autoScrollExp = attr.autoscroll,
-            onloadExp = attr.onload || '';
+            onloadExp = attr.onload || '',
+            name = attr.ngView || attr.name || '',
+            parentView = $element.inheritedData('$ngView'),
+            depth = parentView ? parentView.depth + 1 : 0;
 
         scope.$on('$routeChangeSuccess', update);
         update();
@@ -215,12 +228,24 @@ function ngViewFactory(   $route,   $anchorScroll,   $animate) {
         }
 
         function update() {
-          var locals = $route.current && $route.current.locals,
-              template = locals && locals.$template;
+          var current = $route.current,
+              segments = current && current.$$segments,
+              segment = segments && segments[depth],
+              isLeaf = segment && segment === segments[segments.length - 1],
+              view = segment && segment.views[name];
+
+          if (segment && segment === currentSegment) {
+            // the route displayed by this outlet hasn't changed
+            if (isLeaf && !name) current.scope = currentScope;
+            return;
+          }
 
-          if (angular.isDefined(template)) {
-            var newScope = scope.$new();
-            var current = $route.current;
+          currentSegment = segment;
+
+          if (view) {
+            var newScope = scope.$new(),
+                // restore the scroll position of a history navigation instead of autoscrolling
+                restoreScroll = isLeaf && !name && current.scrollRestoration !== false;
 
             // Note: This will also link all children of ng-view that were contained in the original
             // html. If that content contains controllers, ... they could pollute/change the scope.
@@ -229,7 +254,10 @@ function ngViewFactory(   $route,   $anchorScroll,   $animate) {
             // function is called before linking the content, which would apply child
             // directives to non existing elements.
             var clone = $transclude(newScope, function(clone) {
+              clone.data('$ngView', {depth: depth, segment: segment, view: view});
               $animate.enter(clone, null, currentElement || $element).then(function onNgViewEnter () {
+                if (restoreScroll && $scrollRestoration.restore()) return;
+
                 if (angular.isDefined(autoScrollExp)
                   && (!autoScrollExp || scope.$eval(autoScrollExp))) {
                   $anchorScroll();
@@ -239,7 +267,8 @@ function ngViewFactory(   $route,   $anchorScroll,   $animate) {
             });
 
             currentElement = clone;
-            currentScope = current.scope = newScope;
+            currentScope = newScope;
+            if (isLeaf && !name) current.scope = newScope;
             currentScope.$emit('$viewContentLoaded');
             currentScope.$eval(onloadExp);
           } else {
@@ -255,25 +284,29 @@ function ngViewFactory(   $route,   $anchorScroll,   $animate) {
 // We need this directive so that the element content is already filled when
 // the link function of another directive on the same element as ngView
 // is called.
-ngViewFillContentFactory.$inject = ['$compile', '$controller', '$route'];
-function ngViewFillContentFactory($compile, $controller, $route) {
+ngViewFillContentFactory.$inject = ['$compile', '$controller'];
+function ngViewFillContentFactory($compile, $controller) {
   return {
     restrict: 'ECA',
     priority: -400,
     link: function(scope, $element) {
-      var current = $route.current,
-          locals = current.locals;
+      var data = $element.data('$ngView'),
+          view = data.view,
+          // the default view shares the locals of the segment (i.e. `$route.current.locals`)
+          locals = view.name ? angular.extend({}, data.segment.locals, {$template: view.template})
+                             : data.segment.locals;
 
-      $element.html(locals.$template);
+      $element.html(view.template);
 
       var link = $compile($element.contents());
 
-      if (current.controller) {
+      if (view.controller) {
         locals.$scope = scope;
-        var controller = $controller(current.controller, locals);
-        if (current.controllerAs) {
-          scope[current.controllerAs] = controller;
+        var controller = $controller(view.controller, locals);
+        if (view.controllerAs) {
+          scope[view.controllerAs] = controller;
         }
+        data.segment.controllers[view.name] = controller;
         $element.data('$ngControllerController', controller);
         $element.children().data('$ngControllerController', controller);
       }
@@ -0,0 +1,108 @@
+'use strict';
+
+ngRouteModule.provider('$moduleLoader', $ModuleLoaderProvider);
+
+
+/**
+ * @ngdoc service
+ * @name $moduleLoader
+ * @requires $injector
+ * @requires $templateRequest
+ *
+ * @description
+ * The `$moduleLoader` service loads angular modules into the running application, which makes
+ * it possible to split an application into bundles that are only downloaded when they are
+ * needed, e.g. when a route is entered for the first time (see the `loadModules` property of
+ * {@link ngRoute.$routeProvider#when `$routeProvider.when`}).
+ *
+ * Each module is specified either by its name, if the module has already been defined via
+ * {@link angular.module `angular.module`}, or by an object with the following properties:
+ *
+ * - `name` – `{string}` – the name of the module.
+ * - `files` – `{Array.<string>=}` – the urls of the files to load before the module is added to
+ *   the injector. Urls ending in `.html` are requested with
+ *   {@link ng.$templateRequest `$templateRequest`}, so that they end up in the
+ *   {@link ng.$templateCache `$templateCache`}. All other urls are loaded as scripts, which are
+ *   expected to define the module. The files are loaded in the given order and each file is only
+ *   loaded once.
+ *
+ * Once its files have been loaded, the module is added to the running injector via
+ * {@link auto.$injector#loadNewModules `$injector.loadNewModules`}: its components (including
+ * controllers, directives and filters) are registered and its config and run blocks are invoked.
+ *
+ * Requires the {@link ngRoute `ngRoute`} module to be installed.
+ *
+ * @param {string|Object|Array.<(string|Object)>} modules The module(s) to load.
+ * @returns {Promise} A promise that is resolved when all modules have been loaded, or rejected if
+ *   one of the files failed to load.
+ *
+ * @example
+ * ```js
+ * $routeProvider.when('/admin', {
+ *   templateUrl: 'admin/admin.html',
+ *   controller: 'AdminCtrl',
+ *   resolve: {
+ *     admin: function($moduleLoader) {
+ *       return $moduleLoader({name: 'admin', files: ['admin/admin.js']});
+ *     }
+ *   }
+ * });
+ * ```
+ */
+function $ModuleLoaderProvider() {
+  this.$get = ['$document', '$injector', '$q', '$rootScope', '$templateRequest',
+       function($document, $injector, $q, $rootScope, $templateRequest) {
+
+    var files = {};
+
+    function loadScript(url) {
+      var deferred = $q.defer(),
+          doc = $document[0],
+          script = doc.createElement('script');
+
+      script.onload = function() {
+        $rootScope.$apply(function() {
+          deferred.resolve();
+        });
+      };
+      script.onerror = function() {
+        delete files[url];
+        $rootScope.$apply(function() {
+          deferred.reject($routeMinErr('scriptload', 'Failed to load script: {0}', url));
+        });
+      };
+      script.src = url;
+      doc.head.appendChild(script);
+
+      return deferred.promise;
+    }
+
+    function loadFile(url) {
+      if (!files[url]) {
+        files[url] = /\.html?(?:[?#]|$)/i.test(url) ? $templateRequest(url) : loadScript(url);
+      }
+      return files[url];
+    }
+
+    return function $moduleLoader(modules) {
+      var promise = $q.when();
+
+      if (!angular.isArray(modules)) modules = [modules];
+
+      angular.forEach(modules, function(module) {
+        if (angular.isString(module)) module = {name: module};
+
+        angular.forEach(module.files, function(url) {
+          promise = promise.then(function() {
+            return loadFile(url);
+          });
+        });
+        promise = promise.then(function() {
+          $injector.loadNewModules([module.name]);
+        });
+      });
+
+      return promise;
+    };
+  }];
+}
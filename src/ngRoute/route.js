@@ -15,7 +15,7 @@
  *
  * <div doc-module-components="ngRoute"></div>
  */
- /* global -ngRouteModule */
+ /* global -ngRouteModule, -$routeMinErr */
 var ngRouteModule = angular.module('ngRoute', ['ng']).
                         provider('$route', $RouteProvider),
     $routeMinErr = angular.$$minErr('ngRoute');
@@ -35,12 +35,14 @@ var ngRouteModule = angular.module('ngRoute', ['ng']).
  * ## Dependencies
  * Requires the {@link ngRoute `ngRoute`} module to be installed.
  */
-function $RouteProvider(){
+$RouteProvider.$inject = ['$locationProvider'];
+function $RouteProvider($locationProvider){
   function inherit(parent, extra) {
     return angular.extend(new (angular.extend(function() {}, {prototype:parent}))(), extra);
   }
 
-  var routes = {};
+  var routes = {},
+      preloadOnHover = false;
 
   /**
    * @ngdoc method
@@ -136,12 +138,137 @@ function $RouteProvider(){
    *      If the option is set to `true`, then the particular route can be matched without being
    *      case sensitive
    *
+   *    - `loadModules` – `{(string|Object|Array.<(string|Object)>)=}` – modules to load into the
+   *      running application with {@link ngRoute.$moduleLoader `$moduleLoader`} before the
+   *      `canActivate` guard of the route is invoked and its `resolve` map is resolved, e.g.
+   *      `{name: 'admin', files: ['admin/admin.js', 'admin/admin.html']}`. This allows the
+   *      scripts of a feature to be downloaded only when one of its routes is entered for the
+   *      first time. The services, controllers and directives of the loaded modules are available
+   *      to the `canActivate` guards, the `resolve` functions, the controllers and the templates
+   *      of the route and of its children.
+   *
+   *    - `params` – `{Object.<string, Object>=}` – a schema for the path and search parameters of
+   *      the route, keyed by the parameter name. The values of the declared parameters in
+   *      `$route.current.params` and {@link ngRoute.$routeParams `$routeParams`} are converted to
+   *      the declared type, which they already have in the `next` route passed to
+   *      {@link ngRoute.$route#$routeChangeStart $routeChangeStart}. Each parameter can be
+   *      configured with:
+   *
+   *      - `[type='string']` – `{string}` – the type of the value: `'string'`, `'int'`, `'float'`
+   *        or `'bool'` (which accepts `true`, `false`, `1` and `0`).
+   *      - `default` – `{*=}` – the value of the parameter when it is missing from the url.
+   *      - `[array=false]` – `{boolean=}` – whether the parameter can have several values (e.g.
+   *        `?tag=a&tag=b`), in which case its value is always an array. A missing array parameter
+   *        without a default is an empty array.
+   *      - `[squash=false]` – `{boolean=}` – whether the parameter should be omitted from the urls
+   *        built by {@link ngRoute.$route#href `$route.href`} when its value equals the
+   *        default value. Required path parameters are never omitted.
+   *
+   *      If a value in the url does not match the type of its parameter (or if several values are
+   *      given for a parameter that is not an array), the route change fails and the
+   *      {@link ngRoute.$route#$routeChangeError $routeChangeError} event is fired with the
+   *      route of the url as the next route. If only the search parameters of a route with
+   *      `reloadOnSearch: false` changed, the current route stays active with its previous
+   *      parameters.
+   *
+   *      ```js
+   *      $routeProvider.when('/books/:bookId', {
+   *        templateUrl: 'book.html',
+   *        params: {
+   *          bookId: {type: 'int'},
+   *          page: {type: 'int', default: 1, squash: true},
+   *          tag: {array: true}
+   *        }
+   *      });
+   *
+   *      // #/books/12?tag=classic => $routeParams == {bookId: 12, page: 1, tag: ['classic']}
+   *      ```
+   *
+   *    - `[scrollRestoration=true]` – `{boolean=}` – whether the scroll position should be restored
+   *      when the route is entered with the back or forward button of the browser, if scroll
+   *      restoration has been enabled with
+   *      {@link ng.$locationProvider#scrollRestoration `$locationProvider.scrollRestoration`}.
+   *
+   *    - `[preload=false]` – `{boolean=}` – whether the templates of the route should be loaded
+   *      into the {@link ng.$templateCache `$templateCache`} ahead of navigation, right after the
+   *      first route change of the application has completed (see
+   *      {@link ngRoute.$route#preload `$route.preload`}). Views whose `templateUrl` is a
+   *      function are not preloaded, as their url depends on the route parameters.
+   *
+   *    - `name` – `{string=}` – a name for the route, which can be used to build urls for it
+   *      with {@link ngRoute.$route#href `$route.href`} or the
+   *      {@link ngRoute.directive:ngRouteHref `ngRouteHref`} directive, instead of hardcoding
+   *      its path.
+   *
+   *    - `parent` – `{string=}` – the `path` of a parent route (as passed to `when`). The views of
+   *      the parent route are rendered into the outer {@link ngRoute.directive:ngView ngView}
+   *      outlets, while the views of this route are rendered into the `ngView` outlets contained
+   *      in the parent's templates. Parents can have parents of their own, but a route cannot be
+   *      its own ancestor.
+   *
+   *      The `resolve` map of the parent is resolved first and its values are available to the
+   *      `resolve` functions and controllers of the child. When the route changes to another
+   *      route with the same parent (and the same values for the parent's path parameters), the
+   *      parent is neither resolved nor rendered again.
+   *
+   *    - `views` – `{Object.<string, Object>=}` – additional named views of the route, keyed by
+   *      the name of the {@link ngRoute.directive:ngView ngView} outlet they are rendered into
+   *      (e.g. `<div ng-view="sidebar"></div>`). Each view can specify its own `template`,
+   *      `templateUrl`, `controller` and `controllerAs`, with the same meaning as above. The
+   *      `template`, `templateUrl`, `controller` and `controllerAs` properties of the route itself
+   *      define the default view, which is rendered into the unnamed `ngView` outlet.
+   *
+   *    - `canActivate` – `{(function()|Array)=}` – a guard that decides whether the route can be
+   *      entered. It is {@link auto.$injector#invoke injected} before the `resolve` map of the
+   *      route is resolved, with the following locals:
+   *
+   *      - `$next` – the route that is being activated.
+   *      - `$current` – the route that is being left (if any).
+   *
+   *      The guard can return:
+   *
+   *      - `false` – to cancel the route change. The previous route stays active and the
+   *        {@link ng.$location $location} url does not change.
+   *      - a `string` – to cancel the route change and redirect to the given url instead.
+   *      - any other value – to let the route change continue.
+   *      - a promise for any of the above. If the promise is rejected, the
+   *        {@link ngRoute.$route#$routeChangeError $routeChangeError} event is fired.
+   *
+   *      The `canActivate` guard of a parent route is not invoked again if the parent stays
+   *      active while changing between its children. The `loadModules` of the route and of the
+   *      parents that are entered with it are loaded before the guard is invoked.
+   *
+   *    - `canDeactivate` – `{(function()|Array)=}` – a guard that decides whether the route can
+   *      be left. It is injected with the same locals and can return the same values as
+   *      `canActivate`.
+   *
+   *      Additionally, the controllers of the views of the route can veto leaving the route by
+   *      implementing a `$canDeactivate($next, $current)` method, which is called before the
+   *      `canDeactivate` guard of the route and can also return any of the values above. This
+   *      is useful to keep the user from navigating away from a form with unsaved changes.
+   *
+   *      All `canDeactivate` guards of the routes that are left (starting with the innermost
+   *      route) are invoked before the `canActivate` guards of the routes that are entered
+   *      (starting with the outermost route). The first guard that cancels the route change
+   *      prevents the remaining guards from being invoked.
+   *
+   *      The guards are invoked on
+   *      {@link ng.$location#$locationChangeStart $locationChangeStart}, before the url changes:
+   *      the location change is prevented while they are pending and made again once all of them
+   *      allowed it. So when a guard cancels the route change, neither the url nor
+   *      `$route.current` change and {@link ngRoute.$route#$routeChangeStart $routeChangeStart}
+   *      is not fired. The guards of a `redirectTo` route are those of its target. When the route
+   *      is {@link ngRoute.$route#reload reloaded}, the guards are invoked before the route
+   *      change starts.
+   *
    * @returns {Object} self
    *
    * @description
    * Adds a new route definition to the `$route` service.
    */
   this.when = function(path, route) {
+    checkParentCycle(path, route);
+
     routes[path] = angular.extend(
       {reloadOnSearch: true},
       route,
@@ -163,6 +290,24 @@ function $RouteProvider(){
     return this;
   };
 
+  /**
+   * throws if the route would become its own ancestor by following the `parent` properties
+   */
+  function checkParentCycle(path, route) {
+    var ancestors = [path],
+        parent = route.parent;
+
+    while (angular.isDefined(parent)) {
+      ancestors.push(parent);
+      if (parent === path) {
+        throw $routeMinErr('parentcycle', "Route '{0}' is its own ancestor: {1}",
+            path, ancestors.join(' -> '));
+      }
+      if (!routes.hasOwnProperty(parent)) break;
+      parent = routes[parent].parent;
+    }
+  }
+
    /**
     * @param path {string} path
     * @param opts {Object} options
@@ -204,6 +349,138 @@ function $RouteProvider(){
     return ret;
   }
 
+  /**
+   * @param route {Object} route as returned by `pathRegExp`
+   * @param params {Object} values for the path parameters of the route
+   * @return {string} the path of the route, with its parameters replaced by the url encoded
+   *   values. Optional parameters without a value are omitted, including their leading slash.
+   */
+  function interpolatePath(route, params) {
+    return route.originalPath.replace(/(\/)?:(\w+)([\?\*])?/g, function(_, slash, key, option) {
+      var value = params[key];
+
+      if (value === undefined || value === null || value === '') {
+        if (option === '?') return '';
+        throw $routeMinErr('noparam', "Missing value for parameter '{0}' of route '{1}'",
+            key, route.originalPath);
+      }
+
+      value = encodeURIComponent(value);
+      if (option === '*') {
+        // greedy parameters can span several path segments
+        value = value.replace(/%2F/gi, '/');
+      }
+
+      return (slash || '') + value;
+    });
+  }
+
+  var paramTypes = {
+    'string': {
+      pattern: /[\s\S]*/,
+      decode: angular.identity,
+      encode: angular.identity
+    },
+    'int': {
+      pattern: /^-?\d+$/,
+      decode: function(value) { return parseInt(value, 10); },
+      encode: String
+    },
+    'float': {
+      pattern: /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i,
+      decode: parseFloat,
+      encode: String
+    },
+    'bool': {
+      pattern: /^(true|false|1|0)$/,
+      decode: function(value) { return value === 'true' || value === '1'; },
+      encode: function(value) { return value ? 'true' : 'false'; }
+    }
+  };
+
+  function paramType(route, name) {
+    var type = route.params[name].type || 'string';
+
+    if (!paramTypes.hasOwnProperty(type)) {
+      throw $routeMinErr('badtype', "Unknown type '{0}' of parameter '{1}' of route '{2}'",
+          type, name, route.originalPath);
+    }
+    return paramTypes[type];
+  }
+
+  /**
+   * @param route {Object} route definition
+   * @param params {Object} the (string) values of the path and search params from the url
+   * @return {Object} the params, with the values of the params declared in the `params` schema of
+   *   the route converted to their type, or set to their default
+   */
+  function decodeParams(route, params) {
+    var result = angular.extend({}, params);
+
+    angular.forEach(route && route.params, function(config, name) {
+      var type = paramType(route, name),
+          value = params[name],
+          values;
+
+      if (angular.isUndefined(value)) {
+        result[name] = angular.isDefined(config['default']) ? angular.copy(config['default']) :
+            config.array ? [] : undefined;
+        return;
+      }
+
+      values = angular.isArray(value) ? value : [value];
+      if (!config.array && values.length > 1) {
+        throw $routeMinErr('badparam', "Invalid value '{0}' for parameter '{1}' of route '{2}'",
+            values.join(','), name, route.originalPath);
+      }
+
+      values = values.map(function(value) {
+        value = String(value);
+        if (!type.pattern.test(value)) {
+          throw $routeMinErr('badparam', "Invalid value '{0}' for parameter '{1}' of route '{2}'",
+              value, name, route.originalPath);
+        }
+        return type.decode(value);
+      });
+
+      result[name] = config.array ? values : values[0];
+    });
+
+    return result;
+  }
+
+  /**
+   * @param route {Object} route definition
+   * @param params {Object} the values of the path and search params
+   * @return {Object} the params, with the values of the params declared in the `params` schema of
+   *   the route converted to strings, and without the squashed params that equal their default
+   */
+  function encodeParams(route, params) {
+    var result = angular.extend({}, params);
+
+    angular.forEach(route.params, function(config, name) {
+      var type = paramType(route, name),
+          value = params[name],
+          isRequiredPathParam = false;
+
+      if (angular.isUndefined(value)) return;
+
+      angular.forEach(route.keys, function(key) {
+        if (key.name === name && !key.optional) isRequiredPathParam = true;
+      });
+
+      if (config.squash && !isRequiredPathParam && angular.equals(value, config['default'])) {
+        delete result[name];
+      } else if (angular.isArray(value)) {
+        result[name] = value.map(type.encode);
+      } else {
+        result[name] = type.encode(value);
+      }
+    });
+
+    return result;
+  }
+
   /**
    * @ngdoc method
    * @name $routeProvider#otherwise
@@ -220,6 +497,25 @@ function $RouteProvider(){
     return this;
   };
 
+  /**
+   * @ngdoc method
+   * @name $routeProvider#preloadOnHover
+   *
+   * @description
+   * Enables or disables preloading the templates of a route when the mouse hovers over a link
+   * that points to the route (see {@link ngRoute.$route#preload `$route.preload`}).
+   *
+   * @param {boolean=} enabled If provided, enables or disables preloading on hover.
+   * @returns {*} self if used as setter, the current setting otherwise. Defaults to `false`.
+   */
+  this.preloadOnHover = function(enabled) {
+    if (angular.isDefined(enabled)) {
+      preloadOnHover = !!enabled;
+      return this;
+    }
+    return preloadOnHover;
+  };
+
 
   this.$get = ['$rootScope',
                '$location',
@@ -228,7 +524,12 @@ function $RouteProvider(){
                '$injector',
                '$templateRequest',
                '$sce',
-      function($rootScope, $location, $routeParams, $q, $injector, $templateRequest, $sce) {
+               '$browser',
+               '$httpParamSerializer',
+               '$moduleLoader',
+               '$rootElement',
+      function($rootScope, $location, $routeParams, $q, $injector, $templateRequest, $sce,
+               $browser, $httpParamSerializer, $moduleLoader, $rootElement) {
 
     /**
      * @ngdoc service
@@ -242,7 +543,8 @@ function $RouteProvider(){
      *   - `controller`: The controller constructor as define in route definition.
      *   - `locals`: A map of locals which is used by {@link ng.$controller $controller} service for
      *     controller instantiation. The `locals` contain
-     *     the resolved values of the `resolve` map. Additionally the `locals` also contain:
+     *     the resolved values of the `resolve` map (including the ones of the parent routes).
+     *     Additionally the `locals` also contain:
      *
      *     - `$scope` - The current route scope.
      *     - `$template` - The current route template HTML.
@@ -419,6 +721,16 @@ function $RouteProvider(){
      */
 
     var forceReload = false,
+        routesPreloaded = false,
+        preloadedHrefs = {},
+        lastUrl,
+        revertedUrl,
+        redirectUrl,
+        routeBeforeRedirect,
+        approvedUrl,
+        guardedUrl,
+        guardRedirectUrl,
+        pendingRoute,
         $route = {
           routes: routes,
 
@@ -466,11 +778,89 @@ function $RouteProvider(){
             else {
               throw $routeMinErr('norout', 'Tried updating route when with no current route');
             }
+          },
+
+          /**
+           * @ngdoc method
+           * @name $route#href
+           *
+           * @description
+           * Builds the url of the route with the given `name` (see the `name` property of the
+           * route definition in {@link ngRoute.$routeProvider#when `$routeProvider.when`}).
+           *
+           * The path parameters of the route are replaced by the values in `params`, while the
+           * remaining properties of `params` are added to the query string. The returned url can
+           * be used as the `href` of a link: depending on the configuration of
+           * {@link ng.$locationProvider `$locationProvider`} it is prefixed either with the base
+           * href (in html5 mode) or with `#` and the hash prefix (in hashbang mode).
+           *
+           * @param {string} name The name of the route.
+           * @param {Object=} params Values for the path and search parameters of the url.
+           * @returns {string} The url of the route.
+           */
+          href: function(name, params) {
+            var route = namedRoute(name),
+                search, path, query;
+
+            if (!route) {
+              throw $routeMinErr('noname', "No route named '{0}' is defined", name);
+            }
+
+            search = encodeParams(route, params || {});
+            path = interpolatePath(route, search);
+            angular.forEach(route.keys, function(key) {
+              delete search[key.name];
+            });
+            query = $httpParamSerializer(search);
+            if (query) path += '?' + query;
+
+            return $locationProvider.html5Mode() ?
+                $browser.baseHref().replace(/\/$/, '') + path :
+                '#' + $locationProvider.hashPrefix() + path;
+          },
+
+          /**
+           * @ngdoc method
+           * @name $route#preload
+           *
+           * @description
+           * Loads the templates of a route (including the templates of its named views and of
+           * its parent routes) into the {@link ng.$templateCache `$templateCache`}, so that
+           * {@link ngRoute.directive:ngView ngView} can render the route without waiting for
+           * the templates when the route is activated.
+           *
+           * The templates of a route can also be preloaded when the mouse hovers over a link whose
+           * `href` points to the route. This can be enabled with
+           * {@link ngRoute.$routeProvider#preloadOnHover `$routeProvider.preloadOnHover`}.
+           *
+           * @param {string} pathOrName The name of a route, or a path (as returned by
+           *   {@link ng.$location#path `$location.path()`}) that is matched against the routes.
+           * @param {Object=} params Values for the route parameters, which are passed to
+           *   `templateUrl` functions. When a path is given, the parameters are extracted from it.
+           * @returns {Promise} A promise that is resolved when the templates have been loaded, or
+           *   rejected if one of them could not be loaded. If no route matches, the promise is
+           *   resolved right away.
+           */
+          preload: function(pathOrName, params) {
+            var route = namedRoute(pathOrName),
+                match = !route && matchRoute(pathOrName);
+
+            if (match) {
+              route = match.$$route;
+              params = angular.extend({}, params, match.pathParams);
+            }
+
+            return route ? preloadTemplates(route, params || {}) : $q.when();
           }
         };
 
+    $rootScope.$on('$locationChangeStart', guardLocationChange);
     $rootScope.$on('$locationChangeSuccess', updateRoute);
 
+    if (preloadOnHover) {
+      $rootElement.on('mouseover', preloadLink);
+    }
+
     return $route;
 
     /////////////////////////////////////////////////////
@@ -507,77 +897,585 @@ function $RouteProvider(){
       return params;
     }
 
+    /**
+     * Invokes the guards of the route change before the url changes: the location change is
+     * prevented while they are pending, and made again once they allowed it.
+     *
+     * Url changes of the browser (e.g. with the back button) are not prevented, as `$location`
+     * would push the previous url as a new history entry. The route change waits for the guards
+     * instead, and the url is replaced with the previous one if they cancel it, or with the one
+     * they redirect to (even if the guards of that url have to be waited for in turn).
+     */
+    function guardLocationChange(event) {
+      var absUrl = $location.absUrl(),
+          url = $location.url(),
+          redirected = absUrl === redirectUrl,
+          // the url of the browser has already changed, so it is replaced rather than pushed
+          replacing = $browser.url() === absUrl || absUrl === guardRedirectUrl,
+          next, last;
+
+      pendingRoute = redirectUrl = guardedUrl = guardRedirectUrl = undefined;
+      if (absUrl === approvedUrl) {
+        // the guards have already allowed the change to this url
+        approvedUrl = undefined;
+        return;
+      }
+      if (url === revertedUrl) return;
+
+      next = parseRoute();
+      // the route that redirected here has never been active
+      last = redirected ? routeBeforeRedirect : $route.current;
+      if (!(next || last) || next && next.redirectTo || isRouteUpdate(next, last)) return;
+
+      if (guardRouteChange(last, false, function(verdict) {
+        guardedUrl = undefined;
+        if (verdict === true) {
+          if ($location.absUrl() === absUrl) {
+            // the url did not change (e.g. on the initial navigation), so there will be no
+            // $locationChangeSuccess event to wait for
+            updateRoute();
+            return;
+          }
+          approvedUrl = absUrl;
+          $location.url(url);
+        } else if (angular.isString(verdict)) {
+          $location.url(verdict);
+          if (replacing) guardRedirectUrl = $location.absUrl();
+        } else {
+          if (redirected) revertRedirect();
+          if (replacing) revertUrl();
+          return;
+        }
+        // the url of the redirecting route is replaced, like in `changeRoute`
+        if (redirected || replacing) $location.replace();
+      })) {
+        if ($browser.url() === absUrl) {
+          guardedUrl = absUrl;
+        } else {
+          event.preventDefault();
+        }
+      }
+    }
+
+
     function updateRoute() {
-      var next = parseRoute(),
-          last = $route.current;
+      var next, last,
+          reverted = angular.isDefined(revertedUrl) && revertedUrl === $location.url();
 
-      if (next && last && next.$$route === last.$$route
-          && angular.equals(next.pathParams, last.pathParams)
-          && !next.reloadOnSearch && !forceReload) {
-        last.params = next.params;
+      revertedUrl = undefined;
+      if (reverted) {
+        // the url has been reverted after a guard cancelled a redirect
+        return;
+      }
+      if (angular.isDefined(guardedUrl) && guardedUrl === $location.absUrl()) {
+        // the guards of the url change of the browser are still pending
+        return;
+      }
+
+      next = parseRoute();
+      last = $route.current;
+
+      if (isRouteUpdate(next, last)) {
+        try {
+          last.params = decodeParams(next.$$route, next.params);
+        } catch (e) {
+          $rootScope.$broadcast('$routeChangeError', next, last, e);
+          return;
+        }
+        lastUrl = $location.url();
         angular.copy(last.params, $routeParams);
         $rootScope.$broadcast('$routeUpdate', last);
       } else if (next || last) {
+        var reload = forceReload;
         forceReload = false;
-        $rootScope.$broadcast('$routeChangeStart', next, last);
-        $route.current = next;
-        if (next) {
-          if (next.redirectTo) {
-            if (angular.isString(next.redirectTo)) {
-              $location.path(interpolate(next.redirectTo, next.params)).search(next.params)
-                       .replace();
-            } else {
-              $location.url(next.redirectTo(next.pathParams, $location.path(), $location.search()))
-                       .replace();
-            }
+
+        // a reload does not change the url, so its guards have not been invoked yet
+        if (reload && guardRouteChange(last, true, function(verdict) {
+          if (verdict === true) changeRoute(next, last, true);
+        })) {
+          return;
+        }
+        changeRoute(next, last, reload);
+      }
+    }
+
+
+    function changeRoute(next, last, reload) {
+      var error;
+
+      if (next) {
+        try {
+          next.params = decodeParams(next.$$route || routes[null], next.params);
+        } catch (e) {
+          error = e;
+        }
+      }
+
+      $rootScope.$broadcast('$routeChangeStart', next, last);
+      $route.current = next;
+      if (next) {
+        if (next.redirectTo) {
+          if (!last || !last.redirectTo) routeBeforeRedirect = last;
+
+          if (angular.isString(next.redirectTo)) {
+            $location.path(interpolate(next.redirectTo, next.params)).search(next.params)
+                     .replace();
+          } else {
+            $location.url(next.redirectTo(next.pathParams, $location.path(), $location.search()))
+                     .replace();
           }
+          redirectUrl = $location.absUrl();
         }
+      }
+
+      $q.when(next).
+        then(function() {
+          if (error) return $q.reject(error);
 
-        $q.when(next).
-          then(function() {
+          if (next) {
+            return resolveSegments(next, planSegments(next, last && last.$$segments, reload));
+          }
+        }).
+        // after route change
+        then(function(segments) {
+          if (isActivating(next)) {
             if (next) {
-              var locals = angular.extend({}, next.resolve),
-                  template, templateUrl;
+              next.$$segments = segments;
+              next.locals = segments[segments.length - 1].locals;
+              angular.copy(next.params, $routeParams);
+            }
+            lastUrl = $location.url();
+            $rootScope.$broadcast('$routeChangeSuccess', next, last);
+            preloadRoutes();
+          }
+        }, function(error) {
+          if (isActivating(next)) {
+            $rootScope.$broadcast('$routeChangeError', next, last, error);
+          }
+        });
+    }
 
-              angular.forEach(locals, function(value, key) {
-                locals[key] = angular.isString(value) ?
-                    $injector.get(value) : $injector.invoke(value, null, null, key);
-              });
 
-              if (angular.isDefined(template = next.template)) {
-                if (angular.isFunction(template)) {
-                  template = template(next.params);
-                }
-              } else if (angular.isDefined(templateUrl = next.templateUrl)) {
-                if (angular.isFunction(templateUrl)) {
-                  templateUrl = templateUrl(next.params);
-                }
-                templateUrl = $sce.getTrustedResourceUrl(templateUrl);
-                if (angular.isDefined(templateUrl)) {
-                  next.loadedTemplateUrl = templateUrl;
-                  template = $templateRequest(templateUrl);
-                }
-              }
-              if (angular.isDefined(template)) {
-                locals['$template'] = template;
-              }
-              return $q.all(locals);
-            }
-          }).
-          // after route change
-          then(function(locals) {
-            if (next == $route.current) {
-              if (next) {
-                next.locals = locals;
-                angular.copy(next.params, $routeParams);
-              }
-              $rootScope.$broadcast('$routeChangeSuccess', next, last);
-            }
-          }, function(error) {
-            if (next == $route.current) {
-              $rootScope.$broadcast('$routeChangeError', next, last, error);
-            }
+    /**
+     * @returns {boolean} whether the route change to `next` has neither been superseded by another
+     *   route change nor redirected elsewhere
+     */
+    function isActivating(next) {
+      return next == $route.current && !(next && next.redirectTo);
+    }
+
+
+    /**
+     * @returns {boolean} whether the change from the `last` to the `next` route only updates the
+     *   params of the current route, which stays active as its `reloadOnSearch` property is false
+     */
+    function isRouteUpdate(next, last) {
+      return !!(next && last && next.$$route === last.$$route &&
+          angular.equals(next.pathParams, last.pathParams) && !next.reloadOnSearch && !forceReload);
+    }
+
+
+    /**
+     * @param next {Object=} the route that is being activated
+     * @param lastSegments {Array=} the segments of the previous route
+     * @param reload {boolean} whether none of the previous segments should be reused
+     * @returns {Object} the routes of the next route chain, starting from the outermost parent,
+     *   with their path params, as well as the segments of the previous route that are `kept`
+     *   and the ones that are `left`
+     *
+     * @description
+     * Segments of the previous route are reused (so that their `ngView` outlets are not
+     * rendered again) as long as they are for the same route with the same path parameters,
+     * unless the segment was the innermost one of both the previous and the next route.
+     */
+    function planSegments(next, lastSegments, reload) {
+      var chain = next ? parentChain(next.$$route || routes[null]) : [],
+          plan = {chain: chain, params: [], kept: [], left: []};
+
+      lastSegments = lastSegments || [];
+
+      angular.forEach(chain, function(route, i) {
+        var params = {},
+            lastSegment = lastSegments[i];
+
+        angular.forEach(route.keys, function(key) {
+          if (key.name in next.pathParams) params[key.name] = next.pathParams[key.name];
+        });
+        plan.params.push(params);
+
+        if (!reload && plan.kept.length === i && lastSegment && lastSegment.route === route &&
+            angular.equals(lastSegment.params, params) &&
+            !(i === chain.length - 1 && i === lastSegments.length - 1)) {
+          plan.kept.push(lastSegment);
+        }
+      });
+
+      plan.left = lastSegments.slice(plan.kept.length);
+
+      return plan;
+    }
+
+
+    /**
+     * Invokes the guards of the change from the `last` route to the route of the current url,
+     * unless there are none. The route change is pending until `onVerdict` is called with `true`
+     * if it can continue, or with the value of the first guard that cancelled it. Another route
+     * change that starts in the meantime supersedes it.
+     *
+     * @returns {boolean} whether there are guards to wait for
+     */
+    function guardRouteChange(last, reload, onVerdict) {
+      var next = parseRoute(),
+          guards;
+
+      if (next) {
+        try {
+          next.params = decodeParams(next.$$route || routes[null], next.params);
+        } catch (e) {
+          // the error is reported by the route change
+          return false;
+        }
+      }
+
+      guards = routeGuards(next, last, planSegments(next, last && last.$$segments, reload));
+      if (!guards.length) return false;
+
+      pendingRoute = next;
+      invokeGuards(guards, next).then(function(verdict) {
+        if (next === pendingRoute) {
+          pendingRoute = undefined;
+          onVerdict(verdict);
+        }
+      }, function(error) {
+        if (next === pendingRoute) {
+          pendingRoute = undefined;
+          $rootScope.$broadcast('$routeChangeError', next, last, error);
+        }
+      });
+
+      return true;
+    }
+
+
+    /**
+     * @returns {Array.<function()>} the `canDeactivate` guards of the segments of the previous
+     *   route that are left, followed by the `canActivate` guards of the routes that are entered
+     */
+    function routeGuards(next, last, plan) {
+      var locals = {$next: next, $current: last},
+          guards = [],
+          modules = [];
+
+      angular.forEach(plan.left.slice().reverse(), function(segment) {
+        angular.forEach(segment.controllers, function(controller) {
+          if (angular.isFunction(controller.$canDeactivate)) {
+            guards.push(function() {
+              return controller.$canDeactivate(next, last);
+            });
+          }
+        });
+        if (segment.route.canDeactivate) {
+          guards.push(function() {
+            return $injector.invoke(segment.route.canDeactivate, null, locals);
+          });
+        }
+      });
+
+      angular.forEach(plan.chain.slice(plan.kept.length), function(route) {
+        var load;
+
+        modules = modules.concat(route.loadModules || []);
+        if (route.canActivate) {
+          // the guard can depend on the modules of the route and of the parents entered with it
+          load = modules;
+          modules = [];
+          guards.push(function() {
+            return $q.when(load.length && $moduleLoader(load)).then(function() {
+              return $injector.invoke(route.canActivate, null, locals);
+            });
+          });
+        }
+      });
+
+      return guards;
+    }
+
+
+    /**
+     * @returns {Promise} a promise for `true` if the route change can continue, or for the value
+     *   of the first guard that cancelled it
+     */
+    function invokeGuards(guards, next) {
+      var promise = $q.when(true);
+
+      angular.forEach(guards, function(guard) {
+        promise = promise.then(function(verdict) {
+          // stop at the first guard that cancels, or if another route change has started
+          if (verdict !== true || next !== pendingRoute) return verdict;
+
+          return $q.when(guard()).then(function(value) {
+            return value === false || angular.isString(value) ? value : true;
+          });
+        });
+      });
+
+      return promise;
+    }
+
+
+    /**
+     * Returns to the url of the previous route after a guard cancelled the change to the target
+     * of a `redirectTo` route, as the url of the redirecting route has already been committed.
+     */
+    function revertRedirect() {
+      if (angular.isDefined(lastUrl)) {
+        revertedUrl = lastUrl;
+        $route.current = routeBeforeRedirect;
+        $location.url(lastUrl).replace();
+      }
+    }
+
+
+    /**
+     * Returns to the url of the current route after a guard cancelled a url change of the browser.
+     */
+    function revertUrl() {
+      if (angular.isDefined(lastUrl)) {
+        revertedUrl = lastUrl;
+        $location.url(lastUrl).replace();
+      }
+    }
+
+
+    /**
+     * @param next {Object} the route that is being activated
+     * @param plan {Object} the plan returned by `planSegments`
+     * @returns {Promise} a promise for the segments of the route, i.e. the resolved locals and
+     *   views of the route and of each of its parents, starting from the outermost parent
+     */
+    function resolveSegments(next, plan) {
+      var chain = plan.chain,
+          segments = plan.kept.slice(),
+          promise = $q.when();
+
+      angular.forEach(chain.slice(segments.length), function(route, j) {
+        var i = plan.kept.length + j;
+
+        promise = promise.then(function() {
+          return route.loadModules && $moduleLoader(route.loadModules);
+        }).then(function() {
+          return resolveSegment(next, route, plan.params[i], segments[i - 1], i === chain.length - 1);
+        }).then(function(segment) {
+          segments.push(segment);
+        });
+      });
+
+      return promise.then(function() {
+        return segments;
+      });
+    }
+
+
+    /**
+     * @returns {Promise} a promise for the segment of the given route, with its resolved locals
+     *   and the templates of its views
+     */
+    function resolveSegment(next, route, params, parentSegment, isLeaf) {
+      var parentLocals = angular.extend({}, parentSegment && parentSegment.locals),
+          locals = angular.extend({}, route.resolve),
+          views = {},
+          templates = {};
+
+      delete parentLocals.$scope;
+      delete parentLocals.$template;
+
+      angular.forEach(locals, function(value, key) {
+        locals[key] = angular.isString(value) ?
+            $injector.get(value) : $injector.invoke(value, null, parentLocals, key);
+      });
+
+      angular.forEach(angular.extend({'': route}, route.views), function(viewDef, name) {
+        var template = loadTemplate(viewDef, next.params, isLeaf && name === '' && next);
+
+        if (angular.isDefined(template)) {
+          templates[name] = template;
+          views[name] = {
+            name: name,
+            controller: viewDef.controller,
+            controllerAs: viewDef.controllerAs
+          };
+        }
+      });
+
+      return $q.all([$q.all(locals), $q.all(templates)]).then(function(results) {
+        var segment = {
+          route: route,
+          params: params,
+          locals: angular.extend(parentLocals, results[0]),
+          views: views,
+          controllers: {}
+        };
+
+        angular.forEach(results[1], function(template, name) {
+          views[name].template = template;
+        });
+
+        if (views['']) {
+          segment.locals.$template = views[''].template;
+        }
+
+        return segment;
+      });
+    }
+
+
+    /**
+     * @returns {*} the template of the view, or a promise for it if it needs to be requested
+     */
+    function loadTemplate(viewDef, params, current) {
+      var template, templateUrl;
+
+      if (angular.isDefined(template = viewDef.template)) {
+        if (angular.isFunction(template)) {
+          template = template(params);
+        }
+      } else if (angular.isDefined(templateUrl = viewDef.templateUrl)) {
+        if (angular.isFunction(templateUrl)) {
+          templateUrl = templateUrl(params);
+        }
+        templateUrl = $sce.getTrustedResourceUrl(templateUrl);
+        if (angular.isDefined(templateUrl)) {
+          if (current) current.loadedTemplateUrl = templateUrl;
+          template = $templateRequest(templateUrl);
+        }
+      }
+
+      return template;
+    }
+
+
+    /**
+     * @returns {Array.<Object>} the given route preceded by all of its parents, outermost first
+     */
+    function parentChain(route) {
+      var chain = [route];
+
+      while (route.parent) {
+        if (!routes.hasOwnProperty(route.parent)) {
+          throw $routeMinErr('noparent', "Parent route '{0}' of route '{1}' is not defined",
+              route.parent, route.originalPath);
+        }
+        route = routes[route.parent];
+        chain.unshift(route);
+      }
+
+      return chain;
+    }
+
+
+    /**
+     * @param params {Object=} the route params, or nothing if only the templates that do not
+     *   depend on the params should be loaded
+     * @returns {Promise} a promise for the templates of the route and of its parents
+     */
+    function preloadTemplates(route, params) {
+      var requests = [];
+
+      angular.forEach(parentChain(route), function(route) {
+        angular.forEach(angular.extend({'': route}, route.views), function(viewDef) {
+          var templateUrl = viewDef.templateUrl;
+
+          if (angular.isDefined(viewDef.template) || angular.isUndefined(templateUrl)) return;
+          if (angular.isFunction(templateUrl)) {
+            if (!params) return;
+            templateUrl = templateUrl(params);
+          }
+          templateUrl = $sce.getTrustedResourceUrl(templateUrl);
+          if (angular.isDefined(templateUrl)) {
+            requests.push($templateRequest(templateUrl, true));
+          }
+        });
+      });
+
+      return $q.all(requests);
+    }
+
+
+    /**
+     * Preloads the templates of the routes with the `preload` option, after the first route
+     * change of the application.
+     */
+    function preloadRoutes() {
+      if (routesPreloaded) return;
+      routesPreloaded = true;
+
+      angular.forEach(routes, function(route) {
+        if (route.preload) {
+          preloadTemplates(route);
+        }
+      });
+    }
+
+
+    /**
+     * Preloads the templates of the route that the link under the mouse points to.
+     */
+    function preloadLink(event) {
+      var elm = angular.element(event.target),
+          absHref, path;
+
+      // traverse the DOM up to find first A tag
+      while (angular.lowercase(elm[0].nodeName) !== 'a') {
+        if (elm[0] === $rootElement[0] || !(elm = elm.parent())[0]) return;
+      }
+
+      absHref = elm.prop('href');
+      if (!angular.isString(absHref) || preloadedHrefs[absHref]) return;
+      preloadedHrefs[absHref] = true;
+
+      path = pathOfUrl(absHref);
+      if (angular.isDefined(path)) {
+        $rootScope.$evalAsync(function() {
+          $route.preload(path).then(null, function() {
+            // try again on the next hover
+            delete preloadedHrefs[absHref];
           });
+        });
+      }
+    }
+
+
+    /**
+     * @returns {string|undefined} the decoded path of the given absolute url, if it is a url of
+     *   the application
+     */
+    function pathOfUrl(absUrl) {
+      var appUrl = $location.absUrl(),
+          url = $location.url(),
+          base = url ? appUrl.substr(0, appUrl.length - url.length) :
+              appUrl + ($locationProvider.html5Mode() ? '' : '#' + $locationProvider.hashPrefix());
+
+      if (absUrl.indexOf(base) !== 0) return;
+
+      url = absUrl.substr(base.length).split(/[?#]/)[0];
+      if (url.charAt(0) !== '/') return;
+
+      try {
+        return decodeURIComponent(url);
+      } catch (e) {
+        // malformed url, which can't point to a route
+      }
+    }
+
+
+    /**
+     * @returns {Object} the route with the given name
+     */
+    function namedRoute(name) {
+      for (var path in routes) {
+        if (routes.hasOwnProperty(path) && routes[path].name === name) {
+          return routes[path];
+        }
       }
     }
 
@@ -587,17 +1485,25 @@ function $RouteProvider(){
      */
     function parseRoute() {
       // Match a route
+      var match = matchRoute($location.path(), $location.search());
+      // No route matched; fallback to "otherwise" route
+      return match || routes[null] && inherit(routes[null], {params: {}, pathParams:{}});
+    }
+
+    /**
+     * @returns {Object} the route matching the given path, if any
+     */
+    function matchRoute(path, search) {
       var params, match;
-      angular.forEach(routes, function(route, path) {
-        if (!match && (params = switchRouteMatcher($location.path(), route))) {
+      angular.forEach(routes, function(route) {
+        if (!match && (params = switchRouteMatcher(path, route))) {
           match = inherit(route, {
-            params: angular.extend({}, $location.search(), params),
+            params: angular.extend({}, search, params),
             pathParams: params});
           match.$$route = route;
         }
       });
-      // No route matched; fallback to "otherwise" route
-      return match || routes[null] && inherit(routes[null], {params: {}, pathParams:{}});
+      return match;
     }
 
     /**
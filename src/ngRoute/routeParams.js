@@ -19,6 +19,11 @@ ngRouteModule.provider('$routeParams', $RouteParamsProvider);
  *
  * In case of parameter name collision, `path` params take precedence over `search` params.
  *
+ * The values of the parameters are strings (or arrays of strings for repeated `search` params),
+ * unless the route declares a `params` schema (see
+ * {@link ngRoute.$routeProvider#when `$routeProvider.when`}), which converts them to their type
+ * and provides defaults for missing parameters.
+ *
  * The service guarantees that the identity of the `$routeParams` object will remain unchanged
  * (but its properties will likely change) even when a route change occurs.
  *
@@ -885,6 +885,72 @@ describe('injector', function() {
     });
   });
 
+  describe('loadNewModules', function() {
+    it('should load new modules into a running injector', function() {
+      var log = [];
+      angularModule('lazy', []).
+        value('lazyValue', 'lazy').
+        config(function(lazyValueProvider) {
+          log.push('config');
+        }).
+        run(function(lazyValue) {
+          log.push('run ' + lazyValue);
+        });
+
+      var $injector = createInjector([]);
+      expect($injector.has('lazyValue')).toBe(false);
+
+      $injector.loadNewModules(['lazy']);
+      expect(log).toEqual(['config', 'run lazy']);
+      expect($injector.get('lazyValue')).toBe('lazy');
+    });
+
+
+    it('should not load modules that have already been loaded', function() {
+      var log = [];
+      angularModule('lazyBase', []).run(function() { log.push('base'); });
+      angularModule('lazyFeature', ['lazyBase']).run(function() { log.push('feature'); });
+
+      var $injector = createInjector(['lazyBase']);
+      $injector.loadNewModules(['lazyFeature']);
+      $injector.loadNewModules(['lazyFeature', 'lazyBase']);
+
+      expect(log).toEqual(['base', 'feature']);
+    });
+
+
+    it('should make providers of the running injector available to config blocks', function() {
+      var $injector = createInjector([function($provide) {
+        $provide.provider('greeting', function() {
+          var text = 'hello';
+          this.setText = function(value) { text = value; };
+          this.$get = function() { return text; };
+        });
+      }]);
+
+      $injector.loadNewModules([function(greetingProvider) {
+        greetingProvider.setText('hi');
+      }]);
+
+      expect($injector.get('greeting')).toBe('hi');
+    });
+
+
+    it('should register directives of new modules in the running application', function() {
+      angularModule('lazyDirectives', []).directive('lazyGreeting', function() {
+        return {template: 'hi from lazy'};
+      });
+
+      inject(function($injector, $compile, $rootScope) {
+        $injector.loadNewModules(['lazyDirectives']);
+
+        var element = $compile('<div lazy-greeting></div>')($rootScope);
+        expect(element.text()).toBe('hi from lazy');
+        dealoc(element);
+      });
+    });
+  });
+
   describe('protection modes', function() {
     it('should prevent provider lookup in app', function() {
       var  $injector = createInjector([function($provide) {
@@ -913,6 +979,13 @@ describe('injector', function() {
       }).toThrowMatching(/\[\$injector:unpr] Unknown provider: name/);
     });
   });
+
+
+  it('should not be in strict mode by default', function() {
+    expect(injector.strictDi).toBe(false);
+    expect(providerInjector.strictDi).toBe(false);
+    expect(createInjector([]).strictDi).toBe(false);
+  });
 });
 
 describe('strict-di injector', function() {
@@ -938,6 +1011,29 @@ describe('strict-di injector', function() {
   });
 
 
+  it('should expose the strict mode on both the instance and the provider injector', function() {
+    var providerInjector;
+    module(function($injector) {
+      providerInjector = $injector;
+    });
+    inject(function($injector) {
+      expect($injector.strictDi).toBe(true);
+      expect(providerInjector.strictDi).toBe(true);
+    });
+  });
+
+
+  it('should throw when a function with inferred annotations is invoked via angular.injector', function() {
+    var $injector = angular.injector(['ng'], true);
+    expect($injector.strictDi).toBe(true);
+    expect(function() {
+      $injector.invoke(function($rootScope) {});
+    }).toThrowMinErr('$injector', 'strictdi');
+    expect($injector.invoke(['$rootScope', function(scope) { return scope; }])).
+        toBe($injector.get('$rootScope'));
+  });
+
+
   it('should throw if magic annotation is used by service', function() {
     module(function($provide) {
       $provide.service({
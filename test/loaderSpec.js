@@ -38,6 +38,7 @@ describe('module loader', function() {
       value('k', 'v').
       filter('f', 'ff').
       directive('d', 'dd').
+      component('c', 'cc').
       controller('ctrl', 'ccc').
       config('init2').
       constant('abc', 123).
@@ -52,6 +53,7 @@ describe('module loader', function() {
       ['$provide', 'value', ['k', 'v'] ],
       ['$filterProvider', 'register', ['f', 'ff'] ],
       ['$compileProvider', 'directive', ['d', 'dd'] ],
+      ['$compileProvider', 'component', ['c', 'cc'] ],
       ['$controllerProvider', 'register', ['ctrl', 'ccc']],
     ]);
     expect(myModule._configBlocks).toEqual([
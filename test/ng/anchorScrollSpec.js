@@ -52,6 +52,10 @@ describe('$anchorScroll', function() {
     elmSpy = {};
     $provide.value('$window', {
       scrollTo: jasmine.createSpy('$window.scrollTo'),
+      scrollBy: jasmine.createSpy('$window.scrollBy'),
+      getComputedStyle: function(elem) {
+        return {position: elem.style.position};
+      },
       document: document,
       navigator: {}
     });
@@ -104,12 +108,137 @@ describe('$anchorScroll', function() {
     expectScrollingTo('id=top')));
 
 
+  it('should scroll to the element of the given hash instead of $location.hash()', inject(
+    addElements('id=one', 'id=two'),
+    function($location, $anchorScroll) {
+      $location.hash('one');
+      $anchorScroll('two');
+    },
+    expectScrollingTo('id=two')));
+
+
+  it('should scroll to top of the window if the given hash is empty', inject(
+    addElements('id=one'),
+    function($location, $anchorScroll) {
+      $location.hash('one');
+      $anchorScroll('');
+    },
+    expectScrollingToTop));
+
+
+  describe('yOffset', function() {
+
+    function setYOffset(yOffset) {
+      return function($anchorScroll) {
+        $anchorScroll.yOffset = yOffset;
+      };
+    }
+
+    function mockBoundingClientRect(identifier, rect) {
+      return function() {
+        var elm = elmSpy[identifier].baseObj;
+        spyOn(elm, 'getBoundingClientRect').andReturn(rect);
+      };
+    }
+
+    function expectScrollingBy(y) {
+      return function($window) {
+        expect($window.scrollBy).toHaveBeenCalledOnceWith(0, y);
+      };
+    }
+
+    function expectNoScrollingBy() {
+      return function($window) {
+        expect($window.scrollBy).not.toHaveBeenCalled();
+      };
+    }
+
+    afterEach(inject(function($document) {
+      dealoc($document);
+    }));
+
+
+    it('should scroll back by a fixed offset', inject(
+      addElements('id=some'),
+      mockBoundingClientRect('id=some', {top: 0}),
+      setYOffset(50),
+      changeHashAndScroll('some'),
+      expectScrollingTo('id=some'),
+      expectScrollingBy(-50)));
+
+
+    it('should take into account elements that cannot be scrolled to the top', inject(
+      addElements('id=some'),
+      mockBoundingClientRect('id=some', {top: 30}),
+      setYOffset(50),
+      changeHashAndScroll('some'),
+      expectScrollingBy(-20)));
+
+
+    it('should call a getter function to compute the offset', inject(
+      addElements('id=some'),
+      mockBoundingClientRect('id=some', {top: 0}),
+      function($anchorScroll) {
+        var offset = 10;
+        $anchorScroll.yOffset = function() {
+          return offset += 10;
+        };
+      },
+      changeHashAndScroll('some'),
+      expectScrollingBy(-20),
+      changeHashAndScroll('some'),
+      function($window) {
+        expect($window.scrollBy.mostRecentCall.args).toEqual([0, -30]);
+      }));
+
+
+    it('should use the bottom of a fixed element as offset', inject(
+      addElements('id=some'),
+      mockBoundingClientRect('id=some', {top: 0}),
+      function($anchorScroll) {
+        var header = jqLite('<div style="position: fixed"></div>');
+        spyOn(header[0], 'getBoundingClientRect').andReturn({bottom: 40});
+        $anchorScroll.yOffset = header;
+      },
+      changeHashAndScroll('some'),
+      expectScrollingBy(-40)));
+
+
+    it('should ignore elements that are not fixed', inject(
+      addElements('id=some'),
+      mockBoundingClientRect('id=some', {top: 0}),
+      function($anchorScroll) {
+        var header = jqLite('<div style="position: static"></div>');
+        spyOn(header[0], 'getBoundingClientRect').andReturn({bottom: 40});
+        $anchorScroll.yOffset = header;
+      },
+      changeHashAndScroll('some'),
+      expectScrollingTo('id=some'),
+      expectNoScrollingBy()));
+
+
+    it('should ignore invalid offsets', inject(
+      addElements('id=some'),
+      setYOffset('50'),
+      changeHashAndScroll('some'),
+      expectScrollingTo('id=some'),
+      expectNoScrollingBy()));
+
+
+    it('should not use the offset when scrolling to the top', inject(
+      setYOffset(50),
+      changeHashAndScroll(''),
+      expectScrollingToTop,
+      expectNoScrollingBy()));
+  });
+
+
   describe('watcher', function() {
 
     function initLocation(config) {
       return function($provide, $locationProvider) {
         $provide.value('$sniffer', {history: config.historyApi});
-        $locationProvider.html5Mode(config.html5Mode);
+        $locationProvider.html5Mode({enabled: config.html5Mode, requireBase: false});
       };
     }
 
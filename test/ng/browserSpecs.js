@@ -41,8 +41,13 @@ function MockWindow() {
   };
 
   this.history = {
-    replaceState: noop,
-    pushState: noop
+    state: null,
+    replaceState: function(state) {
+      this.state = copy(state);
+    },
+    pushState: function(state) {
+      this.state = copy(state);
+    }
   };
 }
 
@@ -71,7 +76,7 @@ function MockDocument() {
 
 describe('browser', function() {
   /* global Browser: false */
-  var browser, fakeWindow, fakeDocument, logs, scripts, removedScripts, sniffer;
+  var browser, fakeWindow, fakeDocument, fakeLog, logs, scripts, removedScripts, sniffer;
 
   beforeEach(function() {
     scripts = [];
@@ -85,10 +90,10 @@ describe('browser', function() {
 
     logs = {log:[], warn:[], info:[], error:[]};
 
-    var fakeLog = {log: function() { logs.log.push(slice.call(arguments)); },
-                   warn: function() { logs.warn.push(slice.call(arguments)); },
-                   info: function() { logs.info.push(slice.call(arguments)); },
-                   error: function() { logs.error.push(slice.call(arguments)); }};
+    fakeLog = {log: function() { logs.log.push(slice.call(arguments)); },
+               warn: function() { logs.warn.push(slice.call(arguments)); },
+               info: function() { logs.info.push(slice.call(arguments)); },
+               error: function() { logs.error.push(slice.call(arguments)); }};
 
     browser = new Browser(fakeWindow, fakeDocument, fakeLog, sniffer);
   });
@@ -473,6 +478,79 @@ describe('browser', function() {
       browser.url(current);
       expect(fakeWindow.location.href).toBe('dontchange');
     });
+
+    it('should pass the state to history.pushState/replaceState', function() {
+      sniffer.history = true;
+      browser.url('http://new.org', false, {a: 1});
+      expect(pushState).toHaveBeenCalledOnceWith({a: 1}, '', 'http://new.org');
+
+      browser.url('http://new.org/replaced', true, {b: 2});
+      expect(replaceState).toHaveBeenCalledOnceWith({b: 2}, '', 'http://new.org/replaced');
+    });
+
+    it('should pass null as state if no state is given', function() {
+      sniffer.history = true;
+      browser.url('http://new.org');
+      expect(pushState).toHaveBeenCalledOnceWith(null, '', 'http://new.org');
+    });
+
+    it('should change the state without changing the url when history api supported', function() {
+      sniffer.history = true;
+      browser.url('http://new.org');
+      browser.url('http://new.org', false, {a: 1});
+
+      expect(pushState).toHaveBeenCalledWith({a: 1}, '', 'http://new.org');
+      expect(pushState.callCount).toBe(2);
+    });
+
+    it('should not push the same url and state twice', function() {
+      var state = {a: 1};
+      sniffer.history = true;
+      pushState.andCallThrough();
+
+      browser.url('http://new.org', false, state);
+      browser.url('http://new.org', false, browser.state());
+
+      expect(pushState).toHaveBeenCalledOnce();
+    });
+  });
+
+
+  describe('state', function() {
+
+    it('should return the state of the current history entry', function() {
+      fakeWindow.history.state = {a: 1};
+      browser = new Browser(fakeWindow, fakeDocument, fakeLog, sniffer);
+      expect(browser.state()).toEqual({a: 1});
+    });
+
+    it('should return null if history.state is undefined', function() {
+      fakeWindow.history.state = undefined;
+      browser = new Browser(fakeWindow, fakeDocument, fakeLog, sniffer);
+      expect(browser.state()).toBe(null);
+    });
+
+    it('should return null if the history api is not supported', function() {
+      sniffer.history = false;
+      fakeWindow.history.state = {a: 1};
+      browser = new Browser(fakeWindow, fakeDocument, fakeLog, sniffer);
+      expect(browser.state()).toBe(null);
+    });
+
+    it('should return the state set via url()', function() {
+      sniffer.history = true;
+      browser.url('http://new.org', false, {a: 1});
+      expect(browser.state()).toEqual({a: 1});
+    });
+
+    it('should return the same object as long as the state does not change', function() {
+      sniffer.history = true;
+      browser.url('http://new.org', false, {a: 1});
+      var state = browser.state();
+
+      browser.$$checkUrlChange();
+      expect(browser.state()).toBe(state);
+    });
   });
 
   describe('urlChange', function() {
@@ -503,6 +581,20 @@ describe('browser', function() {
       expect(callback).toHaveBeenCalledOnce();
     });
 
+    it('should forward popstate event when only the state changes', function() {
+      sniffer.history = true;
+      browser.onUrlChange(callback);
+      fakeWindow.history.state = {a: 1};
+
+      fakeWindow.fire('popstate');
+      expect(callback).toHaveBeenCalledWith('http://server/');
+      expect(browser.state()).toEqual({a: 1});
+
+      fakeWindow.fire('hashchange');
+      fakeWindow.setTimeout.flush();
+      expect(callback).toHaveBeenCalledOnce();
+    });
+
     it('should forward only popstate event when both history and hashchange supported', function() {
       sniffer.history = true;
       sniffer.hashchange = true;
@@ -27,10 +27,14 @@ describe('$cacheFactory', function() {
       expect($cacheFactory.info()).toEqual({});
 
       var cache1 = $cacheFactory('cache1');
-      expect($cacheFactory.info()).toEqual({cache1: {id: 'cache1', size: 0}});
+      expect($cacheFactory.info()).toEqual({
+        cache1: {id: 'cache1', size: 0, hits: 0, misses: 0, evictions: 0}
+      });
 
       cache1.put('foo', 'bar');
-      expect($cacheFactory.info()).toEqual({cache1: {id: 'cache1', size: 1}});
+      expect($cacheFactory.info()).toEqual({
+        cache1: {id: 'cache1', size: 1, hits: 0, misses: 0, evictions: 0}
+      });
     }));
   });
 
@@ -328,4 +332,345 @@ describe('$cacheFactory', function() {
       }));
     });
   });
+
+
+  describe('statistics', function() {
+
+    it('should count hits, misses and evictions', inject(function($cacheFactory) {
+      var cache = $cacheFactory('cache1', {capacity: 2});
+
+      cache.put('id0', 0);
+      cache.put('id1', 1);
+      cache.put('id2', 2);
+
+      cache.get('id0');
+      cache.get('id1');
+      cache.get('id2');
+      cache.get('nope');
+
+      expect(cache.info()).toEqual({
+        id: 'cache1', capacity: 2, size: 2, hits: 2, misses: 2, evictions: 1
+      });
+    }));
+
+
+    it('should not count removed entries as evictions', inject(function($cacheFactory) {
+      var cache = $cacheFactory('cache1');
+
+      cache.put('id0', 0);
+      cache.remove('id0');
+      cache.put('id1', 1);
+      cache.removeAll();
+
+      expect(cache.info().evictions).toBe(0);
+    }));
+  });
+
+
+  describe('expiry', function() {
+    var now, onExpire;
+
+    beforeEach(function() {
+      now = 1000;
+      spyOn(Date, 'now').andCallFake(function() { return now; });
+      onExpire = jasmine.createSpy('onExpire');
+    });
+
+
+    describe('lazy', function() {
+
+      it('should remove expired entries when they are retrieved', inject(function($cacheFactory) {
+        var cache = $cacheFactory('cache1', {maxAge: 100, onExpire: onExpire});
+
+        cache.put('id0', 0);
+        now += 99;
+        expect(cache.get('id0')).toBe(0);
+        expect(onExpire).not.toHaveBeenCalled();
+
+        now += 1;
+        expect(cache.get('id0')).toBeUndefined();
+        expect(onExpire).toHaveBeenCalledOnceWith('id0', 0);
+        expect(cache.info()).toEqual(jasmine.objectContaining({
+          size: 0, hits: 1, misses: 1, evictions: 1
+        }));
+      }));
+
+
+      it('should restart the expiry when an entry is put again', inject(function($cacheFactory) {
+        var cache = $cacheFactory('cache1', {maxAge: 100});
+
+        cache.put('id0', 0);
+        now += 60;
+        cache.put('id0', 1);
+        now += 60;
+
+        expect(cache.get('id0')).toBe(1);
+      }));
+
+
+      it('should remove expired entries before reporting info', inject(function($cacheFactory) {
+        var cache = $cacheFactory('cache1', {maxAge: 100, onExpire: onExpire});
+
+        cache.put('id0', 0);
+        now += 50;
+        cache.put('id1', 1);
+        now += 50;
+
+        expect(cache.info().size).toBe(1);
+        expect(onExpire).toHaveBeenCalledOnceWith('id0', 0);
+      }));
+
+
+      it('should work together with the LRU capacity', inject(function($cacheFactory) {
+        var cache = $cacheFactory('cache1', {maxAge: 100, capacity: 2});
+
+        cache.put('id0', 0);
+        now += 100;
+        expect(cache.get('id0')).toBeUndefined();
+
+        cache.put('id1', 1);
+        cache.put('id2', 2);
+
+        expect(cache.get('id1')).toBe(1);
+        expect(cache.get('id2')).toBe(2);
+      }));
+    });
+
+
+    describe('timer', function() {
+
+      it('should remove entries as soon as they expire', inject(function($cacheFactory, $browser) {
+        var cache = $cacheFactory('cache1', {maxAge: 100, evictionMode: 'timer',
+                                             onExpire: onExpire});
+
+        cache.put('id0', 0);
+        expect($browser.deferredFns.length).toBe(1);
+
+        now += 99;
+        $browser.defer.flush(99);
+        expect(onExpire).not.toHaveBeenCalled();
+
+        now += 1;
+        $browser.defer.flush(1);
+        expect(onExpire).toHaveBeenCalledOnceWith('id0', 0);
+        expect(cache.info().size).toBe(0);
+      }));
+
+
+      it('should clear the timer when the entry is replaced or removed', inject(
+          function($cacheFactory, $browser) {
+        var cache = $cacheFactory('cache1', {maxAge: 100, evictionMode: 'timer'});
+
+        cache.put('id0', 0);
+        cache.put('id0', 1);
+        expect($browser.deferredFns.length).toBe(1);
+
+        cache.remove('id0');
+        expect($browser.deferredFns.length).toBe(0);
+
+        cache.put('id1', 1);
+        cache.destroy();
+        expect($browser.deferredFns.length).toBe(0);
+      }));
+    });
+  });
+
+
+  describe('storage', function() {
+    var storage;
+
+    function createStorage(items) {
+      return {
+        items: items || {},
+        getItem: function(key) {
+          return this.items.hasOwnProperty(key) ? this.items[key] : null;
+        },
+        setItem: function(key, value) {
+          this.items[key] = '' + value;
+        },
+        removeItem: function(key) {
+          delete this.items[key];
+        }
+      };
+    }
+
+    beforeEach(function() {
+      storage = createStorage();
+    });
+
+
+    it('should write entries to the storage', inject(function($cacheFactory) {
+      var cache = $cacheFactory('cache1', {storage: storage});
+
+      cache.put('id0', {a: 1});
+
+      expect(fromJson(storage.items['ngCache.cache1'])).toEqual(['id0']);
+      expect(fromJson(storage.items['ngCache.cache1#id0'])).toEqual({value: {a: 1}});
+    }));
+
+
+    it('should restore entries from the storage', inject(function($cacheFactory) {
+      var cache = $cacheFactory('cache1', {storage: storage});
+      cache.put('id0', [200, 'content']);
+      cache.destroy();
+
+      cache = $cacheFactory('cache1', {storage: storage});
+      expect(cache.get('id0')).toEqual([200, 'content']);
+      expect(cache.info().size).toBe(1);
+    }));
+
+
+    it('should remove entries from the storage', inject(function($cacheFactory) {
+      var cache = $cacheFactory('cache1', {storage: storage});
+
+      cache.put('id0', 0);
+      cache.put('id1', 1);
+      cache.remove('id0');
+
+      expect(storage.items['ngCache.cache1#id0']).toBeUndefined();
+      expect(fromJson(storage.items['ngCache.cache1'])).toEqual(['id1']);
+
+      cache.removeAll();
+      expect(storage.items).toEqual({'ngCache.cache1': '[]'});
+    }));
+
+
+    it('should not persist promises', inject(function($cacheFactory, $q) {
+      var cache = $cacheFactory('cache1', {storage: storage});
+
+      cache.put('id0', 'stored');
+      cache.put('id0', $q.defer().promise);
+
+      expect(storage.items['ngCache.cache1#id0']).toBeUndefined();
+      expect(fromJson(storage.items['ngCache.cache1'])).toEqual([]);
+    }));
+
+
+    it('should only write the index when the set of keys changes', inject(function($cacheFactory) {
+      var cache = $cacheFactory('cache1', {storage: storage});
+      spyOn(storage, 'setItem').andCallThrough();
+
+      cache.put('id0', 0);
+      cache.put('id0', 1);
+      cache.put('id0', 2);
+
+      expect(storage.setItem.callCount).toBe(4);
+      expect(storage.setItem.calls[0].args[0]).toBe('ngCache.cache1#id0');
+      expect(storage.setItem.calls[1].args[0]).toBe('ngCache.cache1');
+      expect(storage.setItem.calls[2].args[0]).toBe('ngCache.cache1#id0');
+      expect(storage.setItem.calls[3].args[0]).toBe('ngCache.cache1#id0');
+    }));
+
+
+    it('should report storage errors and keep the entries in memory only', function() {
+      module(function($exceptionHandlerProvider) {
+        $exceptionHandlerProvider.mode('log');
+      });
+
+      inject(function($cacheFactory, $exceptionHandler) {
+        var error = new Error('QuotaExceededError'),
+            cache = $cacheFactory('cache1', {storage: storage});
+
+        spyOn(storage, 'setItem').andThrow(error);
+        spyOn(storage, 'removeItem');
+
+        expect(cache.put('id0', 0)).toBe(0);
+        expect($exceptionHandler.errors).toEqual([error]);
+
+        cache.put('id1', 1);
+        cache.remove('id0');
+
+        expect(storage.setItem.callCount).toBe(1);
+        expect(storage.removeItem).not.toHaveBeenCalled();
+        expect($exceptionHandler.errors.length).toBe(1);
+        expect(cache.get('id1')).toBe(1);
+        expect(cache.info().size).toBe(1);
+      });
+    });
+
+
+    it('should report errors when restoring entries and keep the entries in memory only',
+        function() {
+      module(function($exceptionHandlerProvider) {
+        $exceptionHandlerProvider.mode('log');
+      });
+
+      inject(function($cacheFactory, $exceptionHandler) {
+        var error = new Error('SecurityError'),
+            cache;
+
+        spyOn(storage, 'getItem').andThrow(error);
+        spyOn(storage, 'setItem');
+        cache = $cacheFactory('cache1', {storage: storage});
+
+        expect($exceptionHandler.errors).toEqual([error]);
+        expect(cache.info().size).toBe(0);
+
+        cache.put('id0', 0);
+        expect(cache.get('id0')).toBe(0);
+        expect(storage.getItem.callCount).toBe(1);
+        expect(storage.setItem).not.toHaveBeenCalled();
+      });
+    });
+
+
+    it('should drop entries that can\'t be parsed', inject(function($cacheFactory) {
+      storage = createStorage({
+        'ngCache.cache1': '["id0","id1"]',
+        'ngCache.cache1#id0': '{not json',
+        'ngCache.cache1#id1': '{"value":1}'
+      });
+
+      var cache = $cacheFactory('cache1', {storage: storage});
+
+      expect(cache.get('id0')).toBeUndefined();
+      expect(cache.get('id1')).toBe(1);
+      expect(cache.info().size).toBe(1);
+      expect(storage.items).toEqual({
+        'ngCache.cache1': '["id1"]',
+        'ngCache.cache1#id1': '{"value":1}'
+      });
+    }));
+
+
+    it('should not restore entries that expired in the meantime', inject(function($cacheFactory) {
+      var now = 1000;
+      spyOn(Date, 'now').andCallFake(function() { return now; });
+
+      var cache = $cacheFactory('cache1', {storage: storage, maxAge: 100});
+      cache.put('id0', 0);
+      now += 50;
+      cache.put('id1', 1);
+      cache.destroy();
+
+      now += 50;
+      cache = $cacheFactory('cache1', {storage: storage, maxAge: 100});
+
+      expect(cache.get('id0')).toBeUndefined();
+      expect(storage.items['ngCache.cache1#id0']).toBeUndefined();
+
+      now += 49;
+      expect(cache.get('id1')).toBe(1);
+      now += 1;
+      expect(cache.get('id1')).toBeUndefined();
+    }));
+
+
+    it('should support the Web Storage objects by name', inject(function($cacheFactory, $window) {
+      var cache = $cacheFactory('cache1', {storage: 'sessionStorage'});
+
+      cache.put('id0', 'value');
+      expect($window.sessionStorage.getItem('ngCache.cache1#id0')).toBe('{"value":"value"}');
+
+      cache.removeAll();
+      $window.sessionStorage.removeItem('ngCache.cache1');
+    }));
+
+
+    it('should throw for unknown storage names', inject(function($cacheFactory) {
+      expect(function() {
+        $cacheFactory('cache1', {storage: 'cookies'});
+      }).toThrowMinErr('$cacheFactory', 'badstorage', "Unknown storage 'cookies' for cache 'cache1'");
+    }));
+  });
 });
@@ -2979,6 +2979,10 @@ describe('$compile', function() {
             optref: '=?',
             optrefAlias: '=? optref',
             optreference: '=?',
+            owRef: '<',
+            owRefAlias: '< owRef',
+            owOptref: '<?',
+            owOptrefAlias: '<? owOptref',
             expr: '&',
             exprAlias: '&expr'
           },
@@ -3447,6 +3451,126 @@ describe('$compile', function() {
     });
 
 
+    describe('one-way binding', function() {
+      it('should update isolate when the identity of origin changes', inject(function() {
+        compile('<div><span my-component ow-ref="obj">');
+
+        expect(componentScope.owRef).toBeUndefined();
+        expect(componentScope.owRefAlias).toBe(componentScope.owRef);
+
+        $rootScope.obj = {value: 'initial'};
+        $rootScope.$apply();
+
+        expect($rootScope.obj).toEqual({value: 'initial'});
+        expect(componentScope.owRef).toBe($rootScope.obj);
+        expect(componentScope.owRefAlias).toBe($rootScope.obj);
+
+        // This changes in both scopes because of reference
+        $rootScope.obj.value = 'origin1';
+        $rootScope.$apply();
+        expect(componentScope.owRef.value).toBe('origin1');
+        expect(componentScope.owRefAlias.value).toBe('origin1');
+
+        componentScope.owRef = {value: 'isolate1'};
+        componentScope.$apply();
+        expect($rootScope.obj.value).toBe('origin1');
+
+        // Change does not propagate because object identity hasn't changed
+        $rootScope.obj.value = 'origin2';
+        $rootScope.$apply();
+        expect(componentScope.owRef.value).toBe('isolate1');
+        expect(componentScope.owRefAlias.value).toBe('origin2');
+
+        // Change does propagate because object identity changes
+        $rootScope.obj = {value: 'origin3'};
+        $rootScope.$apply();
+        expect(componentScope.owRef.value).toBe('origin3');
+        expect(componentScope.owRef).toBe($rootScope.obj);
+        expect(componentScope.owRefAlias).toBe($rootScope.obj);
+      }));
+
+
+      it('should not write back to the parent scope', inject(function() {
+        $rootScope.name = 'misko';
+        compile('<div><span my-component ow-ref="name">');
+        expect(componentScope.owRef).toBe('misko');
+
+        componentScope.owRef = 'igor';
+        $rootScope.$apply();
+        expect($rootScope.name).toBe('misko');
+        expect(componentScope.owRef).toBe('igor');
+
+        $rootScope.name = 'vojta';
+        $rootScope.$apply();
+        expect(componentScope.owRef).toBe('vojta');
+      }));
+
+
+      it('should not complain when the isolate changes a non-assignable expression', inject(function() {
+        $rootScope.name = 'world';
+        compile('<div><span my-component ow-ref="\'hello \' + name">');
+        expect(componentScope.owRef).toBe('hello world');
+
+        componentScope.owRef = 'ignore me';
+        $rootScope.$apply();
+        expect(componentScope.owRef).toBe('ignore me');
+
+        $rootScope.name = 'misko';
+        $rootScope.$apply();
+        expect(componentScope.owRef).toBe('hello misko');
+      }));
+
+
+      it('should pick up a parent change between linking and the first digest', inject(function() {
+        $rootScope.name = 'misko';
+        compile('<div><span my-component ow-ref="name">');
+        $rootScope.name = 'igor';
+        $rootScope.$apply();
+        expect(componentScope.owRef).toBe('igor');
+      }));
+
+
+      it('should compare literal expressions by value', inject(function() {
+        $rootScope.name = 'a';
+        compile('<div><span my-component ow-ref="{name: name}">');
+        var lastComponentValue = componentScope.owRef;
+        expect(lastComponentValue).toEqual({name: 'a'});
+
+        $rootScope.$apply();
+        expect(componentScope.owRef).toBe(lastComponentValue);
+
+        $rootScope.$apply('name = "b"');
+        expect(componentScope.owRef).toEqual({name: 'b'});
+      }));
+
+
+      it('should bind undefined for a missing attribute', inject(function() {
+        compile('<div><span my-component>');
+        expect('owRef' in componentScope).toBe(true);
+        expect(componentScope.owRef).toBeUndefined();
+      }));
+
+
+      describe('optional', function() {
+        it('should update local when origin changes', inject(function() {
+          compile('<div><span my-component ow-optref="name">');
+          expect(componentScope.owOptref).toBeUndefined();
+
+          $rootScope.$apply('name = "misko"');
+          expect(componentScope.owOptref).toBe('misko');
+          expect(componentScope.owOptrefAlias).toBe('misko');
+        }));
+
+
+        it('should not set the property when the attribute is missing', inject(function() {
+          compile('<div><span my-component>');
+          expect('owOptref' in componentScope).toBe(false);
+          expect('owOptrefAlias' in componentScope).toBe(false);
+        }));
+      });
+    });
+
+
     describe('executable expression', function() {
       it('should allow expression execution with locals', inject(function() {
         compile('<div><span my-component expr="count = count + offset">');
@@ -3480,9 +3604,170 @@ describe('$compile', function() {
       expect(componentScope.$$isolateBindings.refAlias).toBe('=ref');
       expect(componentScope.$$isolateBindings.reference).toBe('=reference');
       expect(componentScope.$$isolateBindings.expr).toBe('&expr');
+      expect(componentScope.$$isolateBindings.owRef).toBe('<owRef');
+      expect(componentScope.$$isolateBindings.owRefAlias).toBe('<owRef');
       expect(componentScope.$$isolateBindings.exprAlias).toBe('&expr');
 
     }));
+
+
+    describe('bindToController', function() {
+      it('should bind the isolate scope properties to the controller', function() {
+        var controllerCalled = false;
+        module(function($compileProvider) {
+          $compileProvider.directive('fooDir', valueFn({
+            template: '<p>isolate</p>',
+            scope: {
+              'data': '=dirData',
+              'str': '@dirStr',
+              'fn': '&dirFn'
+            },
+            controller: function($scope) {
+              expect(this.data).toEqualData({
+                'foo': 'bar',
+                'baz': 'biz'
+              });
+              expect(this.str).toBe('Hello, world!');
+              expect(this.fn()).toBe('called!');
+              expect($scope.data).toBeUndefined();
+              controllerCalled = true;
+            },
+            controllerAs: 'test',
+            bindToController: true
+          }));
+        });
+        inject(function($compile, $rootScope) {
+          $rootScope.fn = valueFn('called!');
+          $rootScope.whom = 'world';
+          $rootScope.remoteData = {
+            'foo': 'bar',
+            'baz': 'biz'
+          };
+          element = $compile('<div foo-dir dir-data="remoteData" ' +
+                             'dir-str="Hello, {{whom}}!" ' +
+                             'dir-fn="fn()"></div>')($rootScope);
+          expect(controllerCalled).toBe(true);
+        });
+      });
+
+
+      it('should update the controller when the parent value changes', function() {
+        var controller;
+        module(function($compileProvider) {
+          $compileProvider.directive('fooDir', valueFn({
+            template: '<p>{{test.data.value}}</p>',
+            scope: {data: '='},
+            controller: function() {
+              controller = this;
+            },
+            controllerAs: 'test',
+            bindToController: true
+          }));
+        });
+        inject(function($compile, $rootScope) {
+          element = $compile('<div foo-dir data="model"></div>')($rootScope);
+          $rootScope.model = {value: 'first'};
+          $rootScope.$digest();
+          expect(controller.data).toBe($rootScope.model);
+          expect(element.text()).toBe('first');
+
+          controller.data = {value: 'second'};
+          $rootScope.$digest();
+          expect($rootScope.model).toEqual({value: 'second'});
+          expect(element.text()).toBe('second');
+        });
+      });
+
+
+      it('should bind the bindings given as an object instead of the isolate scope definition', function() {
+        var controller;
+        module(function($compileProvider) {
+          $compileProvider.directive('fooDir', valueFn({
+            scope: {},
+            bindToController: {value: '@'},
+            controller: function() {
+              controller = this;
+            }
+          }));
+        });
+        inject(function($compile, $rootScope) {
+          $rootScope.name = 'misko';
+          element = $compile('<div foo-dir value="{{name}}"></div>')($rootScope);
+          $rootScope.$digest();
+          expect(controller.value).toBe('misko');
+          expect(element.isolateScope().value).toBeUndefined();
+        });
+      });
+
+
+      it('should bind required controllers to the controller when require is an object', function() {
+        var childController;
+        module(function($compileProvider) {
+          $compileProvider.directive('parentDir', valueFn({
+            controller: function() {
+              this.name = 'parent';
+            }
+          }));
+          $compileProvider.directive('childDir', valueFn({
+            scope: {},
+            require: {parent: '^parentDir', optional: '?^missingDir'},
+            bindToController: true,
+            controller: function() {
+              childController = this;
+            },
+            link: function(scope, element, attrs, controllers) {
+              expect(controllers.parent).toBe(childController.parent);
+            }
+          }));
+        });
+        inject(function($compile, $rootScope) {
+          element = $compile('<div parent-dir><div child-dir></div></div>')($rootScope);
+          expect(childController.parent.name).toBe('parent');
+          expect(childController.optional).toBeUndefined();
+        });
+      });
+
+
+      it('should throw if bindToController is used without a controller', function() {
+        module(function($compileProvider) {
+          $compileProvider.directive('fooDir', valueFn({
+            scope: {data: '='},
+            bindToController: true
+          }));
+        });
+        inject(function($compile, $rootScope) {
+          expect(function() {
+            $compile('<div foo-dir></div>')($rootScope);
+          }).toThrowMinErr('$compile', 'noctrl',
+              "Cannot bind to controller without directive 'fooDir's controller.");
+        });
+      });
+
+
+      it('should throw if bindToController is an object without an isolate scope', function() {
+        module(function($compileProvider) {
+          $compileProvider.directive('fooDir', valueFn({
+            scope: true,
+            bindToController: {data: '='},
+            controller: noop
+          }));
+          $compileProvider.directive('barDir', valueFn({
+            bindToController: {data: '='},
+            controller: noop
+          }));
+        });
+        inject(function($compile, $rootScope) {
+          expect(function() {
+            $compile('<div foo-dir></div>')($rootScope);
+          }).toThrowMinErr('$compile', 'noiscp',
+              "Cannot bind to controller without an isolate scope for directive 'fooDir'.");
+          expect(function() {
+            $compile('<div bar-dir></div>')($rootScope);
+          }).toThrowMinErr('$compile', 'noiscp',
+              "Cannot bind to controller without an isolate scope for directive 'barDir'.");
+        });
+      });
+    });
   });
 
 
@@ -4173,6 +4458,504 @@ describe('$compile', function() {
   });
 
 
+  describe('component helper', function() {
+    it('should register an element directive with an isolate scope and a default alias', function() {
+      var ddo;
+      module(function($compileProvider) {
+        $compileProvider.component('myComponent', {template: '<p>{{$ctrl.name}}</p>'});
+      });
+      inject(function(myComponentDirective, $compile, $rootScope) {
+        ddo = myComponentDirective[0];
+        expect(ddo.restrict).toBe('E');
+        expect(ddo.scope).toEqual({});
+        expect(ddo.controllerAs).toBe('$ctrl');
+        expect(ddo.bindToController).toEqual({});
+
+        element = $compile('<my-component></my-component>')($rootScope);
+        element.isolateScope().$ctrl.name = 'Bob';
+        $rootScope.$digest();
+        expect(element.text()).toBe('Bob');
+      });
+    });
+
+
+    it('should bind the bindings to the controller', function() {
+      var controller;
+      module(function($compileProvider) {
+        $compileProvider.component('myComponent', {
+          bindings: {title: '@', item: '=', onSelect: '&'},
+          template: '<span>{{$ctrl.title}}:{{$ctrl.item.name}}</span>',
+          controller: function() {
+            controller = this;
+            this.initialTitle = this.title;
+          }
+        });
+      });
+      inject(function($compile, $rootScope) {
+        $rootScope.item = {name: 'apple'};
+        $rootScope.select = jasmine.createSpy('select');
+        element = $compile('<my-component title="Fruit" item="item" on-select="select(item)">' +
+                           '</my-component>')($rootScope);
+        $rootScope.$digest();
+
+        expect(controller.initialTitle).toBe('Fruit');
+        expect(element.text()).toBe('Fruit:apple');
+
+        controller.onSelect({item: controller.item});
+        expect($rootScope.select).toHaveBeenCalledWith($rootScope.item);
+      });
+    });
+
+
+    it('should use the alias given with the controller or via controllerAs', function() {
+      module(function($compileProvider, $controllerProvider) {
+        $controllerProvider.register('MyCtrl', function() { this.name = 'ctrl'; });
+        $compileProvider.component('aliasedCtrl', {
+          controller: 'MyCtrl as myCtrl',
+          template: '{{myCtrl.name}}'
+        });
+        $compileProvider.component('aliasedAs', {
+          controller: 'MyCtrl',
+          controllerAs: 'vm',
+          template: '{{vm.name}}'
+        });
+      });
+      inject(function($compile, $rootScope) {
+        element = $compile('<div><aliased-ctrl></aliased-ctrl>|<aliased-as></aliased-as></div>')($rootScope);
+        $rootScope.$digest();
+        expect(element.text()).toBe('ctrl|ctrl');
+      });
+    });
+
+
+    it('should invoke template and templateUrl functions with the element and attrs', function() {
+      var templateArgs, templateUrlArgs;
+      module(function($compileProvider) {
+        $compileProvider.component('inlineTemplate', {
+          template: function($element, $attrs) {
+            templateArgs = [$element, $attrs];
+            return '<b>' + $attrs.label + '</b>';
+          }
+        });
+        $compileProvider.component('remoteTemplate', {
+          templateUrl: ['$element', '$attrs', function(element, attrs) {
+            templateUrlArgs = [element, attrs];
+            return attrs.src;
+          }]
+        });
+      });
+      inject(function($compile, $rootScope, $templateCache) {
+        $templateCache.put('remote.html', '<i>remote</i>');
+        element = $compile('<div><inline-template label="inline"></inline-template>' +
+                           '<remote-template src="remote.html"></remote-template></div>')($rootScope);
+        $rootScope.$digest();
+
+        expect(element.text()).toBe('inlineremote');
+        expect(templateArgs[0][0].nodeName).toBe('INLINE-TEMPLATE');
+        expect(templateArgs[1].label).toBe('inline');
+        expect(templateUrlArgs[0][0].nodeName).toBe('REMOTE-TEMPLATE');
+        expect(templateUrlArgs[1].src).toBe('remote.html');
+      });
+    });
+
+
+    it('should expose required parent controllers on the controller', function() {
+      var tabController;
+      module(function($compileProvider) {
+        $compileProvider.component('tabs', {
+          controller: function() {
+            this.panes = [];
+          }
+        });
+        $compileProvider.component('pane', {
+          require: {tabs: '^tabs'},
+          controller: function() {
+            tabController = this;
+          }
+        });
+      });
+      inject(function($compile, $rootScope) {
+        element = $compile('<tabs><pane></pane></tabs>')($rootScope);
+        expect(tabController.tabs.panes).toEqual([]);
+      });
+    });
+
+
+    it('should not match attributes', function() {
+      var controllerCalled = false;
+      module(function($compileProvider) {
+        $compileProvider.component('myComponent', {
+          controller: function() { controllerCalled = true; }
+        });
+      });
+      inject(function($compile, $rootScope) {
+        element = $compile('<div my-component></div>')($rootScope);
+        expect(controllerCalled).toBe(false);
+      });
+    });
+
+
+    it('should copy `$` prefixed annotations to the directive factory and definition', function() {
+      var annotation = {};
+      module(function($compileProvider) {
+        $compileProvider.component('myComponent', {$annotated: annotation});
+      });
+      inject(function(myComponentDirective) {
+        expect(myComponentDirective[0].$annotated).toBe(annotation);
+      });
+    });
+  });
+
+
+  describe('controller lifecycle hooks', function() {
+
+    describe('$onInit', function() {
+
+      it('should call `$onInit`, if provided, after all the controllers on the element have been initialized', function() {
+
+        function check() {
+          /*jshint validthis:true */
+          expect(this.element.controller('d1').id).toEqual(1);
+          expect(this.element.controller('d2').id).toEqual(2);
+        }
+
+        function Controller1($element) { this.id = 1; this.element = $element; }
+        Controller1.prototype.$onInit = jasmine.createSpy('$onInit').andCallFake(check);
+
+        function Controller2($element) { this.id = 2; this.element = $element; }
+        Controller2.prototype.$onInit = jasmine.createSpy('$onInit').andCallFake(check);
+
+        angular.module('my', [])
+          .directive('d1', valueFn({ controller: Controller1 }))
+          .directive('d2', valueFn({ controller: Controller2 }));
+
+        module('my');
+        inject(function($compile, $rootScope) {
+          element = $compile('<div d1 d2></div>')($rootScope);
+          expect(Controller1.prototype.$onInit).toHaveBeenCalledOnce();
+          expect(Controller2.prototype.$onInit).toHaveBeenCalledOnce();
+        });
+      });
+
+
+      it('should call `$onInit` after the bindings have been initialized and before the link functions', function() {
+        var log = [];
+
+        angular.module('my', [])
+          .component('c1', {
+            bindings: {title: '@'},
+            controller: function() {
+              this.$onInit = function() {
+                log.push('$onInit:' + this.title);
+              };
+            }
+          })
+          .directive('c1', valueFn({
+            link: {
+              pre: function() { log.push('pre'); },
+              post: function() { log.push('post'); }
+            }
+          }));
+
+        module('my');
+        inject(function($compile, $rootScope) {
+          element = $compile('<c1 title="hello"></c1>')($rootScope);
+          expect(log).toEqual(['$onInit:hello', 'pre', 'post']);
+        });
+      });
+    });
+
+
+    describe('$onDestroy', function() {
+
+      it('should call `$onDestroy`, if provided, on the controller when its scope is destroyed', function() {
+
+        function TestController() { this.count = 0; }
+        TestController.prototype.$onDestroy = function() { this.count++; };
+
+        angular.module('my', [])
+          .directive('d1', valueFn({ scope: false, controller: TestController }))
+          .directive('d2', valueFn({ scope: true, controller: TestController }))
+          .directive('d3', valueFn({ scope: {}, controller: TestController }));
+
+        module('my');
+        inject(function($compile, $rootScope) {
+
+          element = $compile('<div><d1 ng-if="show[0]"></d1><d2 ng-if="show[1]"></d2><div ng-if="show[2]"><d3></d3></div></div>')($rootScope);
+
+          $rootScope.$apply('show = [true, true, true]');
+          var d1Controller = element.find('d1').controller('d1');
+          var d2Controller = element.find('d2').controller('d2');
+          var d3Controller = element.find('d3').controller('d3');
+
+          expect([d1Controller.count, d2Controller.count, d3Controller.count]).toEqual([0,0,0]);
+          $rootScope.$apply('show = [false, true, true]');
+          expect([d1Controller.count, d2Controller.count, d3Controller.count]).toEqual([1,0,0]);
+          $rootScope.$apply('show = [false, false, true]');
+          expect([d1Controller.count, d2Controller.count, d3Controller.count]).toEqual([1,1,0]);
+          $rootScope.$apply('show = [false, false, false]');
+          expect([d1Controller.count, d2Controller.count, d3Controller.count]).toEqual([1,1,1]);
+        });
+      });
+    });
+
+
+    describe('$postLink', function() {
+
+      it('should call `$postLink`, if provided, after the element has completed linking (i.e. post-link)', function() {
+
+        var log = [];
+
+        function Controller1() { }
+        Controller1.prototype.$postLink = function() { log.push('d1 view init'); };
+
+        function Controller2() { }
+        Controller2.prototype.$postLink = function() { log.push('d2 view init'); };
+
+        angular.module('my', [])
+          .directive('d1', valueFn({
+            controller: Controller1,
+            link: { pre: function(s, e) { log.push('d1 pre: ' + e.text()); }, post: function(s, e) { log.push('d1 post: ' + e.text()); } },
+            template: '<d2></d2>'
+          }))
+          .directive('d2', valueFn({
+            controller: Controller2,
+            link: { pre: function(s, e) { log.push('d2 pre: ' + e.text()); }, post: function(s, e) { log.push('d2 post: ' + e.text()); } },
+            template: 'loaded'
+          }));
+
+        module('my');
+        inject(function($compile, $rootScope) {
+          element = $compile('<d1></d1>')($rootScope);
+          expect(log).toEqual([
+            'd1 pre: loaded',
+            'd2 pre: loaded',
+            'd2 post: loaded',
+            'd2 view init',
+            'd1 post: loaded',
+            'd1 view init'
+          ]);
+        });
+      });
+
+
+      it('should pass errors thrown by `$postLink` to the `$exceptionHandler` and continue linking', function() {
+        var log = [];
+
+        angular.module('my', [])
+          .directive('d1', valueFn({
+            controller: function() {
+              this.$postLink = function() { log.push('d1 $postLink'); };
+            },
+            template: '<d2></d2><d3></d3>'
+          }))
+          .directive('d2', valueFn({
+            controller: function() {
+              this.$postLink = function() { throw new Error('d2 failed'); };
+            }
+          }))
+          .directive('d3', valueFn({
+            controller: function() {
+              this.$postLink = function() { log.push('d3 $postLink'); };
+            }
+          }));
+
+        module('my');
+        module(function($exceptionHandlerProvider) {
+          $exceptionHandlerProvider.mode('log');
+        });
+        inject(function($compile, $rootScope, $exceptionHandler) {
+          element = $compile('<d1></d1>')($rootScope);
+          expect(log).toEqual(['d3 $postLink', 'd1 $postLink']);
+          expect($exceptionHandler.errors.length).toBe(1);
+          expect($exceptionHandler.errors[0].message).toBe('d2 failed');
+        });
+      });
+    });
+
+
+    describe('$onChanges', function() {
+
+      it('should call `$onChanges` with the initial values of the bindings before `$onInit`', function() {
+        var log = [];
+
+        angular.module('my', [])
+          .component('c1', {
+            controller: function() {
+              this.$onChanges = function(changes) {
+                log.push(['$onChanges', changes.prop1.currentValue, changes.prop1.isFirstChange()]);
+              };
+              this.$onInit = function() { log.push(['$onInit']); };
+            },
+            bindings: {'prop1': '@'}
+          });
+
+        module('my');
+        inject(function($compile, $rootScope) {
+          $rootScope.val = 'initial';
+          element = $compile('<c1 prop1="{{val}}"></c1>')($rootScope);
+          expect(log).toEqual([['$onChanges', 'initial', true], ['$onInit']]);
+        });
+      });
+
+
+      it('should call `$onChanges`, if provided, when an attribute binding changes', function() {
+        var log = [];
+
+        angular.module('my', [])
+          .component('c1', {
+            controller: function() {
+              this.$onChanges = function(changes) {
+                log.push(changes);
+              };
+            },
+            bindings: {'prop1': '@', 'prop2': '@', 'prop3': '='}
+          });
+
+        module('my');
+        inject(function($compile, $rootScope) {
+          $rootScope.$apply('a = "a1"; b = "b1"; c = "c1"');
+          element = $compile('<c1 prop1="{{a}}" prop2="{{b}}" prop3="c"></c1>')($rootScope);
+          log = [];
+
+          $rootScope.$apply('a = "a2"');
+          expect(log.length).toEqual(1);
+          expect(log[0].prop1.previousValue).toEqual('a1');
+          expect(log[0].prop1.currentValue).toEqual('a2');
+          expect(log[0].prop1.isFirstChange()).toBe(false);
+          expect(log[0].prop2).toBeUndefined();
+
+          // two-way bindings do not trigger `$onChanges`
+          log = [];
+          $rootScope.$apply('c = "c2"');
+          expect(log).toEqual([]);
+
+          // changes in the same digest are reported together
+          $rootScope.$apply('a = "a3"; b = "b3"');
+          expect(log.length).toEqual(1);
+          expect(log[0].prop1.currentValue).toEqual('a3');
+          expect(log[0].prop2.previousValue).toEqual('b1');
+          expect(log[0].prop2.currentValue).toEqual('b3');
+        });
+      });
+
+
+      it('should call `$onChanges` when a one-way binding changes', function() {
+        var log = [];
+
+        angular.module('my', [])
+          .component('c1', {
+            controller: function() {
+              this.$onChanges = function(changes) {
+                log.push(changes);
+              };
+            },
+            bindings: {'prop1': '<', 'prop2': '<'}
+          });
+
+        module('my');
+        inject(function($compile, $rootScope) {
+          $rootScope.$apply('a = 1; b = {value: "b1"}');
+          element = $compile('<c1 prop1="a" prop2="b"></c1>')($rootScope);
+          expect(log.length).toEqual(1);
+          expect(log[0].prop1.currentValue).toBe(1);
+          expect(log[0].prop1.isFirstChange()).toBe(true);
+          expect(log[0].prop2.currentValue).toBe($rootScope.b);
+
+          // the first digest does not report the unchanged initial values
+          log = [];
+          $rootScope.$digest();
+          expect(log).toEqual([]);
+
+          $rootScope.$apply('a = 2');
+          expect(log.length).toEqual(1);
+          expect(log[0].prop1.previousValue).toBe(1);
+          expect(log[0].prop1.currentValue).toBe(2);
+          expect(log[0].prop2).toBeUndefined();
+
+          // mutating the bound object is not a change of the binding
+          log = [];
+          $rootScope.$apply('b.value = "b2"');
+          expect(log).toEqual([]);
+
+          $rootScope.$apply('b = {value: "b3"}');
+          expect(log.length).toEqual(1);
+          expect(log[0].prop2.previousValue).toEqual({value: 'b2'});
+          expect(log[0].prop2.currentValue).toEqual({value: 'b3'});
+        });
+      });
+
+
+      it('should run the hooks in a digest so that changes are picked up by watchers', function() {
+        var watchSpy = jasmine.createSpy('watch');
+
+        angular.module('my', [])
+          .component('c1', {
+            controller: function($scope) {
+              this.$onChanges = function(changes) {
+                this.upper = changes.name.currentValue.toUpperCase();
+              };
+              $scope.$watch('$ctrl.upper', watchSpy);
+            },
+            bindings: {'name': '@'}
+          });
+
+        module('my');
+        inject(function($compile, $rootScope) {
+          $rootScope.name = 'misko';
+          element = $compile('<c1 name="{{name}}"></c1>')($rootScope);
+          $rootScope.$digest();
+          expect(watchSpy.mostRecentCall.args[0]).toBe('MISKO');
+
+          $rootScope.$apply('name = "igor"');
+          expect(watchSpy.mostRecentCall.args[0]).toBe('IGOR');
+        });
+      });
+
+
+      it('should throw an error if `$onChanges()` hooks are not stable', function() {
+        function TestController() {}
+        TestController.prototype.$onChanges = function(change) {
+          this.onChange();
+        };
+
+        angular.module('my', [])
+          .component('c1', {
+            controller: TestController,
+            bindings: {'prop': '@', onChange: '&'}
+          });
+
+        module('my');
+        inject(function($compile, $rootScope) {
+
+          // Setup the directive with bindings that will keep updating the bound value forever
+          element = $compile('<c1 prop="{{a}}" on-change="a = a + 1"></c1>')($rootScope);
+
+          // Update val to trigger the unstable onChanges, which will result in an error
+          expect(function() {
+            $rootScope.$apply('a = 42');
+          }).toThrowMinErr('$compile', 'infchng');
+
+          dealoc(element);
+          element = $compile('<c1 prop="{{b}}" on-change=""></c1>')($rootScope);
+          $rootScope.$apply('b = 24');
+          $rootScope.$apply('b = 48');
+        });
+      });
+
+
+      it('should allow the `$onChanges()` TTL to be configured', function() {
+        module(function($compileProvider) {
+          expect($compileProvider.onChangesTtl()).toBe(10);
+          expect($compileProvider.onChangesTtl(2)).toBe($compileProvider);
+          expect($compileProvider.onChangesTtl()).toBe(2);
+        });
+        inject();
+      });
+    });
+  });
+
+
   describe('transclude', function() {
 
     describe('content transclusion', function() {
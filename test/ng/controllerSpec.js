@@ -157,4 +157,55 @@ describe('$controller', function() {
 
     });
   });
+
+
+  describe('later instantiation', function() {
+
+    it('should allocate the instance before invoking the constructor', function() {
+      var scope = {},
+          seen;
+
+      function FooCtrl() {
+        seen = this.bound;
+        this.mark = 'foo';
+      }
+      FooCtrl.prototype.greet = function() { return 'hi'; };
+
+      var init = $controller(FooCtrl, {$scope: scope}, true);
+      expect(init.instance instanceof FooCtrl).toBe(true);
+      expect(init.instance.mark).toBeUndefined();
+
+      init.instance.bound = 'early';
+      expect(init()).toBe(init.instance);
+      expect(seen).toBe('early');
+      expect(init.instance.mark).toBe('foo');
+      expect(init.instance.greet()).toBe('hi');
+    });
+
+
+    it('should publish the instance under an explicit identifier', function() {
+      var scope = {};
+
+      $controllerProvider.register('FooCtrl', function() { this.mark = 'foo'; });
+
+      var init = $controller('FooCtrl', {$scope: scope}, true, 'foo');
+      expect(init.identifier).toBe('foo');
+      expect(scope.foo).toBe(init.instance);
+
+      init();
+      expect(scope.foo.mark).toBe('foo');
+    });
+
+
+    it('should use the object returned by the constructor', function() {
+      var scope = {},
+          result = {mark: 'returned'};
+
+      var init = $controller(function() { return result; }, {$scope: scope}, true, 'foo');
+      expect(scope.foo).toBe(init.instance);
+
+      expect(init()).toBe(result);
+      expect(scope.foo).toBe(result);
+    });
+  });
 });
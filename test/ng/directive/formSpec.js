@@ -609,6 +609,226 @@ describe('form', function() {
     }));
   });
 
+  describe('cross-field validators', function() {
+    var form, password, confirmation;
+
+    beforeEach(function() {
+      doc = $compile(
+          '<form name="form">' +
+            '<input ng-model="password" name="password"/>' +
+            '<input ng-model="confirmation" name="confirmation"/>' +
+            '<input ng-model="other" name="other"/>' +
+          '</form>')(scope);
+      scope.$digest();
+
+      form = scope.form;
+      password = doc.find('input').eq(0);
+      confirmation = doc.find('input').eq(1);
+    });
+
+    function addPasswordMatchValidator(validate) {
+      form.$validators.passwordMatch = {
+        controls: ['password', 'confirmation'],
+        targets: ['confirmation'],
+        validate: validate || function(values) {
+          return values.password === values.confirmation;
+        }
+      };
+    }
+
+
+    it('should set the validity on the form and on the targets', function() {
+      addPasswordMatchValidator();
+
+      changeInputValue(password, 'secret');
+      changeInputValue(confirmation, 'typo');
+
+      expect(form.$valid).toBe(false);
+      expect(form.$error.passwordMatch).toEqual([form.$validators.passwordMatch,
+          form.confirmation]);
+      expect(form.confirmation.$error.passwordMatch).toBe(true);
+      expect(form.password.$error.passwordMatch).toBeUndefined();
+      expect(confirmation).toHaveClass('ng-invalid-password-match');
+      expect(doc).toHaveClass('ng-invalid-password-match');
+
+      changeInputValue(confirmation, 'secret');
+
+      expect(form.$valid).toBe(true);
+      expect(form.$error.passwordMatch).toBe(false);
+      expect(form.confirmation.$error.passwordMatch).toBe(false);
+      expect(confirmation).toHaveClass('ng-valid-password-match');
+    });
+
+
+    it('should not list the form in its own errors', function() {
+      addPasswordMatchValidator();
+      changeInputValue(password, 'secret');
+
+      expect(form.$error.passwordMatch).not.toContain(form);
+    });
+
+
+    it('should set the model value of a target only while it is valid', function() {
+      addPasswordMatchValidator();
+
+      changeInputValue(password, 'abc');
+      changeInputValue(confirmation, 'ab');
+      expect(scope.confirmation).toBeUndefined();
+
+      changeInputValue(confirmation, 'abc');
+      expect(form.confirmation.$valid).toBe(true);
+      expect(scope.confirmation).toBe('abc');
+
+      changeInputValue(password, 'abcd');
+      expect(form.confirmation.$valid).toBe(false);
+      expect(scope.confirmation).toBeUndefined();
+
+      changeInputValue(password, 'abc');
+      expect(scope.confirmation).toBe('abc');
+    });
+
+
+    it('should pass the values of the controls to the validator', function() {
+      var validate = jasmine.createSpy('validate').andReturn(true);
+      addPasswordMatchValidator(validate);
+
+      changeInputValue(password, 'a');
+      changeInputValue(confirmation, 'b');
+
+      expect(validate.mostRecentCall.args[0]).toEqual({password: 'a', confirmation: 'b'});
+    });
+
+
+    it('should pass invalid values of the controls to the validator', function() {
+      var validate = jasmine.createSpy('validate').andReturn(true);
+      addPasswordMatchValidator(validate);
+      form.password.$validators.long = function(value) {
+        return !value || value.length > 3;
+      };
+
+      changeInputValue(password, 'abc');
+
+      expect(form.password.$error.long).toBe(true);
+      expect(validate.mostRecentCall.args[0]).toEqual({password: 'abc', confirmation: undefined});
+    });
+
+
+    it('should only run again when one of the controls has changed', function() {
+      var validate = jasmine.createSpy('validate').andReturn(true);
+      addPasswordMatchValidator(validate);
+      scope.$digest();
+      expect(validate).toHaveBeenCalledOnce();
+
+      changeInputValue(doc.find('input').eq(2), 'unrelated');
+      expect(validate).toHaveBeenCalledOnce();
+
+      scope.$apply('password = "changed"');
+      expect(validate.callCount).toBe(2);
+    });
+
+
+    it('should reset the validity when the validator is removed', function() {
+      addPasswordMatchValidator();
+      changeInputValue(password, 'secret');
+      expect(form.$valid).toBe(false);
+
+      delete form.$validators.passwordMatch;
+      scope.$digest();
+
+      expect(form.$valid).toBe(true);
+      expect(form.$error.passwordMatch).toBe(false);
+      expect(form.confirmation.$error.passwordMatch).toBe(false);
+    });
+
+
+    it('should not run a validator again once it has been removed', function() {
+      var validate = jasmine.createSpy('validate').andReturn(true);
+      addPasswordMatchValidator(validate);
+      scope.$digest();
+
+      delete form.$validators.passwordMatch;
+      changeInputValue(password, 'secret');
+
+      expect(validate).toHaveBeenCalledOnce();
+    });
+
+
+    it('should run again when the validator is replaced', function() {
+      addPasswordMatchValidator();
+      changeInputValue(password, 'secret');
+      expect(form.$valid).toBe(false);
+
+      addPasswordMatchValidator(function() {
+        return true;
+      });
+      scope.$digest();
+
+      expect(form.$valid).toBe(true);
+    });
+
+
+    describe('async', function() {
+      var defer;
+
+      beforeEach(inject(function($q) {
+        form.$asyncValidators.available = {
+          controls: ['password'],
+          targets: ['password'],
+          validate: function(values) {
+            defer = $q.defer();
+            return defer.promise;
+          }
+        };
+        scope.$digest();
+      }));
+
+
+      it('should be pending until the promise has been settled', function() {
+        changeInputValue(password, 'secret');
+
+        expect(form.$pending.available).toEqual([form.$asyncValidators.available]);
+        expect(form.$valid).toBeUndefined();
+
+        defer.reject();
+        scope.$digest();
+
+        expect(form.$pending).toBeUndefined();
+        expect(form.$valid).toBe(false);
+        expect(form.password.$error.available).toBe(true);
+        expect(form.$error.available).toEqual([form.$asyncValidators.available, form.password]);
+      });
+
+
+      it('should set the validity when the promise is fulfilled', function() {
+        changeInputValue(password, 'secret');
+        defer.resolve();
+        scope.$digest();
+
+        expect(form.$pending).toBeUndefined();
+        expect(form.$valid).toBe(true);
+        expect(form.password.$error.available).toBe(false);
+      });
+
+
+      it('should ignore the results of outdated runs', function() {
+        changeInputValue(password, 'first');
+        var firstDefer = defer;
+
+        changeInputValue(password, 'second');
+        firstDefer.reject();
+        scope.$digest();
+
+        expect(form.$pending.available).toEqual([form.$asyncValidators.available]);
+
+        defer.resolve();
+        scope.$digest();
+
+        expect(form.$pending).toBeUndefined();
+        expect(form.$valid).toBe(true);
+      });
+    });
+  });
+
   describe('$setPristine', function() {
 
     it('should reset pristine state of form and controls', function() {
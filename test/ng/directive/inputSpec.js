@@ -378,6 +378,177 @@ describe('NgModelController', function() {
     });
   });
 
+
+  describe('named parsers', function() {
+
+    function logParser(log, name) {
+      return function(value) {
+        log.push(name);
+        return value;
+      };
+    }
+
+
+    it('should run parsers with a higher priority first', function() {
+      var log = [];
+
+      ctrl.$parsers.push(logParser(log, 'unnamed'));
+      ctrl.$addParser('low', logParser(log, 'low'), -10);
+      ctrl.$addParser('high', logParser(log, 'high'), 10);
+      ctrl.$addParser('default', logParser(log, 'default'));
+
+      ctrl.$setViewValue('a');
+      expect(log).toEqual(['high', 'unnamed', 'default', 'low']);
+    });
+
+
+    it('should pass the value through the parser', function() {
+      ctrl.$addParser('upper', function(value) {
+        return value.toUpperCase();
+      });
+
+      ctrl.$setViewValue('abc');
+      expect(ctrl.$modelValue).toBe('ABC');
+    });
+
+
+    it('should replace a parser with the same name', function() {
+      var log = [];
+
+      ctrl.$addParser('a', logParser(log, 'first'));
+      ctrl.$addParser('a', logParser(log, 'second'));
+
+      ctrl.$setViewValue('a');
+      expect(ctrl.$parsers.length).toBe(1);
+      expect(log).toEqual(['second']);
+    });
+
+
+    it('should return a function that removes the parser', function() {
+      var log = [];
+
+      var remove = ctrl.$addParser('a', logParser(log, 'a'));
+      remove();
+
+      ctrl.$setViewValue('a');
+      expect(ctrl.$parsers.length).toBe(0);
+      expect(log).toEqual([]);
+    });
+
+
+    it('should use the name of the parser that rejected the value as error key', function() {
+      ctrl.$addParser('digits', function(value) {
+        return /^\d*$/.test(value) ? value : undefined;
+      });
+
+      ctrl.$setViewValue('abc');
+      expect(ctrl.$error).toEqual({digits: true});
+      expect(ctrl.$valid).toBe(false);
+
+      ctrl.$setViewValue('123');
+      expect(ctrl.$error.digits).toBe(false);
+      expect(ctrl.$valid).toBe(true);
+      expect(ctrl.$modelValue).toBe('123');
+    });
+
+
+    it('should use the generic parse error key for unnamed parsers', function() {
+      ctrl.$addParser('digits', function(value) {
+        return value;
+      });
+      ctrl.$parsers.push(function() {
+        return undefined;
+      });
+
+      ctrl.$setViewValue('abc');
+      expect(ctrl.$error).toEqual({parse: true});
+    });
+  });
+
+
+  describe('trace', function() {
+
+    it('should be disabled by default', function() {
+      ctrl.$parsers.push(function(value) {
+        return value;
+      });
+
+      ctrl.$setViewValue('a');
+      expect(ctrl.$trace).toBe(null);
+    });
+
+
+    it('should record the input and output of each parser', function() {
+      ctrl.$setTrace(true);
+      ctrl.$addParser('trim', function(value) {
+        return value.replace(/^\s+|\s+$/g, '');
+      });
+      ctrl.$parsers.push(function toNumber(value) {
+        return parseFloat(value);
+      });
+
+      ctrl.$setViewValue(' 42 ');
+      expect(ctrl.$trace.parsers).toEqual([
+        {name: 'trim', input: ' 42 ', output: '42'},
+        {name: 'toNumber', input: '42', output: 42}
+      ]);
+    });
+
+
+    it('should stop at the parser that rejected the value', function() {
+      ctrl.$setTrace(true);
+      ctrl.$addParser('reject', function() {
+        return undefined;
+      }, 1);
+      ctrl.$parsers.push(function(value) {
+        return value;
+      });
+
+      ctrl.$setViewValue('a');
+      expect(ctrl.$trace.parsers).toEqual([
+        {name: 'reject', input: 'a', output: undefined}
+      ]);
+    });
+
+
+    it('should record the input and output of each formatter', function() {
+      ctrl.$setTrace(true);
+      ctrl.$formatters.push(function toString(value) {
+        return '' + value;
+      });
+      ctrl.$formatters.push(function double(value) {
+        return value * 2;
+      });
+
+      scope.$apply('value = 3');
+      expect(ctrl.$trace.formatters).toEqual([
+        {name: 'double', input: 3, output: 6},
+        {name: 'toString', input: 6, output: '6'}
+      ]);
+    });
+
+
+    it('should only keep the last run of each pipeline', function() {
+      ctrl.$setTrace(true);
+      ctrl.$parsers.push(function id(value) {
+        return value;
+      });
+
+      ctrl.$setViewValue('a');
+      ctrl.$setViewValue('b');
+      expect(ctrl.$trace.parsers).toEqual([{name: 'id', input: 'b', output: 'b'}]);
+    });
+
+
+    it('should stop recording when disabled', function() {
+      ctrl.$setTrace(true);
+      ctrl.$setTrace(false);
+
+      ctrl.$setViewValue('a');
+      expect(ctrl.$trace).toBe(null);
+    });
+  });
+
   describe('validations pipeline', function() {
 
     it('should perform validations when $validate() is called', function() {
@@ -1581,6 +1752,108 @@ describe('input', function() {
       expect(scope.name).toBe('d');
     });
 
+
+    describe('inheritance', function() {
+
+      function compileForm(html) {
+        formElm = jqLite(html);
+        $compile(formElm)(scope);
+        scope.$digest();
+      }
+
+      function optionsOf(name) {
+        return scope.form[name].$options;
+      }
+
+      it('should apply the options of an ancestor to nested controls', function() {
+        compileForm(
+          '<form name="form" ng-model-options="{ updateOn: \'blur\' }">' +
+            '<div><input type="text" ng-model="name" name="alias" /></div>' +
+          '</form>');
+        inputElm = formElm.find('input');
+
+        changeInputValueTo('a');
+        expect(scope.name).toBeUndefined();
+        browserTrigger(inputElm, 'blur');
+        expect(scope.name).toEqual('a');
+      });
+
+      it('should replace the options of an ancestor by default', function() {
+        compileForm(
+          '<form name="form" ng-model-options="{ updateOn: \'blur\', getterSetter: true }">' +
+            '<input type="text" ng-model="name" name="alias" ' +
+              'ng-model-options="{ debounce: 100 }" />' +
+          '</form>');
+
+        expect(optionsOf('alias')).toEqual({debounce: 100, updateOnDefault: true});
+      });
+
+      it('should inherit individual settings marked with "$inherit"', function() {
+        compileForm(
+          '<form name="form" ng-model-options="{ updateOn: \'default blur\', debounce: 100 }">' +
+            '<input type="text" ng-model="name" name="alias" ' +
+              'ng-model-options="{ updateOn: \'$inherit\', getterSetter: true }" />' +
+          '</form>');
+
+        expect(optionsOf('alias')).toEqual({
+          updateOn: 'blur',
+          updateOnDefault: true,
+          getterSetter: true
+        });
+      });
+
+      it('should inherit all unspecified settings with "*": "$inherit"', function() {
+        compileForm(
+          '<form name="form" ng-model-options="{ updateOn: \'blur\', debounce: 100, getterSetter: true }">' +
+            '<input type="text" ng-model="name" name="alias" ' +
+              'ng-model-options="{ \'*\': \'$inherit\', debounce: 0 }" />' +
+          '</form>');
+
+        expect(optionsOf('alias')).toEqual({
+          updateOn: 'blur',
+          updateOnDefault: false,
+          debounce: 0,
+          getterSetter: true
+        });
+      });
+
+      it('should process the own updateOn setting when inheriting all settings', function() {
+        compileForm(
+          '<form name="form" ng-model-options="{ updateOn: \'blur\' }">' +
+            '<input type="text" ng-model="name" name="alias" ' +
+              'ng-model-options="{ \'*\': \'$inherit\', updateOn: \'default\' }" />' +
+          '</form>');
+        inputElm = formElm.find('input');
+
+        expect(optionsOf('alias')).toEqual({updateOn: '', updateOnDefault: true});
+        changeInputValueTo('a');
+        expect(scope.name).toEqual('a');
+      });
+
+      it('should inherit through several levels of ancestors', function() {
+        compileForm(
+          '<form name="form" ng-model-options="{ updateOn: \'blur\', debounce: 100 }">' +
+            '<fieldset ng-model-options="{ \'*\': \'$inherit\', getterSetter: true }">' +
+              '<input type="text" ng-model="name" name="alias" ' +
+                'ng-model-options="{ getterSetter: \'$inherit\', debounce: \'$inherit\' }" />' +
+            '</fieldset>' +
+          '</form>');
+
+        expect(optionsOf('alias')).toEqual({
+          debounce: 100,
+          getterSetter: true,
+          updateOnDefault: true
+        });
+      });
+
+      it('should ignore "$inherit" settings without an ancestor', function() {
+        compileInput(
+          '<input type="text" ng-model="name" name="alias" ' +
+            'ng-model-options="{ \'*\': \'$inherit\', updateOn: \'$inherit\', debounce: 100 }" />');
+
+        expect(optionsOf('alias')).toEqual({debounce: 100, updateOnDefault: true});
+      });
+    });
   });
 
   it('should allow complex reference binding', function() {
@@ -1988,6 +2261,18 @@ describe('input', function() {
       expect(inputElm.val()).toBe('2014-07');
     });
 
+    it('should use a timezone offset if specified in the options', function() {
+      compileInput('<input type="month" ng-model="value" ng-model-options="{timezone: \'+0530\'}" />');
+
+      changeInputValueTo('2013-07');
+      expect(+scope.value).toBe(Date.UTC(2013, 5, 30, 18, 30));
+
+      scope.$apply(function() {
+        scope.value = new Date(Date.UTC(2014, 5, 30, 18, 30));
+      });
+      expect(inputElm.val()).toBe('2014-07');
+    });
+
     it('should label parse errors as `month`', function() {
       compileInput('<input type="month" ng-model="val" name="alias" />', {
         valid: false,
@@ -2129,6 +2414,18 @@ describe('input', function() {
       expect(inputElm.val()).toBe('2014-W03');
     });
 
+    it('should use a timezone offset if specified in the options', function() {
+      compileInput('<input type="week" ng-model="value" ng-model-options="{timezone: \'-0800\'}" />');
+
+      changeInputValueTo('2013-W03');
+      expect(+scope.value).toBe(Date.UTC(2013, 0, 17, 8));
+
+      scope.$apply(function() {
+        scope.value = new Date(Date.UTC(2014, 0, 17, 8));
+      });
+      expect(inputElm.val()).toBe('2014-W03');
+    });
+
     it('should label parse errors as `week`', function() {
       compileInput('<input type="week" ng-model="val" name="alias" />', {
         valid: false,
@@ -2269,6 +2566,18 @@ describe('input', function() {
       expect(inputElm.val()).toBe('2001-01-01T01:02:00');
     });
 
+    it('should use a timezone offset if specified in the options', function() {
+      compileInput('<input type="datetime-local" ng-model="value" ng-model-options="{timezone: \'-0800\'}" />');
+
+      changeInputValueTo('2000-01-01T01:02');
+      expect(+scope.value).toBe(Date.UTC(2000, 0, 1, 9, 2, 0));
+
+      scope.$apply(function() {
+        scope.value = new Date(Date.UTC(2001, 0, 1, 9, 2, 0));
+      });
+      expect(inputElm.val()).toBe('2001-01-01T01:02:00');
+    });
+
     it('should allow to specify the seconds', function() {
       compileInput('<input type="datetime-local" ng-model="value"" />');
 
@@ -2456,6 +2765,18 @@ describe('input', function() {
       expect(inputElm.val()).toBe('23:02:00');
     });
 
+    it('should use a timezone offset if specified in the options', function() {
+      compileInput('<input type="time" ng-model="value" ng-model-options="{timezone: \'-0800\'}" />');
+
+      changeInputValueTo('23:02:00');
+      expect(+scope.value).toBe(Date.UTC(1970, 0, 2, 7, 2, 0));
+
+      scope.$apply(function() {
+        scope.value = new Date(Date.UTC(1971, 0, 2, 7, 2, 0));
+      });
+      expect(inputElm.val()).toBe('23:02:00');
+    });
+
     it('should allow to specify the seconds', function() {
       compileInput('<input type="time" ng-model="value"" />');
 
@@ -2643,6 +2964,18 @@ describe('input', function() {
       expect(inputElm.val()).toBe('2001-01-01');
     });
 
+    it('should use a timezone offset if specified in the options', function() {
+      compileInput('<input type="date" ng-model="value" ng-model-options="{timezone: \'+0530\'}" />');
+
+      changeInputValueTo('2000-01-01');
+      expect(+scope.value).toBe(Date.UTC(1999, 11, 31, 18, 30));
+
+      scope.$apply(function() {
+        scope.value = new Date(Date.UTC(2000, 11, 31, 18, 30));
+      });
+      expect(inputElm.val()).toBe('2001-01-01');
+    });
+
     it('should label parse errors as `date`', function() {
       compileInput('<input type="date" ng-model="val" name="alias" />', {
         valid: false,
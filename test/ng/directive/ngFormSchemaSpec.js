@@ -0,0 +1,299 @@
+'use strict';
+
+describe('ngFormSchema', function() {
+  var element, scope, $compile, changeInputValue;
+
+  beforeEach(inject(function($injector, $sniffer) {
+    $compile = $injector.get('$compile');
+    scope = $injector.get('$rootScope');
+
+    changeInputValue = function(elm, value) {
+      elm.val(value);
+      browserTrigger(elm, $sniffer.hasEvent('input') ? 'input' : 'change');
+    };
+  }));
+
+  afterEach(function() {
+    dealoc(element);
+  });
+
+  function compileForm(fields) {
+    scope.fields = fields;
+    element = $compile('<form name="form" ng-form-schema="fields" model="user"></form>')(scope);
+    scope.$digest();
+  }
+
+  function control(name) {
+    var controls = element.find('input');
+    controls.push.apply(controls, element.find('select'));
+    for (var i = 0; i < controls.length; i++) {
+      if (controls[i].getAttribute('name') === name) return jqLite(controls[i]);
+    }
+  }
+
+
+  it('should render a labelled control for each field', function() {
+    compileForm([
+      {name: 'name', label: 'Name'},
+      {name: 'age', type: 'number'}
+    ]);
+
+    var fields = element.children();
+    expect(fields.length).toBe(2);
+    expect(fields.eq(0)).toHaveClass('ng-form-schema-field');
+    expect(fields.eq(0).find('label').text()).toBe('Name ');
+    expect(fields.eq(1).find('label').text()).toBe('age ');
+    expect(control('name').attr('type')).toBe('text');
+    expect(control('age').attr('type')).toBe('number');
+  });
+
+
+  it('should bind the controls to the properties of the model', function() {
+    scope.user = {name: 'Misko'};
+    compileForm([{name: 'name'}, {name: 'age', type: 'number'}]);
+
+    expect(control('name').val()).toBe('Misko');
+
+    changeInputValue(control('age'), '42');
+    expect(scope.user).toEqual({name: 'Misko', age: 42});
+  });
+
+
+  it('should create the model if it is not defined', function() {
+    compileForm([{name: 'name'}]);
+
+    changeInputValue(control('name'), 'Vojta');
+    expect(scope.user).toEqual({name: 'Vojta'});
+  });
+
+
+  it('should publish the controls on the form', function() {
+    compileForm([{name: 'name'}, {name: 'email', type: 'email'}]);
+
+    expect(scope.form.name).toBeDefined();
+    expect(scope.form.email).toBeDefined();
+
+    changeInputValue(control('email'), 'invalid');
+    expect(scope.form.email.$error.email).toBe(true);
+    expect(scope.form.$valid).toBe(false);
+  });
+
+
+  it('should set the required error key', function() {
+    compileForm([{name: 'name', required: true}]);
+
+    expect(scope.form.name.$error.required).toBe(true);
+
+    changeInputValue(control('name'), 'a');
+    expect(scope.form.name.$error.required).toBe(false);
+  });
+
+
+  it('should update the required validation when the field changes', function() {
+    compileForm([{name: 'name', required: false}]);
+    expect(scope.form.name.$valid).toBe(true);
+
+    scope.fields[0].required = true;
+    scope.$digest();
+    expect(scope.form.name.$error.required).toBe(true);
+  });
+
+
+  it('should restrict the value of number fields with min and max', function() {
+    compileForm([{name: 'age', type: 'number', min: 18, max: 99}]);
+
+    changeInputValue(control('age'), '12');
+    expect(scope.form.age.$error.min).toBe(true);
+
+    changeInputValue(control('age'), '100');
+    expect(scope.form.age.$error.max).toBe(true);
+
+    changeInputValue(control('age'), '42');
+    expect(scope.form.age.$valid).toBe(true);
+  });
+
+
+  it('should apply changes of min and max to number and date fields', function() {
+    compileForm([{name: 'age', type: 'number', min: 18, max: 99}]);
+
+    changeInputValue(control('age'), '42');
+    expect(scope.form.age.$valid).toBe(true);
+
+    scope.fields[0].min = 50;
+    scope.$digest();
+    expect(control('age').attr('min')).toBe('50');
+    expect(scope.form.age.$error.min).toBe(true);
+
+    scope.fields[0].min = 18;
+    scope.fields[0].max = 40;
+    scope.$digest();
+    expect(scope.form.age.$error.min).toBe(false);
+    expect(scope.form.age.$error.max).toBe(true);
+  });
+
+
+  it('should restrict the value of date fields with min and max', function() {
+    compileForm([{name: 'day', type: 'date', min: '2014-01-01'}]);
+
+    changeInputValue(control('day'), '2013-12-31');
+    expect(scope.form.day.$error.min).toBe(true);
+
+    changeInputValue(control('day'), '2014-01-02');
+    expect(scope.form.day.$valid).toBe(true);
+  });
+
+
+  it('should restrict the length of text fields with min and max', function() {
+    compileForm([{name: 'name', min: 2, max: 4}]);
+
+    changeInputValue(control('name'), 'a');
+    expect(scope.form.name.$error.minlength).toBe(true);
+
+    changeInputValue(control('name'), 'abcde');
+    expect(scope.form.name.$error.maxlength).toBe(true);
+
+    changeInputValue(control('name'), 'abc');
+    expect(scope.form.name.$valid).toBe(true);
+  });
+
+
+  it('should set the pattern error key', function() {
+    compileForm([{name: 'zip', pattern: '^\\d{5}$'}, {name: 'code', pattern: /^[a-z]+$/}]);
+
+    changeInputValue(control('zip'), '123');
+    expect(scope.form.zip.$error.pattern).toBe(true);
+    changeInputValue(control('zip'), '12345');
+    expect(scope.form.zip.$valid).toBe(true);
+
+    changeInputValue(control('code'), 'ABC');
+    expect(scope.form.code.$error.pattern).toBe(true);
+  });
+
+
+  it('should render a select for fields with an enum', function() {
+    compileForm([{name: 'role', enum: ['admin', 'guest'], required: true}]);
+
+    var select = control('role');
+    expect(nodeName_(select)).toBe('select');
+    expect(scope.form.role.$error.required).toBe(true);
+
+    select.val('1');
+    browserTrigger(select, 'change');
+    expect(scope.user.role).toBe('guest');
+    expect(scope.form.role.$valid).toBe(true);
+  });
+
+
+  it('should render the fields again when the list of fields changes', function() {
+    compileForm([{name: 'name'}]);
+
+    scope.fields.push({name: 'email', type: 'email'});
+    scope.$digest();
+    expect(element.children().length).toBe(2);
+    expect(scope.form.email).toBeDefined();
+
+    scope.fields.shift();
+    scope.$digest();
+    expect(element.children().length).toBe(1);
+    expect(scope.form.name).toBeUndefined();
+    expect(scope.form.email).toBeDefined();
+  });
+
+
+  it('should keep the controls of fields that are still in the list', function() {
+    compileForm([{name: 'name'}, {name: 'email', type: 'email'}]);
+
+    var nameControl = control('name'),
+        emailControl = control('email');
+    changeInputValue(nameControl, 'Misko');
+    expect(scope.form.name.$dirty).toBe(true);
+
+    scope.fields = [{name: 'age', type: 'number'}, {name: 'email', type: 'email'},
+        {name: 'name', label: 'Full name'}];
+    scope.$digest();
+
+    expect(element.children().length).toBe(3);
+    expect(control('email')[0]).toBe(emailControl[0]);
+    expect(scope.form.name.$dirty).toBe(false);
+
+    scope.fields = [{name: 'email', type: 'email'}, {name: 'age', type: 'number'}];
+    changeInputValue(control('age'), '42');
+    scope.$digest();
+
+    var fields = element.children();
+    expect(fields.length).toBe(2);
+    expect(fields.eq(0).find('input')[0]).toBe(emailControl[0]);
+    expect(scope.form.age.$dirty).toBe(true);
+    expect(scope.form.name).toBeUndefined();
+  });
+
+
+  it('should expose the current field descriptor to the kept controls', function() {
+    compileForm([{name: 'name'}]);
+    var nameControl = control('name');
+    changeInputValue(nameControl, 'Misko');
+
+    scope.fields = [{name: 'name', required: true}];
+    scope.$digest();
+
+    expect(control('name')[0]).toBe(nameControl[0]);
+    expect(scope.form.name.$dirty).toBe(true);
+    expect(scope.form.name.$error.required).toBe(false);
+
+    changeInputValue(nameControl, '');
+    expect(scope.form.name.$error.required).toBe(true);
+  });
+
+
+  it('should render a field again if its markup changes', function() {
+    compileForm([{name: 'age'}]);
+    var ageControl = control('age');
+
+    scope.fields = [{name: 'age', type: 'number'}];
+    scope.$digest();
+
+    expect(control('age')[0]).not.toBe(ageControl[0]);
+    expect(control('age').attr('type')).toBe('number');
+    expect(element.children().length).toBe(1);
+  });
+
+
+  it('should throw if the model is missing', function() {
+    scope.fields = [];
+    expect(function() {
+      $compile('<form ng-form-schema="fields"></form>')(scope);
+    }).toThrowMinErr('ngFormSchema', 'nonassign', "Expression 'undefined' is non-assignable. " +
+        "Element: <form ng-form-schema=\"fields\" class=\"ng-scope ng-pristine ng-valid\">");
+  });
+
+
+  it('should throw if the model is not assignable', function() {
+    scope.fields = [];
+    expect(function() {
+      $compile('<form ng-form-schema="fields" model="getUser()"></form>')(scope);
+    }).toThrowMinErr('ngFormSchema', 'nonassign', "Expression 'getUser()' is non-assignable. " +
+        "Element: <form ng-form-schema=\"fields\" model=\"getUser()\" " +
+        "class=\"ng-scope ng-pristine ng-valid\">");
+  });
+
+
+  it('should throw for unknown types', function() {
+    expect(function() {
+      compileForm([{name: 'name', type: 'foo'}]);
+    }).toThrowMinErr('ngFormSchema', 'badtype', "Unsupported type 'foo' of field 'name'.");
+  });
+
+
+  it('should throw for types that do not bind a value', function() {
+    expect(function() {
+      compileForm([{name: 'avatar', type: 'file'}]);
+    }).toThrowMinErr('ngFormSchema', 'badtype', "Unsupported type 'file' of field 'avatar'.");
+  });
+
+
+  it('should require a form', function() {
+    expect(function() {
+      $compile('<div ng-form-schema="fields" model="user"></div>')(scope);
+    }).toThrowMinErr('$compile', 'ctreq');
+  });
+});
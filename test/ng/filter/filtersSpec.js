@@ -395,5 +395,21 @@ describe('filters', function() {
       expect(date(new Date(2003, 8, 10, 3, 2, 4), 'yyyy-MM-dd HH-mm-ss')).toEqual('2003-09-10 03-02-04');
       expect(date(new Date(Date.UTC(2003, 8, 10, 3, 2, 4)), 'yyyy-MM-dd HH-mm-ss', 'UTC')).toEqual('2003-09-10 03-02-04');
     });
+
+    it('should use a fixed timezone offset if specified', function() {
+      var utcDate = new Date(Date.UTC(2003, 8, 10, 20, 2, 4));
+
+      expect(date(utcDate, 'yyyy-MM-dd HH:mm:ss Z', '+0530')).toEqual('2003-09-11 01:32:04 +0530');
+      expect(date(utcDate, 'yyyy-MM-dd HH:mm:ss Z', '-0800')).toEqual('2003-09-10 12:02:04 -0800');
+      expect(date(utcDate, 'yyyy-MM-dd HH:mm:ss Z', '-08:00')).toEqual('2003-09-10 12:02:04 -0800');
+      expect(date(utcDate, 'yyyy-MM-dd HH:mm:ss Z', 'UTC')).toEqual('2003-09-10 20:02:04 +0000');
+    });
+
+    it('should ignore an unknown timezone', function() {
+      var localDate = new Date(2003, 8, 10, 20, 2, 4);
+
+      expect(date(localDate, 'yyyy-MM-dd HH:mm:ss Z', 'Mars/Olympus')).
+        toEqual(date(localDate, 'yyyy-MM-dd HH:mm:ss Z'));
+    });
   });
 });
@@ -313,6 +313,39 @@ describe('$httpBackend', function() {
   });
 
 
+  it('should add event listeners to the XHR object', function() {
+    var progressFn = function() {};
+    var loadFn = function() {};
+    $backend('GET', '/some.url', null, callback, {}, null, null, null,
+             {progress: progressFn, load: loadFn});
+    expect(MockXhr.$$lastInstance.$$events.progress).toEqual([progressFn]);
+    expect(MockXhr.$$lastInstance.$$events.load).toEqual([loadFn]);
+  });
+
+
+  it('should add event listeners to the XHR upload object', function() {
+    var progressFn = function() {};
+    $backend('POST', '/some.url', 'data', callback, {}, null, null, null, null,
+             {progress: progressFn});
+    expect(MockXhr.$$lastInstance.upload.$$events.progress).toEqual([progressFn]);
+    expect(MockXhr.$$lastInstance.$$events).toEqual({});
+  });
+
+
+  it('should not fail if the XHR object has no upload object', function() {
+    $backend = createHttpBackend($browser, function() {
+      var xhr = createMockXhr();
+      delete xhr.upload;
+      return xhr;
+    }, fakeTimeout, callbacks, fakeDocument);
+
+    expect(function() {
+      $backend('POST', '/some.url', 'data', callback, {}, null, null, null, null,
+               {progress: noop});
+    }).not.toThrow();
+  });
+
+
   describe('responseType', function() {
 
     it('should set responseType and return xhr.response', function() {
@@ -1,5 +1,7 @@
 'use strict';
 
+/* global MockXhr: false */
+
 describe('$http', function() {
 
   var callback;
@@ -347,6 +349,32 @@ describe('$http', function() {
         $httpBackend.expect('GET', '/url?date=2014-07-15T17:30:00.000Z').respond('');
         $http({url: '/url', params: {date:new Date('2014-07-15T17:30:00.000Z')}, method: 'GET'});
       });
+
+
+      it('should use a custom serializer function if given', function() {
+        var serializer = jasmine.createSpy('serializer').andReturn('x=y');
+        $httpBackend.expect('GET', '/url?x=y').respond('');
+        $http({url: '/url', params: {a: 1}, method: 'GET', paramSerializer: serializer});
+        $httpBackend.flush();
+        expect(serializer).toHaveBeenCalledOnceWith({a: 1});
+      });
+
+
+      it('should look up the serializer in the injector if given a string', inject(
+          function($httpParamSerializerJQLike) {
+        $httpBackend.expect('GET', '/url?a%5B%5D=1&a%5B%5D=2').respond('');
+        $http({url: '/url', params: {a: [1, 2]}, method: 'GET',
+               paramSerializer: '$httpParamSerializerJQLike'});
+        $httpBackend.flush();
+      }));
+
+
+      it('should use the serializer from the defaults', function() {
+        $http.defaults.paramSerializer = '$httpParamSerializerJQLike';
+        $httpBackend.expect('GET', '/url?a%5Bb%5D=1').respond('');
+        $http({url: '/url', params: {a: {b: 1}}, method: 'GET'});
+        $httpBackend.flush();
+      });
     });
 
 
@@ -1358,6 +1386,217 @@ describe('$http', function() {
     });
 
 
+    describe('dedupe', function() {
+
+      it('should share an identical in-flight GET request', function() {
+        var first = jasmine.createSpy('first'),
+            second = jasmine.createSpy('second');
+
+        $httpBackend.expect('GET', '/url?a=1').respond(200, '{"content": "yes"}');
+        $http({method: 'GET', url: '/url', params: {a: 1}, dedupe: true}).then(first);
+        $http({method: 'GET', url: '/url', params: {a: 1}, dedupe: true}).then(second);
+        $httpBackend.flush();
+
+        expect(first).toHaveBeenCalledOnce();
+        expect(second).toHaveBeenCalledOnce();
+        expect(first.mostRecentCall.args[0].data).toEqual({content: 'yes'});
+        expect(second.mostRecentCall.args[0].data).toEqual({content: 'yes'});
+        expect(second.mostRecentCall.args[0].data).not.toBe(first.mostRecentCall.args[0].data);
+        expect(second.mostRecentCall.args[0].config.params).toEqual({a: 1});
+        expect(second.mostRecentCall.args[0].config)
+            .not.toBe(first.mostRecentCall.args[0].config);
+      });
+
+
+      it('should not keep the response after the request completed', function() {
+        $httpBackend.expect('GET', '/url').respond(200, 'first');
+        $http({method: 'GET', url: '/url', dedupe: true});
+        $httpBackend.flush();
+
+        $httpBackend.expect('GET', '/url').respond(200, 'second');
+        $http({method: 'GET', url: '/url', dedupe: true}).success(callback);
+        $httpBackend.flush();
+
+        expect(callback).toHaveBeenCalledOnce();
+        expect(callback.mostRecentCall.args[0]).toBe('second');
+      });
+
+
+      it('should share failed responses too', function() {
+        var error = jasmine.createSpy('error');
+
+        $httpBackend.expect('GET', '/url').respond(500, 'oops');
+        $http({method: 'GET', url: '/url', dedupe: true}).error(error);
+        $http({method: 'GET', url: '/url', dedupe: true}).error(error);
+        $httpBackend.flush();
+
+        expect(error.callCount).toBe(2);
+        expect(error.mostRecentCall.args[0]).toBe('oops');
+        expect(error.mostRecentCall.args[1]).toBe(500);
+        expect($http.pendingRequests.length).toBe(0);
+      });
+
+
+      it('should not share requests with different urls or params', function() {
+        $httpBackend.expect('GET', '/url?a=1').respond(200);
+        $httpBackend.expect('GET', '/url?a=2').respond(200);
+        $httpBackend.expect('GET', '/other').respond(200);
+
+        $http({method: 'GET', url: '/url', params: {a: 1}, dedupe: true});
+        $http({method: 'GET', url: '/url', params: {a: 2}, dedupe: true});
+        $http({method: 'GET', url: '/other', dedupe: true});
+        $httpBackend.flush();
+      });
+
+
+      it('should only share requests that opted in', function() {
+        $httpBackend.expect('GET', '/url').respond(200);
+        $httpBackend.expect('GET', '/url').respond(200);
+
+        $http({method: 'GET', url: '/url', dedupe: true});
+        $http({method: 'GET', url: '/url'});
+        $httpBackend.flush();
+      });
+
+
+      it('should not share non-GET requests', function() {
+        $httpBackend.expect('POST', '/url').respond(200);
+        $httpBackend.expect('POST', '/url').respond(200);
+
+        $http({method: 'POST', url: '/url', dedupe: true});
+        $http({method: 'POST', url: '/url', dedupe: true});
+        $httpBackend.flush();
+      });
+
+
+      it('should compare the selected headers', function() {
+        $httpBackend.expect('GET', '/url', undefined, function(headers) {
+          return headers['Accept-Language'] === 'en';
+        }).respond(200);
+        $httpBackend.expect('GET', '/url', undefined, function(headers) {
+          return headers['Accept-Language'] === 'fr';
+        }).respond(200);
+
+        var dedupe = ['accept-language'];
+        $http({method: 'GET', url: '/url', dedupe: dedupe, headers: {'Accept-Language': 'en'}});
+        $http({method: 'GET', url: '/url', dedupe: dedupe, headers: {'Accept-Language': 'fr'}});
+        $http({method: 'GET', url: '/url', dedupe: dedupe, headers: {'Accept-Language': 'en',
+                                                                     'X-Other': 'ignored'}});
+        $httpBackend.flush();
+      });
+
+
+      it('should use $http.defaults.dedupe unless overridden', function() {
+        $http.defaults.dedupe = true;
+
+        $httpBackend.expect('GET', '/url').respond(200);
+        $httpBackend.expect('GET', '/url').respond(200);
+
+        $http({method: 'GET', url: '/url'});
+        $http({method: 'GET', url: '/url'});
+        $http({method: 'GET', url: '/url', dedupe: false});
+        $httpBackend.flush();
+      });
+
+
+      it('should not share requests with a different responseType or withCredentials', function() {
+        $httpBackend.expect('GET', '/url').respond(200);
+        $httpBackend.expect('GET', '/url').respond(200);
+        $httpBackend.expect('GET', '/url').respond(200);
+
+        $http({method: 'GET', url: '/url', dedupe: true});
+        $http({method: 'GET', url: '/url', dedupe: true, responseType: 'blob'});
+        $http({method: 'GET', url: '/url', dedupe: true, withCredentials: true});
+        $http({method: 'GET', url: '/url', dedupe: true, responseType: 'blob'});
+        $http({method: 'GET', url: '/url', dedupe: true, withCredentials: true});
+        $httpBackend.flush();
+      });
+
+
+      it('should apply the timeout of a request to that request only', inject(function($timeout) {
+        var first = jasmine.createSpy('first'),
+            second = jasmine.createSpy('second');
+
+        $httpBackend.expect('GET', '/url').respond(200, 'content');
+        $http({method: 'GET', url: '/url', dedupe: true}).then(first);
+        $http({method: 'GET', url: '/url', dedupe: true, timeout: 100}).then(null, second);
+        $rootScope.$digest();
+
+        $timeout.flush(100);
+        expect(second).toHaveBeenCalledOnce();
+        expect(second.mostRecentCall.args[0].status).toBe(0);
+        expect(first).not.toHaveBeenCalled();
+
+        $httpBackend.flush();
+        expect(first).toHaveBeenCalledOnce();
+        expect(first.mostRecentCall.args[0].data).toBe('content');
+        expect(second).toHaveBeenCalledOnce();
+        expect($http.pendingRequests.length).toBe(0);
+      }));
+
+
+      it('should keep sharing the request when the first request is cancelled', inject(function($q) {
+        var canceler = $q.defer(),
+            first = jasmine.createSpy('first'),
+            second = jasmine.createSpy('second');
+
+        $httpBackend.expect('GET', '/url').respond(200, 'content');
+        $http({method: 'GET', url: '/url', dedupe: true, timeout: canceler.promise})
+            .then(null, first);
+        $http({method: 'GET', url: '/url', dedupe: true}).then(second);
+        $rootScope.$digest();
+
+        $rootScope.$apply(function() {
+          canceler.resolve();
+        });
+        expect(first).toHaveBeenCalledOnce();
+        expect(first.mostRecentCall.args[0].status).toBe(0);
+
+        $httpBackend.flush();
+        expect(second).toHaveBeenCalledOnce();
+        expect(second.mostRecentCall.args[0].data).toBe('content');
+        expect(first).toHaveBeenCalledOnce();
+      }));
+
+
+      it('should abort the request once all requests sharing it are cancelled', inject(function($q) {
+        var firstCanceler = $q.defer(),
+            secondCanceler = $q.defer(),
+            error = jasmine.createSpy('error');
+
+        $httpBackend.expect('GET', '/url').respond(200);
+        $http({method: 'GET', url: '/url', dedupe: true, timeout: firstCanceler.promise})
+            .then(null, error);
+        $http({method: 'GET', url: '/url', dedupe: true, timeout: secondCanceler.promise})
+            .then(null, error);
+        $rootScope.$digest();
+
+        $rootScope.$apply(function() {
+          firstCanceler.resolve();
+        });
+        expect(error.callCount).toBe(1);
+        $httpBackend.verifyNoOutstandingExpectation();
+        expect(function() {
+          $httpBackend.verifyNoOutstandingRequest();
+        }).toThrow();
+
+        $rootScope.$apply(function() {
+          secondCanceler.resolve();
+        });
+        expect(error.callCount).toBe(2);
+        $httpBackend.verifyNoOutstandingRequest();
+        expect($http.pendingRequests.length).toBe(0);
+
+        // a new request is sent instead of joining the aborted one
+        $httpBackend.expect('GET', '/url').respond(200, 'again');
+        $http({method: 'GET', url: '/url', dedupe: true}).success(callback);
+        $httpBackend.flush();
+        expect(callback).toHaveBeenCalledOnce();
+        expect(callback.mostRecentCall.args[0]).toBe('again');
+      }));
+    });
+
+
     describe('timeout', function() {
 
       it('should abort requests when timeout promise resolves', inject(function($q) {
@@ -1525,6 +1764,72 @@ describe('$http', function() {
 
     $httpBackend.verifyNoOutstandingExpectation = noop;
   });
+
+
+  describe('event handlers', function() {
+    var progressFn, uploadProgressFn;
+
+    beforeEach(function() {
+      progressFn = jasmine.createSpy('progress');
+      uploadProgressFn = jasmine.createSpy('uploadProgress');
+    });
+
+
+    it('should pass the event handlers to the XHR and call them inside of a digest', inject(
+        function($http, $httpBackend, $rootScope) {
+      var phase;
+      progressFn.andCallFake(function() { phase = $rootScope.$$phase; });
+
+      $httpBackend.expect('POST', '/upload', 'data').respond(200);
+      $http.post('/upload', 'data', {
+        eventHandlers: {progress: progressFn},
+        uploadEventHandlers: {progress: uploadProgressFn}
+      });
+      $rootScope.$digest();
+
+      var event = {type: 'progress', loaded: 5, total: 10};
+      $httpBackend.triggerEvent(event);
+      $httpBackend.triggerEvent(event, true);
+
+      expect(progressFn).toHaveBeenCalledOnceWith(event);
+      expect(uploadProgressFn).toHaveBeenCalledOnceWith(event);
+      expect(phase).toBe('$apply');
+      $httpBackend.flush();
+    }));
+
+
+    it('should call the handlers directly if a digest is already in progress', inject(
+        function($http, $httpBackend, $rootScope) {
+      $httpBackend.expect('GET', '/download').respond(200);
+      $http.get('/download', {eventHandlers: {progress: progressFn}});
+      $rootScope.$digest();
+
+      var xhr = MockXhr.$$lastInstance;
+      spyOn($rootScope, '$apply').andCallThrough();
+      $rootScope.$apply(function() {
+        xhr.$$events.progress[0]('event');
+      });
+
+      expect(progressFn).toHaveBeenCalledOnceWith('event');
+      expect($rootScope.$apply).toHaveBeenCalledOnce();
+      $httpBackend.flush();
+    }));
+  });
+
+
+  it('should use the paramSerializer configured in $httpProvider.defaults', function() {
+    module(function($httpProvider) {
+      $httpProvider.defaults.paramSerializer = function(params) {
+        return 'custom=' + params.a;
+      };
+    });
+
+    inject(function($http, $httpBackend) {
+      $httpBackend.expect('GET', '/url?custom=1').respond('');
+      $http({url: '/url', params: {a: 1}, method: 'GET'});
+      $httpBackend.flush();
+    });
+  });
 });
 
 
@@ -1603,3 +1908,75 @@ describe('$http with $applyAapply', function() {
     expect(log).toEqual(['response 1', 'response 2', 'response 3']);
   });
 });
+
+
+describe('$httpParamSerializer', function() {
+  var serializer;
+
+  beforeEach(inject(function($httpParamSerializer) {
+    serializer = $httpParamSerializer;
+  }));
+
+
+  it('should return empty string for null or undefined params', function() {
+    expect(serializer(undefined)).toEqual('');
+    expect(serializer(null)).toEqual('');
+  });
+
+
+  it('should serialize objects and sort the keys', function() {
+    expect(serializer({foo: 'foov', bar: 'barv'})).toEqual('bar=barv&foo=foov');
+    expect(serializer({someDate: new Date('2014-07-15T17:30:00.000Z')}))
+        .toEqual('someDate=2014-07-15T17:30:00.000Z');
+    expect(serializer({a: {b: 1}})).toEqual('a=%7B%22b%22:1%7D');
+  });
+
+
+  it('should repeat the key for every array element', function() {
+    expect(serializer({a: [1, 2], b: 'c'})).toEqual('a=1&a=2&b=c');
+  });
+
+
+  it('should skip null and undefined values', function() {
+    expect(serializer({a: null, b: undefined, c: 0})).toEqual('c=0');
+  });
+});
+
+
+describe('$httpParamSerializerJQLike', function() {
+  var serializer;
+
+  beforeEach(inject(function($httpParamSerializerJQLike) {
+    serializer = $httpParamSerializerJQLike;
+  }));
+
+
+  it('should return empty string for null or undefined params', function() {
+    expect(serializer(undefined)).toEqual('');
+    expect(serializer(null)).toEqual('');
+  });
+
+
+  it('should serialize arrays with empty brackets', function() {
+    expect(decodeURIComponent(serializer({a: [1, 2], b: 'c'}))).toEqual('a[]=1&a[]=2&b=c');
+  });
+
+
+  it('should serialize nested objects and arrays of objects', function() {
+    expect(decodeURIComponent(serializer({a: {b: 1, c: {d: 'e'}}})))
+        .toEqual('a[b]=1&a[c][d]=e');
+    expect(decodeURIComponent(serializer({a: [{b: 1}, {b: 2}]})))
+        .toEqual('a[0][b]=1&a[1][b]=2');
+  });
+
+
+  it('should serialize dates with toISOString', function() {
+    expect(serializer({a: {d: new Date('2014-07-15T17:30:00.000Z')}}))
+        .toEqual('a%5Bd%5D=2014-07-15T17:30:00.000Z');
+  });
+
+
+  it('should skip null and undefined values', function() {
+    expect(serializer({a: null, b: {c: undefined, d: 1}})).toEqual('b%5Bd%5D=1');
+  });
+});
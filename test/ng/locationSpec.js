@@ -64,7 +64,7 @@ describe('$location', function() {
 
   it('should not infinitely digest when using a semicolon in initial path', function() {
     module(function($windowProvider, $locationProvider, $browserProvider) {
-      $locationProvider.html5Mode(true);
+      $locationProvider.html5Mode({enabled: true, requireBase: false});
       $windowProvider.$get = function() {
         var win = {};
         angular.extend(win, window);
@@ -631,7 +631,7 @@ describe('$location', function() {
       $rootScope.$apply();
 
       expect($browserUrl).toHaveBeenCalledOnce();
-      expect($browserUrl.mostRecentCall.args).toEqual(['http://new.com/a/b#!/n/url', true]);
+      expect($browserUrl.mostRecentCall.args).toEqual(['http://new.com/a/b#!/n/url', true, null]);
       expect($location.$$replace).toBe(false);
     }));
 
@@ -798,7 +798,7 @@ describe('$location', function() {
 
 
     it('should set appBase to serverBase if base[href] is missing', function() {
-      initService(true, '!', true);
+      initService({enabled: true, requireBase: false}, '!', true);
       inject(
           initBrowser('http://domain.com/my/view1#anchor1', ''),
           function($rootScope, $location, $browser) {
@@ -810,6 +810,92 @@ describe('$location', function() {
     });
   });
 
+  describe('html5Mode', function() {
+
+    it('should be disabled by default', function() {
+      module(function($locationProvider) {
+        expect($locationProvider.html5Mode()).toBe(false);
+      });
+      inject(function() {});
+    });
+
+
+    it('should be enabled when called with a boolean', function() {
+      module(function($locationProvider) {
+        expect($locationProvider.html5Mode(true)).toBe($locationProvider);
+        expect($locationProvider.html5Mode()).toBe(true);
+        $locationProvider.html5Mode(false);
+        expect($locationProvider.html5Mode()).toBe(false);
+      });
+      inject(function() {});
+    });
+
+
+    it('should convert other values than objects to a boolean', function() {
+      module(function($locationProvider) {
+        expect($locationProvider.html5Mode(1)).toBe($locationProvider);
+        expect($locationProvider.html5Mode()).toBe(true);
+        $locationProvider.html5Mode(0);
+        expect($locationProvider.html5Mode()).toBe(false);
+        $locationProvider.html5Mode('true');
+        expect($locationProvider.html5Mode()).toBe(true);
+        $locationProvider.html5Mode(null);
+        expect($locationProvider.html5Mode()).toBe(false);
+      });
+      inject(function() {});
+    });
+
+
+    it('should be enabled when called with an object', function() {
+      module(function($locationProvider) {
+        expect($locationProvider.html5Mode({enabled: true})).toBe($locationProvider);
+        expect($locationProvider.html5Mode()).toBe(true);
+        $locationProvider.html5Mode({rewriteLinks: false});
+        expect($locationProvider.html5Mode()).toBe(true);
+        $locationProvider.html5Mode({enabled: 'yes'});
+        expect($locationProvider.html5Mode()).toBe(true);
+      });
+      inject(function() {});
+    });
+
+
+    it('should throw when enabled without a base tag', function() {
+      initService(true, '!', true);
+      inject(
+        initBrowser('http://domain.com/my/view1', ''),
+        function($injector) {
+          expect(function() {
+            $injector.get('$location');
+          }).toThrowMinErr('$location', 'nobase',
+              '$location in HTML5 mode requires a <base> tag to be present!');
+        }
+      );
+    });
+
+
+    it('should not require a base tag if requireBase is false', function() {
+      initService({enabled: true, requireBase: false}, '!', true);
+      inject(
+        initBrowser('http://domain.com/my/view1', ''),
+        function($location) {
+          expect($location.absUrl()).toBe('http://domain.com/my/view1');
+        }
+      );
+    });
+
+
+    it('should not require a base tag when disabled', function() {
+      initService(false, '!', true);
+      inject(
+        initBrowser('http://domain.com/my/view1#!/a', ''),
+        function($location) {
+          expect($location.path()).toBe('/a');
+        }
+      );
+    });
+  });
+
+
   describe('PATH_MATCH', function() {
     /* global PATH_MATCH: false */
     it('should parse just path', function() {
@@ -929,6 +1015,47 @@ describe('$location', function() {
     });
 
 
+    it('should not rewrite links when rewriting links is disabled', function() {
+      configureService('link?a#b', {enabled: true, rewriteLinks: false}, true);
+      inject(
+        initBrowser(),
+        initLocation(),
+        function($browser) {
+          browserTrigger(link, 'click');
+          expectNoRewrite($browser);
+        }
+      );
+    });
+
+
+    it('should rewrite links that have the attribute specified by rewriteLinks', function() {
+      configureService('link?a#b', {enabled: true, rewriteLinks: 'internal-link'}, true,
+          'internal-link');
+      inject(
+        initBrowser(),
+        initLocation(),
+        function($browser) {
+          browserTrigger(link, 'click');
+          expectRewriteTo($browser, 'http://host.com/base/link?a#b');
+        }
+      );
+    });
+
+
+    it('should not rewrite links without the attribute specified by rewriteLinks', function() {
+      configureService('link?a#b', {enabled: true, rewriteLinks: 'internal-link'}, true,
+          'other-link');
+      inject(
+        initBrowser(),
+        initLocation(),
+        function($browser) {
+          browserTrigger(link, 'click');
+          expectNoRewrite($browser);
+        }
+      );
+    });
+
+
     it('should do nothing if already on the same URL', function() {
       configureService('/base/', true, true);
       inject(
@@ -1550,7 +1677,7 @@ describe('$location', function() {
 
     it('should listen on click events on href and prevent browser default in html5 mode', function() {
       module(function($locationProvider) {
-        $locationProvider.html5Mode(true);
+        $locationProvider.html5Mode({enabled: true, requireBase: false});
         return function($rootElement, $compile, $rootScope) {
           $rootElement.html('<a href="http://server/somePath">link</a>');
           $compile($rootElement)($rootScope);
@@ -1607,6 +1734,182 @@ describe('$location', function() {
     );
   });
 
+  describe('state', function() {
+
+    function initHtml5Browser() {
+      return initBrowser('http://domain.com/base/index.html', '/base/index.html');
+    }
+
+
+    it('should be null by default', function() {
+      initService(true, '!', true);
+      inject(initHtml5Browser(), function($location) {
+        expect($location.state()).toBe(null);
+      });
+    });
+
+
+    it('should read the initial state from the browser', function() {
+      initService(true, '!', true);
+      inject(
+        function($browser) {
+          $browser.url('http://domain.com/base/index.html', false, {a: 1});
+          $browser.$$baseHref = '/base/index.html';
+        },
+        function($location) {
+          expect($location.state()).toEqual({a: 1});
+        }
+      );
+    });
+
+
+    it('should push a copy of the state object to the browser', function() {
+      initService(true, '!', true);
+      inject(initHtml5Browser(), function($rootScope, $location, $browser) {
+        var state = {a: 1};
+
+        expect($location.state(state)).toBe($location);
+        expect($location.state()).toBe(state);
+        $rootScope.$apply();
+
+        expect($browser.url()).toBe('http://domain.com/base/index.html');
+        expect($browser.state()).toEqual({a: 1});
+        expect($browser.state()).not.toBe(state);
+        expect($location.state()).toBe($browser.state());
+      });
+    });
+
+
+    it('should pass the state to replaceState if the url is replaced', function() {
+      initService(true, '!', true);
+      inject(initHtml5Browser(), function($rootScope, $location, $browser) {
+        var $browserUrl = spyOnlyCallsWithArgs($browser, 'url').andCallThrough();
+
+        $location.path('/foo').state({a: 1}).replace();
+        $rootScope.$apply();
+
+        expect($browserUrl).toHaveBeenCalledOnceWith('http://domain.com/base/foo', true, {a: 1});
+      });
+    });
+
+
+    it('should reset the state when the url changes', function() {
+      initService(true, '!', true);
+      inject(initHtml5Browser(), function($rootScope, $location, $browser) {
+        $location.path('/foo').state({a: 1});
+        $rootScope.$apply();
+
+        $location.path('/bar');
+        $rootScope.$apply();
+
+        expect($browser.url()).toBe('http://domain.com/base/bar');
+        expect($browser.state()).toBe(null);
+        expect($location.state()).toBe(null);
+      });
+    });
+
+
+    it('should pass the states to the location change events', function() {
+      initService(true, '!', true);
+      inject(initHtml5Browser(), function($rootScope, $location) {
+        var log = [];
+
+        $rootScope.$on('$locationChangeStart', function(event, newUrl, oldUrl, newState, oldState) {
+          log.push(['before', newState, oldState]);
+        });
+        $rootScope.$on('$locationChangeSuccess', function(event, newUrl, oldUrl, newState, oldState) {
+          log.push(['after', newState, oldState]);
+        });
+        $rootScope.$apply();
+        log = [];
+
+        $location.state({a: 1});
+        $rootScope.$apply();
+        $location.state({b: 2});
+        $rootScope.$apply();
+
+        expect(log).toEqual([
+          ['before', {a: 1}, null],
+          ['after', {a: 1}, null],
+          ['before', {b: 2}, {a: 1}],
+          ['after', {b: 2}, {a: 1}]
+        ]);
+      });
+    });
+
+
+    it('should restore the old state when the location change is prevented', function() {
+      initService(true, '!', true);
+      inject(initHtml5Browser(), function($rootScope, $location, $browser) {
+        $rootScope.$apply();
+        $rootScope.$on('$locationChangeStart', function(event) {
+          event.preventDefault();
+        });
+
+        $location.state({a: 1});
+        $rootScope.$apply();
+
+        expect($location.state()).toBe(null);
+        expect($browser.state()).toBe(null);
+      });
+    });
+
+
+    it('should update the state on history navigation', function() {
+      initService(true, '!', true);
+      inject(initHtml5Browser(), function($rootScope, $location, $browser) {
+        var log = [];
+
+        $rootScope.$on('$locationChangeSuccess', function(event, newUrl, oldUrl, newState) {
+          log.push([newUrl, newState]);
+        });
+        $rootScope.$apply();
+        log = [];
+
+        $browser.url('http://domain.com/base/index.html', false, {a: 1});
+        $browser.poll();
+
+        expect($location.state()).toEqual({a: 1});
+        expect(log).toEqual([['http://domain.com/base/index.html', {a: 1}]]);
+      });
+    });
+
+
+    it('should be ignored in hashbang mode', function() {
+      initService(false, '!', true);
+      inject(
+        function($browser) {
+          $browser.url('http://domain.com/base/index.html#!/a', false, {a: 1});
+        },
+        function($location) {
+          expect($location.state()).toBe(null);
+        }
+      );
+    });
+
+
+    it('should throw when set in hashbang mode', function() {
+      initService(false, '!', true);
+      inject(initHtml5Browser(), function($location) {
+        expect(function() {
+          $location.state({a: 1});
+        }).toThrowMinErr('$location', 'nostate', 'History API state support is available only ' +
+          'in HTML5 mode and only in browsers supporting HTML5 History API');
+      });
+    });
+
+
+    it('should throw when set in html5 mode without history api support', function() {
+      initService(true, '!', false);
+      inject(initHtml5Browser(), function($location) {
+        expect(function() {
+          $location.state({a: 1});
+        }).toThrowMinErr('$location', 'nostate');
+      });
+    });
+  });
+
+
   describe('LocationHtml5Url', function() {
     var location, locationIndex;
 
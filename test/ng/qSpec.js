@@ -1955,6 +1955,153 @@ describe('q', function() {
     });
   });
 
+  describe('resolve', function() {
+    it('should be an alias of when', function() {
+      expect(q.resolve).toBe(q.when);
+    });
+
+
+    it('should resolve the returned promise with the given value', function() {
+      q.resolve('hello').then(success(), error());
+      expect(logStr()).toBe('');
+      mockNextTick.flush();
+      expect(logStr()).toBe('success(hello)->hello');
+    });
+  });
+
+
+  describe('race (array)', function() {
+    it('should do nothing if given an empty array', function() {
+      q.race([]).then(success(), error());
+      expect(mockNextTick.queue.length).toBe(0);
+      expect(logStr()).toBe('');
+    });
+
+
+    it('should resolve as soon as the first promise is resolved', function() {
+      var deferred1 = defer(),
+          deferred2 = defer();
+
+      q.race([promise, deferred1.promise, deferred2.promise]).then(success(), error());
+      expect(logStr()).toBe('');
+      syncResolve(deferred1, 'first');
+      expect(logStr()).toBe('success(first)->first');
+      syncResolve(deferred, 'second');
+      syncReject(deferred2, 'oops');
+      expect(logStr()).toBe('success(first)->first');
+    });
+
+
+    it('should reject as soon as the first promise is rejected', function() {
+      var deferred1 = defer();
+
+      q.race([promise, deferred1.promise]).then(success(), error());
+      syncReject(deferred1, 'oops');
+      expect(logStr()).toBe('error(oops)->reject(oops)');
+      syncResolve(deferred, 'late');
+      expect(logStr()).toBe('error(oops)->reject(oops)');
+    });
+
+
+    it('should treat non-promise values as resolved promises', function() {
+      q.race([promise, 'now']).then(success(), error());
+      mockNextTick.flush();
+      expect(logStr()).toBe('success(now)->now');
+    });
+  });
+
+
+  describe('race (hash)', function() {
+    it('should resolve with the value of the first settled promise in the hash', function() {
+      var deferred1 = defer();
+
+      q.race({en: promise, fr: deferred1.promise}).then(success(), error());
+      expect(logStr()).toBe('');
+      syncResolve(deferred1, 'salut');
+      expect(logStr()).toBe('success(salut)->salut');
+    });
+  });
+
+
+  describe('allSettled (array)', function() {
+    it('should resolve immediately if given an empty array', function() {
+      var result;
+      q.allSettled([]).then(function(r) { result = r; });
+      mockNextTick.flush();
+      expect(result).toEqual([]);
+    });
+
+
+    it('should resolve with the outcome of every promise once all of them are settled', function() {
+      var deferred1 = defer(),
+          deferred2 = defer(),
+          result;
+
+      q.allSettled([promise, deferred1.promise, deferred2.promise, 'plain']).then(function(r) {
+        result = r;
+      }, error());
+      syncReject(deferred1, 'oops');
+      syncResolve(deferred2, 'cau');
+      expect(result).toBeUndefined();
+      syncResolve(deferred, 'hi');
+      expect(logStr()).toBe('');
+      expect(result).toEqual([
+        {status: 'fulfilled', value: 'hi'},
+        {status: 'rejected', reason: 'oops'},
+        {status: 'fulfilled', value: 'cau'},
+        {status: 'fulfilled', value: 'plain'}
+      ]);
+    });
+  });
+
+
+  describe('allSettled (hash)', function() {
+    it('should resolve immediately if given an empty hash', function() {
+      var result;
+      q.allSettled({}).then(function(r) { result = r; });
+      mockNextTick.flush();
+      expect(result).toEqual({});
+    });
+
+
+    it('should resolve with a hash of outcomes', function() {
+      var deferred1 = defer(),
+          result;
+
+      q.allSettled({en: promise, fr: deferred1.promise}).then(function(r) { result = r; });
+      syncResolve(deferred, 'hi');
+      expect(result).toBeUndefined();
+      syncReject(deferred1, 'oops');
+      expect(result).toEqual({
+        en: {status: 'fulfilled', value: 'hi'},
+        fr: {status: 'rejected', reason: 'oops'}
+      });
+    });
+
+
+    it('should ignore multiple resolutions of an (evil) hash promise', function() {
+      var evilPromise = {
+        then: function(success, error) {
+          evilPromise.success = success;
+          evilPromise.error = error;
+        }
+      };
+      var result;
+
+      q.allSettled({good: promise, evil: evilPromise}).then(function(r) { result = r; });
+      evilPromise.success('first');
+      evilPromise.success('muhaha');
+      evilPromise.error('arghhh');
+      expect(result).toBeUndefined();
+
+      syncResolve(deferred, 'done');
+      expect(result).toEqual({
+        evil: {status: 'fulfilled', value: 'first'},
+        good: {status: 'fulfilled', value: 'done'}
+      });
+    });
+  });
+
   describe('exception logging', function() {
     var mockExceptionLogger = {
       log: [],
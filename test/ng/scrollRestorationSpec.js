@@ -0,0 +1,219 @@
+'use strict';
+
+describe('$scrollRestoration', function() {
+  var $window;
+
+  beforeEach(module(function($provide, $locationProvider) {
+    $window = {
+      scrollTo: jasmine.createSpy('$window.scrollTo'),
+      pageXOffset: 0,
+      pageYOffset: 0,
+      history: {scrollRestoration: 'auto'},
+      document: document,
+      navigator: {}
+    };
+    $provide.value('$window', $window);
+    $provide.value('$sniffer', {history: true});
+    $provide.decorator('$browser', function($delegate) {
+      $delegate.url('http://new.com/a/b#!/first');
+      $delegate.$$baseHref = '/a/b';
+      return $delegate;
+    });
+    $locationProvider.hashPrefix('!');
+  }));
+
+
+  function enable(options) {
+    module(function($locationProvider) {
+      $locationProvider.scrollRestoration(options || true);
+    });
+  }
+
+
+  function scrollAndNavigate(x, y, path) {
+    var state;
+
+    inject(function($rootScope, $location, $browser) {
+      state = $browser.state();
+      $window.pageXOffset = x;
+      $window.pageYOffset = y;
+      $location.path(path);
+      $rootScope.$digest();
+    });
+
+    // the state of the history entry that has been left
+    return state;
+  }
+
+
+  function navigateBack(path, state) {
+    inject(function($browser) {
+      $browser.url('http://new.com/a/b#!' + path, false, state);
+      $browser.poll();
+    });
+  }
+
+
+  it('should be disabled by default', function() {
+    module(function($locationProvider) {
+      expect($locationProvider.scrollRestoration()).toEqual({enabled: false, containers: []});
+    });
+
+    inject(function($scrollRestoration, $browser, $location) {
+      expect($window.history.scrollRestoration).toBe('auto');
+
+      var state = scrollAndNavigate(10, 200, '/second');
+      expect(state).toBe(null);
+      expect($browser.state()).toBe(null);
+
+      navigateBack('/first', state);
+      expect($location.path()).toBe('/first');
+      expect($scrollRestoration.restore()).toBe(false);
+      expect($window.scrollTo).not.toHaveBeenCalled();
+    });
+  });
+
+
+  describe('when enabled', function() {
+    beforeEach(function() {
+      enable();
+    });
+
+
+    it('should disable the scroll restoration of the browser', inject(function($scrollRestoration) {
+      expect($window.history.scrollRestoration).toBe('manual');
+    }));
+
+
+    it('should not be enabled in browsers without the HTML5 History API', function() {
+      module(function($provide) {
+        $provide.value('$sniffer', {history: false});
+      });
+
+      inject(function($scrollRestoration, $location, $browser) {
+        expect($window.history.scrollRestoration).toBe('auto');
+        expect($browser.state()).toBe(null);
+      });
+    });
+
+
+    it('should restore the scroll position on history navigation',
+        inject(function($scrollRestoration, $location) {
+      var state = scrollAndNavigate(10, 200, '/second');
+      expect($scrollRestoration.restore()).toBe(false);
+
+      navigateBack('/first', state);
+      expect($location.path()).toBe('/first');
+      expect($window.scrollTo).not.toHaveBeenCalled();
+
+      expect($scrollRestoration.restore()).toBe(true);
+      expect($window.scrollTo).toHaveBeenCalledOnceWith(10, 200);
+
+      // only once per navigation
+      expect($scrollRestoration.restore()).toBe(false);
+    }));
+
+
+    it('should not restore the scroll position when the application navigates',
+        inject(function($scrollRestoration) {
+      scrollAndNavigate(10, 200, '/second');
+      scrollAndNavigate(0, 50, '/first');
+
+      expect($scrollRestoration.restore()).toBe(false);
+    }));
+
+
+    it('should record the scroll positions per history entry rather than per url',
+        inject(function($scrollRestoration) {
+      var firstState = scrollAndNavigate(0, 10, '/second');
+      var secondState = scrollAndNavigate(0, 20, '/first');
+      var thirdState = scrollAndNavigate(0, 30, '/second');
+
+      navigateBack('/first', thirdState);
+      expect($scrollRestoration.restore()).toBe(true);
+      expect($window.scrollTo).toHaveBeenCalledOnceWith(0, 30);
+
+      navigateBack('/second', secondState);
+      expect($scrollRestoration.restore()).toBe(true);
+      expect($window.scrollTo.mostRecentCall.args).toEqual([0, 20]);
+
+      navigateBack('/first', firstState);
+      expect($scrollRestoration.restore()).toBe(true);
+      expect($window.scrollTo.mostRecentCall.args).toEqual([0, 10]);
+    }));
+
+
+    it('should give history entries created by the browser an id',
+        inject(function($scrollRestoration, $location, $browser) {
+      navigateBack('/other', null);
+      expect($location.path()).toBe('/other');
+      expect($browser.state()).toEqual({$$scrollEntryId: jasmine.any(String)});
+
+      var state = scrollAndNavigate(0, 40, '/first');
+      navigateBack('/other', state);
+      expect($scrollRestoration.restore()).toBe(true);
+      expect($window.scrollTo).toHaveBeenCalledOnceWith(0, 40);
+    }));
+
+
+    it('should only keep the positions of the most recently left entries',
+        inject(function($scrollRestoration) {
+      var states = [];
+
+      for (var i = 0; i < 51; i++) {
+        states.push(scrollAndNavigate(0, i, '/page' + i));
+      }
+
+      navigateBack('/page0', states[1]);
+      expect($scrollRestoration.restore()).toBe(true);
+      expect($window.scrollTo).toHaveBeenCalledOnceWith(0, 1);
+
+      navigateBack('/first', states[0]);
+      expect($scrollRestoration.restore()).toBe(false);
+    }));
+
+
+    it('should restore the scroll positions of the configured containers', function() {
+      var container = {scrollLeft: 5, scrollTop: 40};
+
+      enable({containers: ['#main']});
+
+      inject(function($scrollRestoration, $document) {
+        spyOn($document[0], 'querySelector').andCallFake(function(selector) {
+          return selector === '#main' ? container : null;
+        });
+
+        var state = scrollAndNavigate(0, 0, '/second');
+        container.scrollLeft = container.scrollTop = 0;
+
+        navigateBack('/first', state);
+        $scrollRestoration.restore();
+
+        expect(container.scrollLeft).toBe(5);
+        expect(container.scrollTop).toBe(40);
+      });
+    });
+
+
+    it('should not expose the entry id in the state of $location', function() {
+      module(function($locationProvider) {
+        $locationProvider.html5Mode(true);
+      });
+
+      inject(function($location, $browser, $rootScope) {
+        expect($location.state()).toBe(null);
+        expect($browser.state()).toEqual({$$scrollEntryId: jasmine.any(String)});
+
+        $location.path('/second').state({a: 1});
+        $rootScope.$digest();
+
+        expect($location.state()).toEqual({a: 1});
+        expect($browser.state()).toEqual({a: 1, $$scrollEntryId: jasmine.any(String)});
+
+        $location.path('/third');
+        $rootScope.$digest();
+        expect($location.state()).toBe(null);
+      });
+    });
+  });
+});
@@ -1,5 +1,7 @@
 'use strict';
 
+/* global MockXhr: false */
+
 describe('ngMock', function() {
   var noop = angular.noop;
 
@@ -894,6 +896,61 @@ describe('ngMock', function() {
       expect(typeof hb.expectHEAD).toBe("function");
     });
 
+    it('should register the event handlers on the mock XHR and its upload object', function() {
+      var progress = jasmine.createSpy('progress'),
+          uploadProgress = jasmine.createSpy('uploadProgress');
+
+      hb.when('POST', '/upload').respond(200);
+      hb('POST', '/upload', 'data', callback, {}, null, false, undefined, {progress: progress},
+         {progress: uploadProgress});
+
+      var xhr = MockXhr.$$lastInstance;
+      expect(xhr.$$events.progress).toEqual([progress]);
+      expect(xhr.upload.$$events.progress).toEqual([uploadProgress]);
+      hb.flush();
+    });
+
+    describe('triggerEvent()', function() {
+
+      it('should call the event handlers of the pending requests', function() {
+        var progress = jasmine.createSpy('progress'),
+            uploadProgress = jasmine.createSpy('uploadProgress'),
+            event = {type: 'progress', loaded: 50, total: 100};
+
+        hb.when('POST', '/upload').respond(200);
+        hb('POST', '/upload', 'data', callback, {}, null, false, undefined, {progress: progress},
+           {progress: uploadProgress});
+
+        hb.triggerEvent(event, true);
+        expect(uploadProgress).toHaveBeenCalledOnceWith(event);
+        expect(progress).not.toHaveBeenCalled();
+
+        hb.triggerEvent('progress');
+        expect(progress).toHaveBeenCalledOnceWith({type: 'progress'});
+        expect(uploadProgress).toHaveBeenCalledOnce();
+
+        hb.flush();
+        expect(callback).toHaveBeenCalledOnce();
+      });
+
+      it('should ignore requests without handlers for the event', function() {
+        hb.when('GET', '/url').respond(200);
+        hb('GET', '/url', null, callback);
+
+        expect(function() {
+          hb.triggerEvent('progress');
+          hb.triggerEvent('progress', true);
+        }).not.toThrow();
+        hb.flush();
+      });
+
+      it('should throw if there are no pending requests', function() {
+        expect(function() {
+          hb.triggerEvent('progress');
+        }).toThrow('No pending request to trigger an event for !');
+      });
+    });
+
     it('should respond with first matched definition', function() {
       hb.when('GET', '/url1').respond(200, 'content', {});
       hb.when('GET', '/url1').respond(201, 'another', {});
@@ -1527,7 +1584,8 @@ describe('ngMockE2E', function() {
         hb('GET', '/passThrough/23', null, callback, {}, null, true);
 
         expect(realHttpBackend).toHaveBeenCalledOnceWith(
-            'GET', '/passThrough/23', null, callback, {}, null, true);
+            'GET', '/passThrough/23', null, callback, {}, null, true, undefined, undefined,
+            undefined);
       });
 
       it('should be able to override a respond definition with passThrough', function() {
@@ -1536,7 +1594,21 @@ describe('ngMockE2E', function() {
         hb('GET', '/passThrough/23', null, callback, {}, null, true);
 
         expect(realHttpBackend).toHaveBeenCalledOnceWith(
-            'GET', '/passThrough/23', null, callback, {}, null, true);
+            'GET', '/passThrough/23', null, callback, {}, null, true, undefined, undefined,
+            undefined);
+      });
+
+      it('should pass responseType and event handlers to the real backend', function() {
+        var eventHandlers = {progress: noop},
+            uploadEventHandlers = {progress: noop};
+
+        hb.when('GET', /\/passThrough\/.*/).passThrough();
+        hb('GET', '/passThrough/23', null, callback, {}, null, true, 'blob', eventHandlers,
+           uploadEventHandlers);
+
+        expect(realHttpBackend).toHaveBeenCalledOnceWith(
+            'GET', '/passThrough/23', null, callback, {}, null, true, 'blob', eventHandlers,
+            uploadEventHandlers);
       });
 
       it('should be able to override a respond definition with passThrough', inject(function($browser) {
@@ -1044,6 +1044,135 @@ describe("resource", function() {
     });
   });
 
+  describe('cancelling requests', function() {
+    var $rootScope, $timeout, CancellableCard;
+
+
+    beforeEach(inject(function(_$rootScope_, _$timeout_) {
+      $rootScope = _$rootScope_;
+      $timeout = _$timeout_;
+      CancellableCard = $resource('/CreditCard/:id', {}, {
+        get: {method: 'GET', cancellable: true},
+        query: {method: 'GET', isArray: true, cancellable: true},
+        slow: {method: 'GET', cancellable: true, timeout: 1000},
+        save: {method: 'POST'}
+      });
+    }));
+
+
+    it('should not expose $cancelRequest for non-cancellable actions', function() {
+      $httpBackend.expect('POST', '/CreditCard').respond({id: 1});
+      var cc = CancellableCard.save({});
+      expect(cc.$cancelRequest).toBeUndefined();
+      $httpBackend.flush();
+    });
+
+
+    it('should abort the request and reject $promise with a cancelled response', function() {
+      var errorCB = jasmine.createSpy('error');
+      $httpBackend.expect('GET', '/CreditCard/123').respond({id: 123});
+
+      var cc = CancellableCard.get({id: 123}, callback, errorCB);
+      cc.$promise.then(null, function(response) {
+        callback.reason = response;
+      });
+      $rootScope.$digest();
+
+      cc.$cancelRequest();
+      $rootScope.$digest();
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(errorCB).toHaveBeenCalledOnce();
+      expect(errorCB.mostRecentCall.args[0].cancelled).toBe(true);
+      expect(callback.reason).toBe(errorCB.mostRecentCall.args[0]);
+      expect(cc.$resolved).toBe(true);
+      expect(function() { $httpBackend.flush(); }).toThrow('No pending request to flush !');
+    });
+
+
+    it('should support cancelling collections', function() {
+      $httpBackend.expect('GET', '/CreditCard').respond([{id: 1}]);
+
+      var ccs = CancellableCard.query(callback);
+      ccs.$promise.then(null, function(response) {
+        callback.reason = response;
+      });
+      $rootScope.$digest();
+
+      ccs.$cancelRequest();
+      $rootScope.$digest();
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(callback.reason.cancelled).toBe(true);
+      expect(ccs.length).toBe(0);
+    });
+
+
+    it('should do nothing when cancelling after the request has completed', function() {
+      $httpBackend.expect('GET', '/CreditCard/123').respond({id: 123});
+
+      var cc = CancellableCard.get({id: 123}, callback);
+      $httpBackend.flush();
+
+      cc.$cancelRequest();
+      $rootScope.$digest();
+
+      expect(callback).toHaveBeenCalledOnce();
+      expect(cc.id).toBe(123);
+    });
+
+
+    it('should still honor a numeric timeout', function() {
+      var errorCB = jasmine.createSpy('error');
+      $httpBackend.expect('GET', '/CreditCard/123').respond({id: 123});
+
+      CancellableCard.slow({id: 123}, callback, errorCB);
+      $rootScope.$digest();
+      $timeout.flush(1000);
+      $rootScope.$digest();
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(errorCB).toHaveBeenCalledOnce();
+      expect(errorCB.mostRecentCall.args[0].cancelled).toBeUndefined();
+    });
+
+
+    it('should cancel the pending numeric timeout once the request completes', function() {
+      spyOn($timeout, 'cancel').andCallThrough();
+      $httpBackend.expect('GET', '/CreditCard/123').respond({id: 123});
+
+      CancellableCard.slow({id: 123}, callback);
+      $httpBackend.flush();
+
+      expect($timeout.cancel).toHaveBeenCalledOnce();
+      expect(callback).toHaveBeenCalledOnce();
+    });
+
+
+    it('should use the resource-level `cancellable` option unless overridden by the action',
+        function() {
+      var Card = $resource('/CreditCard/:id', {}, {
+        save: {method: 'POST', cancellable: false}
+      }, {cancellable: true});
+
+      $httpBackend.expect('GET', '/CreditCard/123').respond({id: 123});
+      $httpBackend.expect('POST', '/CreditCard').respond({id: 123});
+
+      expect(Card.get({id: 123}).$cancelRequest).toEqual(jasmine.any(Function));
+      expect(Card.save({}).$cancelRequest).toBeUndefined();
+      $httpBackend.flush();
+    });
+
+
+    it('should not include $cancelRequest when resource is toJson\'ed', function() {
+      $httpBackend.expect('GET', '/CreditCard/123').respond({id: 123});
+      var cc = CancellableCard.get({id: 123});
+
+      expect(JSON.parse(angular.toJson(cc))).toEqual({});
+      $httpBackend.flush();
+    });
+  });
+
   it('should transform request/response', function() {
     var Person = $resource('/Person/:id', {}, {
       save: {
@@ -0,0 +1,69 @@
+'use strict';
+
+describe('ngRouteHref', function() {
+  var element;
+
+  beforeEach(module('ngRoute', function($routeProvider) {
+    $routeProvider.when('/users/:userId', {name: 'user', template: 'user'});
+    $routeProvider.when('/users/:userId/edit', {name: 'editUser', template: 'edit'});
+  }));
+
+
+  afterEach(function() {
+    dealoc(element);
+  });
+
+
+  it('should set the href to the url of the named route', inject(function($compile, $rootScope) {
+    element = $compile('<a ng-route-href="user" ng-route-params="{userId: id}"></a>')($rootScope);
+    $rootScope.id = 42;
+    $rootScope.$digest();
+
+    expect(element.attr('href')).toBe('#/users/42');
+  }));
+
+
+  it('should update the href when the params change', inject(function($compile, $rootScope) {
+    element = $compile('<a ng-route-href="user" ng-route-params="params"></a>')($rootScope);
+    $rootScope.params = {userId: 1};
+    $rootScope.$digest();
+    expect(element.attr('href')).toBe('#/users/1');
+
+    $rootScope.params.userId = 2;
+    $rootScope.$digest();
+    expect(element.attr('href')).toBe('#/users/2');
+  }));
+
+
+  it('should interpolate the name of the route', inject(function($compile, $rootScope) {
+    element = $compile('<a ng-route-href="{{action}}" ng-route-params="{userId: 3}"></a>')($rootScope);
+    $rootScope.action = 'user';
+    $rootScope.$digest();
+    expect(element.attr('href')).toBe('#/users/3');
+
+    $rootScope.action = 'editUser';
+    $rootScope.$digest();
+    expect(element.attr('href')).toBe('#/users/3/edit');
+  }));
+
+
+  it('should remove the href while no url can be built', inject(function($compile, $rootScope) {
+    element = $compile('<a ng-route-href="{{name}}" ng-route-params="{userId: id}"></a>')($rootScope);
+    $rootScope.name = 'user';
+    $rootScope.$digest();
+    expect(element.attr('href')).toBeUndefined();
+
+    $rootScope.id = 5;
+    $rootScope.$digest();
+    expect(element.attr('href')).toBe('#/users/5');
+
+    $rootScope.id = null;
+    $rootScope.$digest();
+    expect(element.attr('href')).toBeUndefined();
+
+    $rootScope.id = 5;
+    $rootScope.name = 'unknown';
+    $rootScope.$digest();
+    expect(element.attr('href')).toBeUndefined();
+  }));
+});
@@ -541,6 +541,180 @@ describe('ngView', function() {
       });
     });
   });
+
+
+  it('should let the controller veto leaving the route', function() {
+    var canLeave = false;
+
+    module(function($routeProvider) {
+      $routeProvider.when('/form', {
+        template: '<form>edit</form>',
+        controller: function() {
+          this.$canDeactivate = function() {
+            return canLeave;
+          };
+        }
+      });
+      $routeProvider.when('/other', {template: 'other'});
+    });
+
+    inject(function($route, $location, $rootScope) {
+      $location.path('/form');
+      $rootScope.$digest();
+
+      $location.path('/other');
+      $rootScope.$digest();
+      expect(element.text()).toEqual('edit');
+      expect($location.path()).toEqual('/form');
+
+      canLeave = true;
+      $location.path('/other');
+      $rootScope.$digest();
+      expect(element.text()).toEqual('other');
+    });
+  });
+
+
+  describe('nested views', function() {
+    var log;
+
+    beforeEach(module(function($routeProvider) {
+      log = [];
+      $routeProvider.when('/users/:userId', {
+        template: '<div>user {{user.id}}: <div ng-view></div></div>',
+        controller: function($scope, user) {
+          log.push('UserCtrl');
+          $scope.user = user;
+        },
+        resolve: {
+          user: function($route) {
+            return {id: $route.current.params.userId};
+          }
+        }
+      });
+      $routeProvider.when('/users/:userId/profile', {
+        parent: '/users/:userId',
+        template: '<span>profile of {{owner.id}}</span>',
+        controller: function($scope, user) {
+          log.push('ProfileCtrl');
+          $scope.owner = user;
+        }
+      });
+      $routeProvider.when('/users/:userId/posts', {
+        parent: '/users/:userId',
+        template: '<span>posts</span>',
+        controller: function() {
+          log.push('PostsCtrl');
+        }
+      });
+    }));
+
+
+    it('should render the child route into the ngView of the parent template',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+
+      expect(element.text()).toEqual('user 1: profile of 1');
+      expect(log).toEqual(['UserCtrl', 'ProfileCtrl']);
+      expect($route.current.scope.owner).toEqual({id: '1'});
+    }));
+
+
+    it('should only render the child again when switching between children',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+      var parentScope = element.find('div').scope();
+
+      $location.path('/users/1/posts');
+      $rootScope.$digest();
+
+      expect(element.text()).toEqual('user 1: posts');
+      expect(log).toEqual(['UserCtrl', 'ProfileCtrl', 'PostsCtrl']);
+      expect(element.find('div').scope()).toBe(parentScope);
+      expect($route.current.scope.$parent).toBe(parentScope);
+    }));
+
+
+    it('should clear the nested view when navigating to the parent',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+
+      $location.path('/users/1');
+      $rootScope.$digest();
+
+      expect(element.text()).toEqual('user 1: ');
+      expect(log).toEqual(['UserCtrl', 'ProfileCtrl']);
+      expect($route.current.scope).toBe(element.find('div').scope());
+    }));
+
+
+    it('should render the parent again when its params change',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+
+      $location.path('/users/2/profile');
+      $rootScope.$digest();
+
+      expect(element.text()).toEqual('user 2: profile of 2');
+      expect(log).toEqual(['UserCtrl', 'ProfileCtrl', 'UserCtrl', 'ProfileCtrl']);
+    }));
+  });
+});
+
+describe('ngView named views', function() {
+  var element;
+
+  beforeEach(module('ngRoute', function($routeProvider) {
+    $routeProvider.when('/named', {
+      template: 'main',
+      views: {
+        sidebar: {
+          template: '<span>{{side.name}}</span>',
+          controller: function($scope, data) {
+            this.name = 'side ' + data;
+          },
+          controllerAs: 'side'
+        }
+      },
+      resolve: {
+        data: function() {
+          return 'data';
+        }
+      }
+    });
+    $routeProvider.when('/unnamed', {template: 'other'});
+  }));
+
+  afterEach(function() {
+    dealoc(element);
+  });
+
+
+  it('should render named views into the matching outlets',
+      inject(function($route, $compile, $location, $rootScope) {
+    element = $compile('<div><div ng-view="sidebar"></div>|<div ng-view></div></div>')($rootScope);
+
+    $location.path('/named');
+    $rootScope.$digest();
+    expect(element.text()).toEqual('side data|main');
+
+    $location.path('/unnamed');
+    $rootScope.$digest();
+    expect(element.text()).toEqual('|other');
+  }));
+
+
+  it('should support the name attribute', inject(function($route, $compile, $location, $rootScope) {
+    element = $compile('<div><ng:view name="sidebar"></ng:view></div>')($rootScope);
+
+    $location.path('/named');
+    $rootScope.$digest();
+    expect(element.text()).toEqual('side data');
+  }));
 });
 
 describe('ngView and transcludes', function() {
@@ -900,12 +1074,39 @@ describe('ngView animations', function() {
           controller: angular.noop,
           template: '<div></div>'
         });
+        $routeProvider.when('/bar', {
+          template: '<div></div>'
+        });
+        $routeProvider.when('/baz', {
+          template: '<div></div>',
+          scrollRestoration: false
+        });
+      };
+    }
+
+    function navigateBack(fromPath, toPath) {
+      return function($rootScope, $location, $animate, $browser) {
+        $location.path(toPath);
+        $rootScope.$digest();
+        var state = $browser.state();
+        $location.path(fromPath);
+        $rootScope.$digest();
+        $animate.queue.length = 0;
+        $animate.triggerCallbacks();
+        autoScrollSpy.reset();
+
+        // simulate the back button of the browser
+        $browser.url('http://server/#' + toPath, false, state);
+        $browser.poll();
       };
     }
 
     function spyOnAnimateEnter() {
-      return function($animate) {
-        spyOn($animate, 'enter').andCallThrough();
+      return function($provide) {
+        $provide.decorator('$animate', function($delegate) {
+          spyOn($delegate, 'enter').andCallThrough();
+          return $delegate;
+        });
       };
     }
 
@@ -915,8 +1116,7 @@ describe('ngView animations', function() {
       };
     }
 
-    beforeEach(module(spyOnAnchorScroll(), 'ngAnimateMock'));
-    beforeEach(inject(spyOnAnimateEnter()));
+    beforeEach(module(spyOnAnchorScroll(), 'ngAnimateMock', spyOnAnimateEnter()));
 
     it('should call $anchorScroll if autoscroll attribute is present', inject(
         compileAndLink('<div><ng:view autoscroll></ng:view></div>'),
@@ -989,5 +1189,63 @@ describe('ngView animations', function() {
         expect(autoScrollSpy).toHaveBeenCalledOnce();
       }
     ));
+
+
+    it('should call $anchorScroll on history navigation if scroll restoration is disabled', inject(
+      compileAndLink('<div><ng:view autoscroll></ng:view></div>'),
+      function($window) {
+        spyOn($window, 'scrollTo');
+      },
+      navigateBack('/bar', '/foo'),
+      function($animate, $window) {
+        $animate.triggerCallbacks();
+
+        expect($window.scrollTo).not.toHaveBeenCalled();
+        expect(autoScrollSpy).toHaveBeenCalledOnce();
+      }
+    ));
+
+
+    describe('with scroll restoration', function() {
+      beforeEach(module(function($locationProvider) {
+        $locationProvider.scrollRestoration(true);
+      }));
+
+
+      it('should restore the scroll position instead of calling $anchorScroll on history ' +
+          'navigation', inject(
+        compileAndLink('<div><ng:view autoscroll></ng:view></div>'),
+        function($window) {
+          spyOn($window, 'scrollTo');
+        },
+        navigateBack('/bar', '/foo'),
+        function($animate, $window, $location) {
+          expect($location.path()).toBe('/foo');
+          expect($window.scrollTo).not.toHaveBeenCalled();
+
+          $animate.triggerCallbacks();
+
+          expect($window.scrollTo).toHaveBeenCalledWith($window.pageXOffset, $window.pageYOffset);
+          expect(autoScrollSpy).not.toHaveBeenCalled();
+        }
+      ));
+
+
+      it('should not restore the scroll position of routes that opt out', inject(
+        compileAndLink('<div><ng:view autoscroll></ng:view></div>'),
+        function($window) {
+          spyOn($window, 'scrollTo');
+        },
+        navigateBack('/bar', '/baz'),
+        function($animate, $window, $location) {
+          expect($location.path()).toBe('/baz');
+
+          $animate.triggerCallbacks();
+
+          expect($window.scrollTo).not.toHaveBeenCalled();
+          expect(autoScrollSpy).toHaveBeenCalledOnce();
+        }
+      ));
+    });
   });
 });
@@ -0,0 +1,92 @@
+'use strict';
+
+describe('$moduleLoader', function() {
+  var scripts;
+
+  beforeEach(module('ngRoute'));
+
+  beforeEach(inject(function($document) {
+    scripts = [];
+    spyOn($document[0].head, 'appendChild').andCallFake(function(script) {
+      scripts.push(script);
+    });
+  }));
+
+
+  it('should load modules that have already been defined', function() {
+    angular.module('loaderDefined', []).value('definedValue', 'defined');
+
+    inject(function($moduleLoader, $injector, $rootScope) {
+      var loaded = jasmine.createSpy('loaded');
+
+      $moduleLoader('loaderDefined').then(loaded);
+      $rootScope.$digest();
+
+      expect(loaded).toHaveBeenCalledOnce();
+      expect($injector.get('definedValue')).toBe('defined');
+      expect(scripts).toEqual([]);
+    });
+  });
+
+
+  it('should load the scripts of a module before adding the module to the injector',
+      inject(function($moduleLoader, $injector, $rootScope) {
+    var loaded = jasmine.createSpy('loaded');
+
+    $moduleLoader({name: 'loaderScript', files: ['lazy/a.js', 'lazy/b.js']}).then(loaded);
+    $rootScope.$digest();
+
+    expect(scripts.length).toBe(1);
+    expect(scripts[0].src).toMatch(/lazy\/a\.js$/);
+
+    scripts[0].onload();
+    expect(scripts.length).toBe(2);
+    expect(scripts[1].src).toMatch(/lazy\/b\.js$/);
+
+    angular.module('loaderScript', []).value('scriptValue', 'script');
+    expect(loaded).not.toHaveBeenCalled();
+
+    scripts[1].onload();
+    expect(loaded).toHaveBeenCalledOnce();
+    expect($injector.get('scriptValue')).toBe('script');
+  }));
+
+
+  it('should request html files as templates', inject(function($moduleLoader, $httpBackend,
+                                                                $templateCache, $rootScope) {
+    angular.module('loaderTemplate', []);
+    $httpBackend.expectGET('lazy/view.html').respond('<p>lazy</p>');
+
+    $moduleLoader({name: 'loaderTemplate', files: ['lazy/view.html']});
+    $httpBackend.flush();
+
+    expect($templateCache.get('lazy/view.html')).toBe('<p>lazy</p>');
+    expect(scripts).toEqual([]);
+  }));
+
+
+  it('should only load each file once', inject(function($moduleLoader, $rootScope) {
+    angular.module('loaderOnce', []);
+
+    $moduleLoader({name: 'loaderOnce', files: ['lazy/once.js']});
+    $moduleLoader({name: 'loaderOnce', files: ['lazy/once.js']});
+    $rootScope.$digest();
+    scripts[0].onload();
+
+    expect(scripts.length).toBe(1);
+  }));
+
+
+  it('should reject the promise if a script cannot be loaded',
+      inject(function($moduleLoader, $rootScope) {
+    var failed = jasmine.createSpy('failed');
+
+    $moduleLoader({name: 'loaderMissing', files: ['lazy/missing.js']}).then(null, failed);
+    $rootScope.$digest();
+    scripts[0].onerror();
+
+    expect(failed).toHaveBeenCalledOnce();
+    expect(failed.mostRecentCall.args[0].message)
+        .toMatch(/^\[ngRoute:scriptload\] Failed to load script: lazy\/missing\.js/);
+  }));
+});
@@ -866,7 +866,7 @@ describe('$route', function() {
 
         expect($location.path()).toEqual('/bar/id3');
         expect($browserUrl.mostRecentCall.args)
-            .toEqual(['http://server/#/bar/id3?extra=eId', true]);
+            .toEqual(['http://server/#/bar/id3?extra=eId', true, null]);
       });
     });
   });
@@ -1079,6 +1079,1025 @@ describe('$route', function() {
     });
   });
 
+  describe('nested routes', function() {
+    var log;
+
+    beforeEach(module(function($routeProvider) {
+      log = [];
+      $routeProvider.when('/users/:userId', {
+        template: 'user',
+        resolve: {
+          user: function($route) {
+            log.push('user ' + $route.current.params.userId);
+            return {id: $route.current.params.userId};
+          }
+        }
+      });
+      $routeProvider.when('/users/:userId/profile', {
+        parent: '/users/:userId',
+        template: 'profile',
+        resolve: {
+          profile: function(user) {
+            log.push('profile');
+            return 'profile of ' + user.id;
+          }
+        }
+      });
+      $routeProvider.when('/users/:userId/posts', {
+        parent: '/users/:userId',
+        template: 'posts'
+      });
+    }));
+
+
+    it('should resolve the parent route before the child and share its locals',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+
+      expect(log).toEqual(['user 1', 'profile']);
+      expect($route.current.locals.user).toEqual({id: '1'});
+      expect($route.current.locals.profile).toBe('profile of 1');
+      expect($route.current.locals.$template).toBe('profile');
+      expect($route.current.$$segments.length).toBe(2);
+    }));
+
+
+    it('should not resolve the parent again when switching between its children',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+      var parentSegment = $route.current.$$segments[0];
+
+      $location.path('/users/1/posts');
+      $rootScope.$digest();
+
+      expect(log).toEqual(['user 1', 'profile']);
+      expect($route.current.$$segments[0]).toBe(parentSegment);
+      expect($route.current.locals.user).toEqual({id: '1'});
+      expect($route.current.locals.$template).toBe('posts');
+    }));
+
+
+    it('should resolve the parent again when its path params change',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+
+      $location.path('/users/2/profile');
+      $rootScope.$digest();
+
+      expect(log).toEqual(['user 1', 'profile', 'user 2', 'profile']);
+      expect($route.current.locals.profile).toBe('profile of 2');
+    }));
+
+
+    it('should not resolve the parent again when navigating from a child to the parent',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+      var parentSegment = $route.current.$$segments[0];
+
+      $location.path('/users/1');
+      $rootScope.$digest();
+
+      expect(log).toEqual(['user 1', 'profile']);
+      expect($route.current.$$segments).toEqual([parentSegment]);
+      expect($route.current.locals.$template).toBe('user');
+    }));
+
+
+    it('should resolve the route again when navigating to itself with other params',
+        inject(function($route, $location, $rootScope) {
+      $location.path('/users/1');
+      $rootScope.$digest();
+
+      $location.path('/users/2');
+      $rootScope.$digest();
+
+      expect(log).toEqual(['user 1', 'user 2']);
+    }));
+
+
+    it('should resolve all segments again on reload', inject(function($route, $location, $rootScope) {
+      $location.path('/users/1/profile');
+      $rootScope.$digest();
+
+      $route.reload();
+      $rootScope.$digest();
+
+      expect(log).toEqual(['user 1', 'profile', 'user 1', 'profile']);
+    }));
+
+
+    it('should resolve named views', function() {
+      module(function($routeProvider) {
+        $routeProvider.when('/named', {
+          template: 'main',
+          views: {
+            sidebar: {template: 'side', controller: 'SideCtrl', controllerAs: 'side'}
+          }
+        });
+      });
+
+      inject(function($route, $location, $rootScope) {
+        $location.path('/named');
+        $rootScope.$digest();
+
+        var views = $route.current.$$segments[0].views;
+        expect(views[''].template).toBe('main');
+        expect(views.sidebar).toEqual({
+          name: 'sidebar', template: 'side', controller: 'SideCtrl', controllerAs: 'side'
+        });
+      });
+    });
+
+
+    it('should complain if the parent route is not defined', function() {
+      module(function($routeProvider) {
+        $routeProvider.when('/orphan', {parent: '/missing', template: 'orphan'});
+      });
+
+      inject(function($route, $location, $rootScope) {
+        $location.path('/orphan');
+
+        expect(function() {
+          $rootScope.$digest();
+        }).toThrowMinErr('ngRoute', 'noparent',
+            "Parent route '/missing' of route '/orphan' is not defined");
+      });
+    });
+
+
+    it('should complain if a route would become its own ancestor', function() {
+      module(function($routeProvider) {
+        $routeProvider.when('/a', {parent: '/b'});
+        $routeProvider.when('/b', {parent: '/c'});
+
+        expect(function() {
+          $routeProvider.when('/c', {parent: '/a'});
+        }).toThrowMinErr('ngRoute', 'parentcycle',
+            "Route '/c' is its own ancestor: /c -> /a -> /b -> /c");
+
+        expect(function() {
+          $routeProvider.when('/d', {parent: '/d'});
+        }).toThrowMinErr('ngRoute', 'parentcycle', "Route '/d' is its own ancestor: /d -> /d");
+      });
+
+      inject(function($route) {
+        expect($route.routes['/c']).toBeUndefined();
+        expect($route.routes['/d']).toBeUndefined();
+      });
+    });
+  });
+
+
+  describe('guards', function() {
+    var log, verdict;
+
+    beforeEach(module(function($routeProvider) {
+      log = [];
+      verdict = {};
+      $routeProvider.when('/home', {
+        template: 'home',
+        canDeactivate: function($next, $current) {
+          log.push('deactivate home: ' + $current.originalPath + ' -> ' + $next.originalPath);
+          return verdict.home;
+        }
+      });
+      $routeProvider.when('/admin', {
+        template: 'admin',
+        canActivate: function($next, $current) {
+          log.push('activate admin');
+          return verdict.admin;
+        },
+        resolve: {
+          data: function() {
+            log.push('resolve admin');
+          }
+        }
+      });
+      $routeProvider.when('/login', {template: 'login'});
+    }));
+
+
+    function navigate(path) {
+      inject(function($route, $location, $rootScope) {
+        $location.path(path);
+        $rootScope.$digest();
+      });
+    }
+
+
+    it('should change the route if the guards allow it', inject(function($route, $location) {
+      navigate('/home');
+      navigate('/admin');
+
+      expect(log).toEqual(['deactivate home: /home -> /admin', 'activate admin', 'resolve admin']);
+      expect($route.current.originalPath).toBe('/admin');
+    }));
+
+
+    it('should cancel the route change and revert the url if canActivate returns false',
+        inject(function($route, $location, $rootScope) {
+      var onSuccess = jasmine.createSpy('onSuccess');
+
+      navigate('/home');
+      var home = $route.current;
+      $rootScope.$on('$routeChangeSuccess', onSuccess);
+      verdict.admin = false;
+      navigate('/admin');
+
+      expect(log).toEqual(['deactivate home: /home -> /admin', 'activate admin']);
+      expect($route.current).toBe(home);
+      expect($location.path()).toBe('/home');
+      expect(onSuccess).not.toHaveBeenCalled();
+    }));
+
+
+    it('should not start the route change or change the url before the guards allowed it',
+        inject(function($route, $location, $rootScope, $browser) {
+      var onStart = jasmine.createSpy('onStart');
+
+      navigate('/home');
+      verdict.home = false;
+      $rootScope.$on('$routeChangeStart', onStart);
+      navigate('/login');
+
+      expect(onStart).not.toHaveBeenCalled();
+      expect($location.path()).toBe('/home');
+      expect($browser.url()).toBe('http://server/#/home');
+      expect($route.current.originalPath).toBe('/home');
+    }));
+
+
+    describe('of url changes of the browser', function() {
+
+      function navigateBack(path) {
+        inject(function($browser) {
+          spyOn($browser, 'url').andCallThrough();
+          $browser.$$url = 'http://server/#' + path;
+          $browser.poll();
+        });
+      }
+
+      function pushedUrls($browser) {
+        var urls = [];
+        angular.forEach($browser.url.calls, function(call) {
+          if (call.args.length && !call.args[1]) urls.push(call.args[0]);
+        });
+        return urls;
+      }
+
+
+      it('should not push any url if the guards allow the change',
+          inject(function($route, $location, $browser) {
+        navigate('/login');
+        navigate('/home');
+        navigateBack('/login');
+
+        expect(log).toEqual(['deactivate home: /home -> /login']);
+        expect(pushedUrls($browser)).toEqual([]);
+        expect($browser.url()).toBe('http://server/#/login');
+        expect($location.path()).toBe('/login');
+        expect($route.current.originalPath).toBe('/login');
+      }));
+
+
+      it('should not change the route before the guards allowed the change',
+          inject(function($route, $location, $browser, $q, $rootScope) {
+        var deferred = $q.defer();
+
+        navigate('/login');
+        navigate('/home');
+        var home = $route.current;
+        verdict.home = deferred.promise;
+        navigateBack('/login');
+
+        expect($location.path()).toBe('/login');
+        expect($route.current).toBe(home);
+
+        deferred.resolve(true);
+        $rootScope.$digest();
+        expect($route.current.originalPath).toBe('/login');
+        expect(pushedUrls($browser)).toEqual([]);
+      }));
+
+
+      it('should replace the url with the previous one if a guard cancels the change',
+          inject(function($route, $location, $browser) {
+        var onStart = jasmine.createSpy('onStart');
+
+        navigate('/login');
+        navigate('/home');
+        var home = $route.current;
+        inject(function($rootScope) {
+          $rootScope.$on('$routeChangeStart', onStart);
+        });
+        verdict.home = false;
+        navigateBack('/login');
+
+        expect(onStart).not.toHaveBeenCalled();
+        expect(pushedUrls($browser)).toEqual([]);
+        expect($browser.url()).toBe('http://server/#/home');
+        expect($location.path()).toBe('/home');
+        expect($route.current).toBe(home);
+      }));
+
+
+      it('should replace the url if a guard redirects', inject(function($route, $browser) {
+        navigate('/home');
+        verdict.admin = '/login';
+        navigateBack('/admin');
+
+        expect(pushedUrls($browser)).toEqual([]);
+        expect($browser.url()).toBe('http://server/#/login');
+        expect($route.current.originalPath).toBe('/login');
+      }));
+    });
+
+
+    it('should invoke the guards when the route is reloaded', inject(function($route, $rootScope) {
+      var onStart = jasmine.createSpy('onStart');
+
+      navigate('/home');
+      var home = $route.current;
+      $rootScope.$on('$routeChangeStart', onStart);
+
+      verdict.home = false;
+      $route.reload();
+      $rootScope.$digest();
+      expect(log).toEqual(['deactivate home: /home -> /home']);
+      expect(onStart).not.toHaveBeenCalled();
+      expect($route.current).toBe(home);
+
+      verdict.home = true;
+      $route.reload();
+      $rootScope.$digest();
+      expect(onStart).toHaveBeenCalledOnce();
+      expect($route.current).not.toBe(home);
+      expect($route.current.originalPath).toBe('/home');
+    }));
+
+
+    it('should invoke the guards of the target of a redirect', function() {
+      module(function($routeProvider) {
+        $routeProvider.when('/old-admin', {redirectTo: '/admin'});
+      });
+
+      inject(function($route, $location, $browser) {
+        navigate('/home');
+        var home = $route.current;
+
+        verdict.admin = false;
+        navigate('/old-admin');
+        expect(log).toEqual(['deactivate home: /home -> /admin', 'activate admin']);
+        expect($location.path()).toBe('/home');
+        expect($browser.url()).toBe('http://server/#/home');
+        expect($route.current).toBe(home);
+
+        verdict.admin = true;
+        navigate('/old-admin');
+        expect($location.path()).toBe('/admin');
+        expect($route.current.originalPath).toBe('/admin');
+      });
+    });
+
+
+    it('should not invoke the remaining guards once a guard cancelled', inject(function() {
+      navigate('/home');
+      verdict.home = false;
+      navigate('/admin');
+
+      expect(log).toEqual(['deactivate home: /home -> /admin']);
+    }));
+
+
+    it('should redirect if a guard returns a string', inject(function($route, $location) {
+      verdict.admin = '/login';
+      navigate('/admin');
+
+      expect($location.path()).toBe('/login');
+      expect($route.current.originalPath).toBe('/login');
+      expect(log).toEqual(['activate admin']);
+    }));
+
+
+    it('should wait for promises returned by the guards',
+        inject(function($route, $location, $rootScope, $q) {
+      var deferred = $q.defer();
+
+      navigate('/home');
+      verdict.home = deferred.promise;
+      navigate('/admin');
+
+      expect($route.current.originalPath).toBe('/home');
+      expect($location.path()).toBe('/home');
+      expect(log).toEqual(['deactivate home: /home -> /admin']);
+
+      deferred.resolve(true);
+      $rootScope.$digest();
+
+      expect(log).toEqual(['deactivate home: /home -> /admin', 'activate admin', 'resolve admin']);
+      expect($location.path()).toBe('/admin');
+      expect($route.current.originalPath).toBe('/admin');
+    }));
+
+
+    it('should ignore the verdict of guards that were superseded by another route change',
+        inject(function($route, $location, $rootScope, $q) {
+      var deferred = $q.defer();
+
+      navigate('/home');
+      verdict.home = deferred.promise;
+      navigate('/admin');
+
+      verdict.home = true;
+      navigate('/login');
+      expect($route.current.originalPath).toBe('/login');
+
+      deferred.resolve(true);
+      $rootScope.$digest();
+      expect($location.path()).toBe('/login');
+      expect($route.current.originalPath).toBe('/login');
+    }));
+
+
+    it('should fire $routeChangeError if a guard promise is rejected',
+        inject(function($route, $rootScope, $q) {
+      var onError = jasmine.createSpy('onError');
+
+      $rootScope.$on('$routeChangeError', onError);
+      verdict.admin = $q.reject('nope');
+      navigate('/admin');
+
+      expect(onError).toHaveBeenCalledOnce();
+      expect(onError.mostRecentCall.args[3]).toBe('nope');
+      expect(log).toEqual(['activate admin']);
+    }));
+
+
+    it('should let the controller of the view veto the deactivation', inject(function($route) {
+      var controller = {
+        $canDeactivate: jasmine.createSpy('$canDeactivate').andReturn(false)
+      };
+
+      navigate('/home');
+      var home = $route.current;
+      home.$$segments[0].controllers[''] = controller;
+      navigate('/admin');
+
+      expect(controller.$canDeactivate).toHaveBeenCalledOnce();
+      expect(controller.$canDeactivate.mostRecentCall.args[0].originalPath).toBe('/admin');
+      expect(controller.$canDeactivate.mostRecentCall.args[1]).toBe(home);
+      expect($route.current).toBe(home);
+      expect(log).toEqual([]);
+    }));
+
+
+    it('should not invoke the guards of a parent route that stays active', function() {
+      module(function($routeProvider) {
+        $routeProvider.when('/parent', {
+          template: 'parent',
+          canActivate: function() { log.push('activate parent'); },
+          canDeactivate: function() { log.push('deactivate parent'); }
+        });
+        $routeProvider.when('/parent/a', {
+          parent: '/parent',
+          template: 'a',
+          canDeactivate: function() { log.push('deactivate a'); }
+        });
+        $routeProvider.when('/parent/b', {
+          parent: '/parent',
+          template: 'b',
+          canActivate: function() { log.push('activate b'); }
+        });
+      });
+
+      inject(function() {
+        navigate('/parent/a');
+        expect(log).toEqual(['activate parent']);
+
+        navigate('/parent/b');
+        expect(log).toEqual(['activate parent', 'deactivate a', 'activate b']);
+
+        navigate('/home');
+        expect(log).toEqual(['activate parent', 'deactivate a', 'activate b', 'deactivate parent']);
+      });
+    });
+  });
+
+
+  describe('href', function() {
+    beforeEach(module(function($routeProvider) {
+      $routeProvider.when('/users/:userId/edit', {name: 'editUser', template: 'edit'});
+      $routeProvider.when('/docs/:section?', {name: 'docs', template: 'docs'});
+      $routeProvider.when('/files/:path*/raw', {name: 'file', template: 'file'});
+      $routeProvider.when('/home', {name: 'home', template: 'home'});
+    }));
+
+
+    it('should build the url of a named route', inject(function($route) {
+      expect($route.href('home')).toBe('#/home');
+      expect($route.href('editUser', {userId: 42})).toBe('#/users/42/edit');
+    }));
+
+
+    it('should encode the values of the path params', inject(function($route) {
+      expect($route.href('editUser', {userId: 'a/b c'})).toBe('#/users/a%2Fb%20c/edit');
+    }));
+
+
+    it('should omit optional params without a value', inject(function($route) {
+      expect($route.href('docs', {section: 'api'})).toBe('#/docs/api');
+      expect($route.href('docs')).toBe('#/docs');
+      expect($route.href('docs', {section: ''})).toBe('#/docs');
+    }));
+
+
+    it('should keep the slashes in greedy params', inject(function($route) {
+      expect($route.href('file', {path: 'src/ng/q.js'})).toBe('#/files/src/ng/q.js/raw');
+    }));
+
+
+    it('should add the other params to the query string', inject(function($route) {
+      expect($route.href('editUser', {userId: 1, tab: 'roles', page: 2}))
+          .toBe('#/users/1/edit?page=2&tab=roles');
+    }));
+
+
+    it('should use the hash prefix', function() {
+      module(function($locationProvider) {
+        $locationProvider.hashPrefix('!');
+      });
+
+      inject(function($route) {
+        expect($route.href('home')).toBe('#!/home');
+      });
+    });
+
+
+    it('should prefix the url with the base href in html5 mode', function() {
+      module(function($locationProvider) {
+        $locationProvider.html5Mode({enabled: true, requireBase: false});
+      });
+
+      inject(function($route, $browser) {
+        expect($route.href('home')).toBe('/home');
+
+        $browser.$$baseHref = '/app/';
+        expect($route.href('editUser', {userId: 7})).toBe('/app/users/7/edit');
+      });
+    });
+
+
+    it('should complain about unknown route names', inject(function($route) {
+      expect(function() {
+        $route.href('unknown');
+      }).toThrowMinErr('ngRoute', 'noname', "No route named 'unknown' is defined");
+    }));
+
+
+    it('should complain about missing path params', inject(function($route) {
+      expect(function() {
+        $route.href('editUser', {});
+      }).toThrowMinErr('ngRoute', 'noparam',
+          "Missing value for parameter 'userId' of route '/users/:userId/edit'");
+    }));
+  });
+
+
+  describe('loadModules', function() {
+    it('should load the modules of the route before resolving it', function() {
+      var log = [];
+
+      angular.module('routeLazy', []).
+        value('lazyData', 'lazy data').
+        controller('LazyCtrl', function() {});
+
+      module(function($routeProvider) {
+        $routeProvider.when('/lazy', {
+          template: 'lazy',
+          controller: 'LazyCtrl',
+          loadModules: 'routeLazy',
+          resolve: {
+            data: function(lazyData) {
+              log.push(lazyData);
+              return lazyData;
+            }
+          }
+        });
+      });
+
+      inject(function($route, $location, $rootScope, $controller) {
+        $location.path('/lazy');
+        $rootScope.$digest();
+
+        expect(log).toEqual(['lazy data']);
+        expect($route.current.locals.data).toBe('lazy data');
+        expect($controller('LazyCtrl')).toBeDefined();
+      });
+    });
+
+
+    it('should load the modules of the route and of its parents before invoking its guard',
+        function() {
+      var log = [];
+
+      angular.module('routeLazyParent', []).value('lazyParent', 'parent');
+      angular.module('routeLazyChild', []).value('lazyChild', 'child');
+
+      module(function($routeProvider) {
+        $routeProvider.when('/parent', {template: 'parent', loadModules: 'routeLazyParent'});
+        $routeProvider.when('/parent/child', {
+          parent: '/parent',
+          template: 'child',
+          loadModules: 'routeLazyChild',
+          canActivate: function(lazyParent, lazyChild) {
+            log.push(lazyParent + ' ' + lazyChild);
+          }
+        });
+      });
+
+      inject(function($route, $location, $rootScope) {
+        $location.path('/parent/child');
+        $rootScope.$digest();
+
+        expect(log).toEqual(['parent child']);
+        expect($route.current.originalPath).toBe('/parent/child');
+      });
+    });
+
+
+    it('should fire $routeChangeError if the modules cannot be loaded', function() {
+      module(function($routeProvider, $provide) {
+        $routeProvider.when('/lazy', {template: 'lazy', loadModules: 'routeMissing'});
+        $provide.factory('$moduleLoader', function($q) {
+          return jasmine.createSpy('$moduleLoader').andReturn($q.reject('load failed'));
+        });
+      });
+
+      inject(function($route, $location, $rootScope, $moduleLoader) {
+        var onError = jasmine.createSpy('onError');
+        $rootScope.$on('$routeChangeError', onError);
+
+        $location.path('/lazy');
+        $rootScope.$digest();
+
+        expect($moduleLoader).toHaveBeenCalledWith('routeMissing');
+        expect(onError).toHaveBeenCalledOnce();
+        expect(onError.mostRecentCall.args[3]).toBe('load failed');
+      });
+    });
+  });
+
+
+  describe('preload', function() {
+    beforeEach(module(function($routeProvider) {
+      $routeProvider.when('/foo', {name: 'foo', templateUrl: 'foo.html'});
+      $routeProvider.when('/book/:bookId', {
+        templateUrl: function(params) { return params.bookId + '.html'; }
+      });
+      $routeProvider.when('/bar', {
+        parent: '/foo',
+        templateUrl: 'bar.html',
+        views: {
+          side: {templateUrl: 'baz.html'},
+          inline: {template: 'inline'}
+        }
+      });
+    }));
+
+
+    it('should load the templates of a named route into the $templateCache',
+        inject(function($route, $templateCache) {
+      var loaded = jasmine.createSpy('loaded');
+
+      $route.preload('foo').then(loaded);
+      $httpBackend.flush();
+
+      expect(loaded).toHaveBeenCalledOnce();
+      expect($templateCache.get('foo.html')).toBeDefined();
+    }));
+
+
+    it('should load the templates of the route matching a path',
+        inject(function($route, $templateCache) {
+      $httpBackend.expectGET('Chapter.html');
+
+      $route.preload('/book/Chapter');
+      $httpBackend.flush();
+
+      expect($templateCache.get('Chapter.html')).toBeDefined();
+    }));
+
+
+    it('should load the templates of the parent routes and of the named views',
+        inject(function($route, $templateCache) {
+      $route.preload('/bar');
+      $httpBackend.flush();
+
+      expect($templateCache.get('foo.html')).toBeDefined();
+      expect($templateCache.get('bar.html')).toBeDefined();
+      expect($templateCache.get('baz.html')).toBeDefined();
+    }));
+
+
+    it('should resolve right away if no route matches', inject(function($route, $rootScope) {
+      var loaded = jasmine.createSpy('loaded');
+
+      $route.preload('/unknown').then(loaded);
+      $rootScope.$digest();
+
+      expect(loaded).toHaveBeenCalledOnce();
+    }));
+
+
+    it('should reject the promise if a template cannot be loaded',
+        inject(function($route, $rootScope) {
+      var failed = jasmine.createSpy('failed');
+      $httpBackend.expectGET('missing.html').respond(404);
+
+      $route.preload('/book/missing').then(null, failed);
+      $httpBackend.flush();
+
+      expect(failed).toHaveBeenCalledOnce();
+    }));
+
+
+    it('should preload the routes with the preload option after the first route change',
+        function() {
+      module(function($routeProvider) {
+        $routeProvider.when('/eager', {templateUrl: 'test.html', preload: true});
+        $routeProvider.when('/home', {template: 'home'});
+      });
+
+      inject(function($route, $location, $rootScope, $templateCache) {
+        $rootScope.$digest();
+        $httpBackend.verifyNoOutstandingRequest();
+
+        $location.path('/home');
+        $rootScope.$digest();
+        $httpBackend.flush();
+
+        expect($templateCache.get('test.html')).toBeDefined();
+        expect($templateCache.get('foo.html')).toBeUndefined();
+      });
+    });
+
+
+    it('should not preload on hover by default', function() {
+      module(function($routeProvider) {
+        expect($routeProvider.preloadOnHover()).toBe(false);
+      });
+
+      inject(function($route, $rootScope, $rootElement) {
+        var link = angular.element('<a href="http://server/#/foo">link</a>');
+
+        spyOn($route, 'preload');
+        $rootElement.append(link);
+        browserTrigger(link, 'mouseover');
+        $rootScope.$digest();
+
+        expect($route.preload).not.toHaveBeenCalled();
+        dealoc($rootElement);
+      });
+    });
+
+
+    describe('on hover', function() {
+      var link;
+
+      beforeEach(module(function($routeProvider) {
+        $routeProvider.preloadOnHover(true);
+      }));
+
+
+      afterEach(inject(function($rootElement) {
+        dealoc($rootElement);
+      }));
+
+
+      function hover(href) {
+        inject(function($rootElement) {
+          link = angular.element('<a href="' + href + '"><span>link</span></a>');
+          $rootElement.append(link);
+          browserTrigger(link.find('span'), 'mouseover');
+        });
+      }
+
+
+      it('should preload the route of the link under the mouse', inject(function($route, $templateCache) {
+        hover('http://server/#/foo');
+        $httpBackend.flush();
+
+        expect($templateCache.get('foo.html')).toBeDefined();
+      }));
+
+
+      it('should ignore links that do not point to the application', inject(function($route, $rootScope) {
+        spyOn($route, 'preload');
+
+        hover('http://example.com/#/foo');
+        $rootScope.$digest();
+
+        expect($route.preload).not.toHaveBeenCalled();
+      }));
+
+
+      it('should preload each link only once', inject(function($route, $rootScope) {
+        spyOn($route, 'preload').andCallThrough();
+
+        hover('http://server/#/foo');
+        browserTrigger(link, 'mouseover');
+        $rootScope.$digest();
+        $httpBackend.flush();
+        browserTrigger(link, 'mouseover');
+        $rootScope.$digest();
+
+        expect($route.preload).toHaveBeenCalledOnce();
+        expect($route.preload).toHaveBeenCalledWith('/foo');
+      }));
+
+
+      it('should preload the link again on the next hover if preloading failed',
+          inject(function($route, $rootScope, $templateCache) {
+        spyOn($route, 'preload').andCallThrough();
+        $httpBackend.expect('GET', 'foo.html').respond(500);
+
+        hover('http://server/#/foo');
+        $httpBackend.flush();
+        expect($templateCache.get('foo.html')).toBeUndefined();
+
+        browserTrigger(link, 'mouseover');
+        $httpBackend.flush();
+
+        expect($route.preload.callCount).toBe(2);
+        expect($templateCache.get('foo.html')).toBeDefined();
+      }));
+
+
+      it('should not preload if disabled', function() {
+        module(function($routeProvider) {
+          $routeProvider.preloadOnHover(false);
+        });
+
+        inject(function($route, $rootScope) {
+          spyOn($route, 'preload');
+
+          hover('http://server/#/foo');
+          $rootScope.$digest();
+
+          expect($route.preload).not.toHaveBeenCalled();
+        });
+      });
+    });
+  });
+
+
+  describe('params schema', function() {
+    beforeEach(module(function($routeProvider) {
+      $routeProvider.when('/books/:bookId/:chapter?', {
+        name: 'book',
+        template: 'book',
+        reloadOnSearch: false,
+        params: {
+          bookId: {type: 'int'},
+          chapter: {type: 'int', 'default': 1, squash: true},
+          ratio: {type: 'float'},
+          draft: {type: 'bool', 'default': false},
+          tag: {array: true},
+          sort: {'default': 'title', squash: true}
+        }
+      });
+      $routeProvider.when('/broken', {template: 'broken', params: {id: {type: 'uuid'}}});
+    }));
+
+
+    it('should convert the params to their types', inject(function($route, $routeParams, $location,
+                                                                    $rootScope) {
+      $location.url('/books/12/3?ratio=0.5&draft=1&tag=a&tag=b&extra=x');
+      $rootScope.$digest();
+
+      expect($routeParams).toEqual({
+        bookId: 12, chapter: 3, ratio: 0.5, draft: true, tag: ['a', 'b'], sort: 'title', extra: 'x'
+      });
+      expect($route.current.params).toEqual($routeParams);
+      expect($route.current.pathParams).toEqual({bookId: '12', chapter: '3'});
+    }));
+
+
+    it('should use the defaults for missing params', inject(function($route, $routeParams,
+                                                                      $location, $rootScope) {
+      $location.url('/books/12');
+      $rootScope.$digest();
+
+      expect($routeParams).toEqual({
+        bookId: 12, chapter: 1, ratio: undefined, draft: false, tag: [], sort: 'title'
+      });
+    }));
+
+
+    it('should convert the params before $routeChangeStart', inject(function($route, $location,
+                                                                              $rootScope) {
+      var onStart = jasmine.createSpy('onStart');
+      $rootScope.$on('$routeChangeStart', onStart);
+
+      $location.url('/books/12?draft=true');
+      $rootScope.$digest();
+
+      expect(onStart.mostRecentCall.args[1].params).toEqual(jasmine.objectContaining({
+        bookId: 12, chapter: 1, draft: true
+      }));
+    }));
+
+
+    it('should convert the params on $routeUpdate', inject(function($route, $routeParams,
+                                                                     $location, $rootScope) {
+      $location.url('/books/12');
+      $rootScope.$digest();
+
+      $location.search('tag', 'c');
+      $rootScope.$digest();
+
+      expect($routeParams.tag).toEqual(['c']);
+    }));
+
+
+    it('should fire $routeChangeError for invalid values', inject(function($route, $location,
+                                                                          $rootScope) {
+      var onError = jasmine.createSpy('onError'),
+          onSuccess = jasmine.createSpy('onSuccess');
+
+      $rootScope.$on('$routeChangeError', onError);
+      $rootScope.$on('$routeChangeSuccess', onSuccess);
+
+      $location.url('/books/abc');
+      $rootScope.$digest();
+
+      expect(onSuccess).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledOnce();
+      expect(onError.mostRecentCall.args[3].message).toMatch(
+          /^\[ngRoute:badparam\] Invalid value 'abc' for parameter 'bookId' of route '\/books\/:bookId\/:chapter\?'/);
+    }));
+
+
+    it('should fire $routeChangeError with the next route for invalid values on $routeUpdate',
+        inject(function($route, $routeParams, $location, $rootScope) {
+      var onError = jasmine.createSpy('onError');
+
+      $location.url('/books/12');
+      $rootScope.$digest();
+      var current = $route.current;
+
+      $rootScope.$on('$routeChangeError', onError);
+      $location.search('ratio', 'abc');
+      $rootScope.$digest();
+
+      expect(onError).toHaveBeenCalledOnce();
+      expect(onError.mostRecentCall.args[1]).not.toBe(current);
+      expect(onError.mostRecentCall.args[1].params.ratio).toBe('abc');
+      expect(onError.mostRecentCall.args[2]).toBe(current);
+      expect($route.current).toBe(current);
+      expect($routeParams.ratio).toBeUndefined();
+    }));
+
+
+    it('should fire $routeChangeError for several values of a param that is not an array',
+        inject(function($route, $location, $rootScope) {
+      var onError = jasmine.createSpy('onError');
+      $rootScope.$on('$routeChangeError', onError);
+
+      $location.url('/books/1?sort=a&sort=b');
+      $rootScope.$digest();
+
+      expect(onError.mostRecentCall.args[3].message).toMatch(/^\[ngRoute:badparam\] Invalid value 'a,b'/);
+    }));
+
+
+    it('should fire $routeChangeError for unknown types', inject(function($route, $location,
+                                                                         $rootScope) {
+      var onError = jasmine.createSpy('onError');
+      $rootScope.$on('$routeChangeError', onError);
+
+      $location.url('/broken?id=1');
+      $rootScope.$digest();
+
+      expect(onError.mostRecentCall.args[3].message).toMatch(
+          /^\[ngRoute:badtype\] Unknown type 'uuid' of parameter 'id' of route '\/broken'/);
+    }));
+
+
+    it('should encode the params and omit squashed defaults in urls', inject(function($route) {
+      expect($route.href('book', {bookId: 12, chapter: 1, sort: 'title'})).toBe('#/books/12');
+      expect($route.href('book', {bookId: 12, chapter: 2, sort: 'date'}))
+          .toBe('#/books/12/2?sort=date');
+      expect($route.href('book', {bookId: 12, draft: false, tag: ['a', 'b']}))
+          .toBe('#/books/12?draft=false&tag=a&tag=b');
+    }));
+  });
+
+
   describe('update', function() {
     it('should support single-parameter route updating', function() {
       var routeChangeSpy = jasmine.createSpy('route change');